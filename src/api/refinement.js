@@ -4,52 +4,216 @@
 const axios = require('axios');
 const { CONFIG } = require('../utils/config');
 const { logToFile } = require('../logs/logger');
+const { withRetry, classifyError, sleep } = require('../utils/retry');
+const { createRateLimiter } = require('../utils/scheduler');
+const { getBreaker } = require('../utils/breaker');
+const { observeRefineRequest } = require('../logs/metrics');
+
+// Upper bound for the delay between two polls of an asynchronous job
+const MAX_JOB_POLL_INTERVAL_MS = 30000;
+
+const headers = {
+  Accept: "application/json, text/plain, */*",
+  "Accept-Language": "en-US",
+  Connection: "keep-alive",
+  "Content-Type": "application/json",
+};
+
+// Token bucket for refinement-service requests, created on first use
+let refineLimiter = null;
+
+// In-flight asynchronous jobs: "refinerId:fileId" → { jobId, submittedAt }, plus a change callback
+let jobStore = { jobs: {}, onChange: async () => {} };
 
 /**
- * Refines a file using the decrypted EEK
+ * Sets where in-flight job IDs are kept, so a restarted run can keep polling them
+ * @param {object} jobs - "refinerId:fileId" → { jobId, submittedAt } map (e.g. from the checkpoint)
+ * @param {function(): Promise<void>} onChange - Called after the map changed
+ */
+const useJobStore = (jobs, onChange = async () => {}) => {
+  jobStore = { jobs, onChange };
+};
+
+/**
+ * Sends a request to the refinement service, rate limited and retried.
+ * While the service is considered down, the request waits at the refine circuit
+ * breaker instead of failing; only transient errors count against the service,
+ * a rejected file is an answer.
+ * @param {function(): Promise<object>} request - Performs the axios request
+ * @param {string} label - Description used in log messages
+ * @param {function(number): void} onAttempt - Receives each attempt number
+ * @returns {object} - Axios response
+ * @throws {Error} The error of the last attempt, or the outage error of the breaker
+ */
+const sendRequest = (request, label, onAttempt = () => {}) =>
+  getBreaker("refine").run(
+    () => withRetry(async (attempt) => {
+      onAttempt(attempt);
+      refineLimiter = refineLimiter || createRateLimiter(CONFIG.refineRateLimit);
+      await refineLimiter.acquire();
+      return request();
+    }, { label }),
+    { isFailure: (error) => classifyError(error) === "transient" }
+  );
+
+/**
+ * Extracts the job ID from a submit response of the asynchronous protocol
+ * @param {object} response - Axios response of POST /refine
+ * @returns {string|null} - The job ID, or null for a synchronous result
+ */
+const getJobId = (response) => {
+  const data = response.data || {};
+  return data.job_id || data.jobId || null;
+};
+
+/**
+ * Polls the status endpoint of an asynchronous job with backoff until it
+ * completes, fails or CONFIG.refinementJobTimeout passes since submission
+ * @param {number} fileId - ID of the file being refined
+ * @param {string} jobId - Job ID returned by the submit request
+ * @param {string} submittedAt - ISO time the job was submitted
+ * @returns {object} - Result of the refinement
+ * @throws {Error} If the job failed or did not finish in time (with `jobEnded` set),
+ *                 if its status could not be read, or the outage error of the refine breaker
+ */
+const waitForJob = async (fileId, jobId, submittedAt) => {
+  const url = `${CONFIG.refinementServiceApiBaseUrl}${CONFIG.refinementJobStatusPath.replace("{jobId}", encodeURIComponent(jobId))}`;
+  const deadline = new Date(submittedAt).getTime() + CONFIG.refinementJobTimeout * 1000;
+  let interval = CONFIG.refinementJobPollInterval * 1000;
+
+  while (Date.now() < deadline) {
+    await sleep(Math.min(interval, Math.max(0, deadline - Date.now())));
+    interval = Math.min(MAX_JOB_POLL_INTERVAL_MS, interval * 1.5);
+
+    const { data } = await sendRequest(
+      () => axios.get(url, { headers }),
+      `Status of refinement job ${jobId} (file ${fileId})`
+    );
+    const status = String(data.status || "").toLowerCase();
+
+    if (["completed", "succeeded", "success", "done"].includes(status)) {
+      return data.result || data;
+    }
+    if (["failed", "error", "cancelled"].includes(status)) {
+      throw Object.assign(
+        new Error(`Refinement job ${jobId} failed: ${data.error || data.message || status}`),
+        { response: { data: data.error || data }, errorClass: "permanent", jobEnded: true }
+      );
+    }
+    console.log(`Refinement job ${jobId} for file ${fileId} is ${status || "pending"}`);
+  }
+
+  throw Object.assign(
+    new Error(`Refinement job ${jobId} did not finish within ${CONFIG.refinementJobTimeout}s`),
+    { errorClass: "transient", jobEnded: true }
+  );
+};
+
+/**
+ * Refines a file using the decrypted EEK.
+ * Supports both a synchronous /refine response and the asynchronous protocol,
+ * where /refine returns a job ID that is then polled until the job finishes.
  * @param {number} fileId - ID of the file to refine
  * @param {string} dataEncryptionKey - Decrypted Data Encryption Key
+ * @param {number|null} refinerId - ID of the refiner (default: CONFIG.refinerId)
  * @returns {object|null} - Result of refinement or null if it failed
+ * @throws {Error} If the refine circuit breaker gave up on an outage
  */
-const refineFile = async (fileId, dataEncryptionKey) => {
+const refineFile = async (fileId, dataEncryptionKey, refinerId = null) => {
+  const startedAt = Date.now();
+  const refiner = refinerId ?? CONFIG.refinerId;
+  // Jobs are kept per refiner, so the same file can be refined by several at once
+  const jobKey = `${refiner}:${fileId}`;
+  let attempts = 0;
+
   try {
-    const url = `${CONFIG.refinementServiceApiBaseUrl}/refine`;
-    console.log(`Refining file ${fileId} with URL: ${url}`);
-
-    // https://docs.pinata.cloud/api-reference/endpoint/ipfs/pin-json-to-ipfs
-    const body = {
-      file_id: fileId,
-      encryption_key: dataEncryptionKey,
-      refiner_id: CONFIG.refinerId,
-      env_vars: {
-        PINATA_API_JWT: CONFIG.pinataApiJwt,
-      },
-    };
-
-    const headers = {
-      Accept: "application/json, text/plain, */*",
-      "Accept-Language": "en-US",
-      Connection: "keep-alive",
-      "Content-Type": "application/json",
-    };
-
-    const response = await axios.post(url, body, { headers });
+    // Each request goes through the refine circuit breaker on its own, so a slow
+    // job neither holds the half-open probe nor counts as an outage
+    let job = jobStore.jobs[jobKey];
+    let result;
+
+    if (job) {
+      // A previous run submitted this file already, keep polling instead of resubmitting
+      console.log(`Resuming refinement job ${job.jobId} for file ${fileId}`);
+    } else {
+      const url = `${CONFIG.refinementServiceApiBaseUrl}/refine`;
+      console.log(`Refining file ${fileId} for refiner ${refiner} with URL: ${url}`);
+
+      // https://docs.pinata.cloud/api-reference/endpoint/ipfs/pin-json-to-ipfs
+      const body = {
+        file_id: fileId,
+        encryption_key: dataEncryptionKey,
+        refiner_id: refiner,
+        env_vars: {
+          PINATA_API_JWT: CONFIG.pinataApiJwt,
+        },
+      };
+
+      const response = await sendRequest(
+        () => axios.post(url, body, { headers }),
+        `Refinement of file ${fileId}`,
+        (attempt) => { attempts = attempt; }
+      );
+
+      const jobId = getJobId(response);
+      if (jobId) {
+        job = { jobId, submittedAt: new Date().toISOString() };
+        jobStore.jobs[jobKey] = job;
+        await jobStore.onChange();
+        console.log(`Submitted refinement job ${jobId} for file ${fileId}`);
+      } else {
+        result = response.data;
+      }
+    }
+
+    if (job) {
+      result = await waitForJob(fileId, job.jobId, job.submittedAt);
+      delete jobStore.jobs[jobKey];
+      await jobStore.onChange();
+    }
+
     console.log(`Successfully refined file ${fileId}`);
+    observeRefineRequest("success", Date.now() - startedAt);
 
-    await logToFile("success", fileId, response.data);
-    return response.data;
+    await logToFile("success", fileId, result, {
+      attempts,
+      phase: "refine",
+      durationMs: Date.now() - startedAt,
+      refinerId: refiner,
+    });
+    return result;
   } catch (error) {
+    // A given-up outage ends the run, the file was never refused by the service
+    if (error.breakerOutage) throw error;
+
     console.error(
       `Error refining file ${fileId}: ${error.message} ${JSON.stringify(
         error.response?.data
       )}`
     );
 
-    await logToFile("api-error", fileId, error.response?.data || error.message);
+    observeRefineRequest("error", Date.now() - startedAt);
+
+    // A failed or expired job is forgotten so the next run submits the file again;
+    // a job whose status could not be read stays in the store to be polled again
+    if (error.jobEnded && jobStore.jobs[jobKey]) {
+      delete jobStore.jobs[jobKey];
+      await jobStore.onChange();
+    }
+
+    await logToFile("api-error", fileId, error.response?.data || error.message, {
+      attempts,
+      errorClass: classifyError(error),
+      phase: "refine",
+      durationMs: Date.now() - startedAt,
+      refinerId: refiner,
+      error,
+    });
     return null;
   }
 };
 
 module.exports = {
-  refineFile
-};
\ No newline at end of file
+  refineFile,
+  useJobStore
+};
@@ -2,12 +2,56 @@
  * Smart contract interaction module for batch refinement
  */
 const ethers = require('ethers');
-const eccrypto = require('eccrypto');
 const { CONFIG } = require('../utils/config');
 const { logToFile } = require('../logs/logger');
+const { registerSecret } = require('../logs/redaction');
+const { withRetry, classifyError } = require('../utils/retry');
+const { initializeEndpoints, sendRpc, getQuorumEndpoints } = require('./endpoints');
+const { decryptWithKeyProvider } = require('../keys/providers');
 
-// Provider instance
-let provider;
+// Contract interfaces, built once and shared by every call
+const DLP_INTERFACE = new ethers.utils.Interface([
+  "function filesListAt(uint256 index) view returns (uint256)",
+  "function filesListCount() view returns (uint256)",
+]);
+const DATA_REGISTRY_INTERFACE = new ethers.utils.Interface([
+  "function filePermissions(uint256 fileId, address dlpAddress) view returns (string)",
+  "function fileRefinements(uint256 fileId, uint256 refinerId) view returns (string)",
+]);
+const DATA_REGISTRY_EVENTS_INTERFACE = new ethers.utils.Interface([
+  "event PermissionGranted(uint256 indexed fileId, address indexed account)",
+]);
+const MULTICALL_INTERFACE = new ethers.utils.Interface([
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)",
+]);
+
+// Whether the multicall contract is deployed on the connected chain (null until checked)
+let multicallAvailable = null;
+
+/**
+ * Makes a raw eth_call, retrying transient RPC failures
+ * @param {object} tx - Transaction request with `to` and `data`
+ * @param {string} method - Contract method being called, used in log messages
+ * @param {object} options - Call options
+ * @param {object|null} options.endpoint - RPC endpoint to use without failover (quorum reads)
+ * @returns {string} - Raw result of the call
+ */
+const callContract = (tx, method, { endpoint = null } = {}) =>
+  withRetry(
+    // Metrics use the bare method name, e.g. aggregate3 instead of aggregate3(20)
+    () => sendRpc(method.replace(/\(.*\)$/, ""), (provider) => provider.call(tx), { endpoint }),
+    { label: endpoint ? `RPC call ${method} on ${endpoint.label}` : `RPC call ${method}` }
+  );
+
+/**
+ * Builds the results.log metadata for a failed contract call
+ * @param {Error} error - Error thrown by callContract
+ * @returns {object} - Attempt count and error class
+ */
+const errorMeta = (error) => ({
+  attempts: error.attempts || 1,
+  errorClass: classifyError(error),
+});
 
 /**
  * Initializes the Ethereum contract connection
@@ -17,76 +61,445 @@ const initializeContract = () => {
     throw new Error("DATA_REGISTRY_ADDRESS environment variable must be set");
   }
 
-  // Create a provider with network information and ENS disabled
-  const network = {
-    chainId: 1480, // TODO - NEED TO FIX HARDCODING
-  };
+  // One provider per RPC URL, with failover between them (see endpoints.js)
+  initializeEndpoints();
+  multicallAvailable = null;
+  console.log(
+    `Connected to DataRegistry contract at ${CONFIG.dataRegistryAddress}` +
+    (CONFIG.profile ? ` (profile ${CONFIG.profile})` : "")
+  );
+};
+
+/**
+ * Checks once whether the multicall contract exists on the connected chain
+ * @returns {boolean} - True if reads can be aggregated through multicall
+ */
+const isMulticallAvailable = async () => {
+  if (multicallAvailable !== null) {
+    return multicallAvailable;
+  }
 
-  provider = new ethers.providers.JsonRpcProvider(CONFIG.rpcUrl, network);
-  console.log(`Connected to DataRegistry contract at ${CONFIG.dataRegistryAddress}`);
+  if (!CONFIG.multicallAddress) {
+    multicallAvailable = false;
+    return multicallAvailable;
+  }
+
+  try {
+    const code = await withRetry(
+      () => sendRpc("getCode", (provider) => provider.getCode(CONFIG.multicallAddress)),
+      { label: "RPC call getCode" }
+    );
+    multicallAvailable = code !== "0x";
+  } catch (error) {
+    if (error.breakerOutage) throw error;
+    console.error(`Unable to check multicall contract: ${error.message}`);
+    return false;
+  }
+
+  if (!multicallAvailable) {
+    console.log(
+      `No multicall contract at ${CONFIG.multicallAddress} - falling back to single calls`
+    );
+  }
+  return multicallAvailable;
 };
 
 /**
- * Retrieves the file ID stored at a given index in the registry
- * @param {ethers.BigNumber|number} index – Position in the files list
- * @returns {ethers.BigNumber|null} – The fileId at that index, or null on failure
+ * Makes a single read call and reports its outcome like aggregateCalls does
+ * @param {object} call - Call with `target`, `callData` and `method`
+ * @param {object} options - Call options passed to callContract
+ * @returns {object} - `{ success, returnData, error }`
+ * @throws {Error} If the rpc circuit breaker gave up on an outage, which ends the run
+ *                 instead of failing every file
  */
-const getFileAtIndex = async (index) => {
+const singleCall = async ({ target, callData, method }, options = {}) => {
   try {
-    const iface = new ethers.utils.Interface([
-      "function filesListAt(uint256 index) view returns (uint256)",
-    ]);
-    const data = iface.encodeFunctionData("filesListAt", [index]);
-    const result = await provider.call({
-      to: CONFIG.dlpAddress,
-      data,
-    });
-    if (result && result !== "0x") {
-      const [fileId] = iface.decodeFunctionResult("filesListAt", result);
+    const returnData = await callContract({ to: target, data: callData }, method, options);
+    return { success: true, returnData, error: null };
+  } catch (error) {
+    if (error.breakerOutage) throw error;
+    return { success: false, returnData: null, error };
+  }
+};
+
+/**
+ * Runs a list of read calls, aggregated through multicall when available.
+ * A failing call never fails the others: each entry reports its own outcome.
+ * @param {object[]} calls - Calls with `target`, `callData` and `method`
+ * @param {object} options - Call options passed to callContract
+ * @returns {object[]} - One `{ success, returnData, error }` per call, in order
+ */
+const aggregateCalls = async (calls, options = {}) => {
+  if (calls.length === 0) {
+    return [];
+  }
+
+  if (await isMulticallAvailable()) {
+    try {
+      const data = MULTICALL_INTERFACE.encodeFunctionData("aggregate3", [
+        calls.map(({ target, callData }) => ({ target, allowFailure: true, callData })),
+      ]);
+      const result = await callContract(
+        { to: CONFIG.multicallAddress, data },
+        `aggregate3(${calls.length})`,
+        options
+      );
+      const [returnData] = MULTICALL_INTERFACE.decodeFunctionResult("aggregate3", result);
+
+      return returnData.map((entry, i) => ({
+        success: entry.success,
+        returnData: entry.returnData,
+        error: entry.success
+          ? null
+          : Object.assign(new Error(`${calls[i].method} call reverted`), {
+            data: entry.returnData,
+            errorClass: "permanent",
+          }),
+      }));
+    } catch (error) {
+      if (error.breakerOutage) throw error;
+      console.error(
+        `Multicall of ${calls.length} calls failed: ${error.message} - falling back to single calls`
+      );
+    }
+  }
+
+  return Promise.all(calls.map((call) => singleCall(call, options)));
+};
+
+/**
+ * Runs fileRefinements read calls on CONFIG.rpcQuorum distinct endpoints and only
+ * accepts results they all agree on. A lagging node reports a file as not refined
+ * yet, which would cause a duplicate refinement, so a disagreement is a failed read.
+ * @param {object[]} calls - Calls with `target`, `callData` and `method`
+ * @returns {object[]} - One `{ success, returnData, error }` per call, in order
+ */
+const quorumCalls = async (calls) => {
+  if (CONFIG.rpcQuorum <= 1 || calls.length === 0) {
+    return aggregateCalls(calls);
+  }
+
+  const quorumEndpoints = getQuorumEndpoints(CONFIG.rpcQuorum);
+  const reads = await Promise.all(
+    quorumEndpoints.map((endpoint) => aggregateCalls(calls, { endpoint }))
+  );
+
+  return calls.map((call, i) => {
+    const results = reads.map((read) => read[i]);
+    const failed = results.find((result) => !result.success);
+    if (failed) return failed;
+
+    if (results.some((result) => result.returnData !== results[0].returnData)) {
+      return {
+        success: false,
+        returnData: null,
+        error: Object.assign(
+          new Error(
+            `${call.method} quorum not reached: ${quorumEndpoints.map((endpoint) => endpoint.label).join(", ")} disagree`
+          ),
+          { errorClass: "transient" }
+        ),
+      };
+    }
+    return results[0];
+  });
+};
+
+/**
+ * Builds the filesListAt call for an index
+ * @param {ethers.BigNumber|number} index - Position in the files list
+ * @returns {object} - Call description
+ */
+const filesListAtCall = (index) => ({
+  target: CONFIG.dlpAddress,
+  callData: DLP_INTERFACE.encodeFunctionData("filesListAt", [index]),
+  method: "filesListAt",
+});
+
+/**
+ * Builds the filePermissions call for a file
+ * @param {number} fileId - ID of the file
+ * @returns {object} - Call description
+ */
+const filePermissionsCall = (fileId) => ({
+  target: CONFIG.dataRegistryAddress,
+  callData: DATA_REGISTRY_INTERFACE.encodeFunctionData("filePermissions", [
+    fileId,
+    CONFIG.dlpAddress,
+  ]),
+  method: "filePermissions",
+});
+
+/**
+ * Builds the fileRefinements call for a file
+ * @param {number} fileId - ID of the file
+ * @param {number} refinerId - ID of the refiner
+ * @returns {object} - Call description
+ */
+const fileRefinementsCall = (fileId, refinerId) => ({
+  target: CONFIG.dataRegistryAddress,
+  callData: DATA_REGISTRY_INTERFACE.encodeFunctionData("fileRefinements", [
+    fileId,
+    refinerId,
+  ]),
+  method: "fileRefinements",
+});
+
+/**
+ * Interprets the outcome of a filesListAt call
+ * @param {ethers.BigNumber|number} index - Position in the files list
+ * @param {object} call - Outcome from aggregateCalls or singleCall
+ * @returns {ethers.BigNumber|null} - The fileId at that index, or null on failure
+ */
+const handleFilesListAtResult = (index, call) => {
+  if (!call.success) {
+    console.error(`Error fetching file at index ${index}: ${call.error.message}`);
+    return null;
+  }
+
+  if (call.returnData && call.returnData !== "0x") {
+    try {
+      const [fileId] = DLP_INTERFACE.decodeFunctionResult("filesListAt", call.returnData);
       return fileId; // ethers.BigNumber
+    } catch (error) {
+      console.error(`Error fetching file at index ${index}: ${error.message}`);
     }
+  }
+  return null;
+};
+
+/**
+ * Logs a failed contract call with all available error details
+ * @param {string} description - What the call was doing
+ * @param {number} fileId - ID of the file being processed
+ * @param {Error} error - Error of the call
+ * @param {object} meta - Extra results.log metadata (e.g. refinerId)
+ * @param {boolean} record - Set to false to leave results.log untouched
+ */
+const logContractError = async (description, fileId, error, meta = {}, record = true) => {
+  console.error(`Error ${description} for file ${fileId} from contract: ${error.message}`);
+  // Print more error details if available
+  if (error.code) console.error(`Error code: ${error.code}`);
+  if (error.reason) console.error(`Error reason: ${error.reason}`);
+  if (error.data) console.error(`Error data: ${error.data}`);
+
+  if (record) await logToFile("contract-error", fileId, error, { ...errorMeta(error), phase: "lookup", ...meta });
+};
+
+/**
+ * Logs return data of a lookup that could not be decoded
+ * @param {number} fileId - ID of the file
+ * @param {Error} decodeError - Error of the decoding
+ * @param {object} meta - Extra results.log metadata (e.g. refinerId)
+ * @param {boolean} record - Set to false to leave results.log untouched
+ */
+const logDecodeError = async (fileId, decodeError, meta = {}, record = true) => {
+  console.error(`Error decoding result: ${decodeError.message}`);
+  if (record) {
+    await logToFile("contract-error", fileId, {
+      message: decodeError.message,
+    }, { errorClass: "permanent", phase: "lookup", ...meta });
+  }
+};
+
+/**
+ * Decodes the return data of a DataRegistry call. Empty return data is an error:
+ * a call to an address without code (e.g. a wrong registry address) succeeds with "0x".
+ * @param {string} method - Name of the DataRegistry function
+ * @param {string} result - Return data of the call
+ * @returns {ethers.utils.Result} - Decoded values
+ * @throws {Error} If the return data is empty or cannot be decoded
+ */
+const decodeRegistryResult = (method, result) => {
+  if (!result || result === "0x") {
+    throw new Error(`Empty return data from ${method} on ${CONFIG.dataRegistryAddress}`);
+  }
+  return DATA_REGISTRY_INTERFACE.decodeFunctionResult(method, result);
+};
+
+/**
+ * Interprets the outcome of a filePermissions call
+ * @param {number} fileId - ID of the file
+ * @param {object} call - Outcome from aggregateCalls or singleCall
+ * @param {boolean} record - Set to false to leave results.log untouched
+ * @returns {string|null} - The EEK, "" if the file has none, or null if the permissions
+ *                          could not be read (the contract-error row is logged)
+ */
+const handleFilePermissionsResult = async (fileId, call, record = true) => {
+  if (!call.success) {
+    await logContractError("checking permissions", fileId, call.error, {}, record);
     return null;
-  } catch (error) {
-    console.error(`Error fetching file at index ${index}: ${error.message}`);
+  }
+
+  const result = call.returnData;
+  console.log(`Got raw result: ${(result || "").slice(0, 50)}...`);
+
+  let decoded;
+  try {
+    decoded = decodeRegistryResult("filePermissions", result);
+  } catch (decodeError) {
+    await logDecodeError(fileId, decodeError, {}, record);
+    return null;
+  }
+  console.log(`Successfully decoded result`);
+
+  if (decoded[0]) {
+    console.log(`Found EEK for file ${fileId}`);
+    return decoded[0];
+  }
+
+  console.log(`No EEK found for file ${fileId}`);
+  return "";
+};
+
+/**
+ * Interprets the outcome of a fileRefinements call
+ * @param {number} fileId - ID of the file
+ * @param {number} refinerId - ID of the refiner
+ * @param {object} call - Outcome from aggregateCalls or singleCall
+ * @param {boolean} record - Set to false to leave results.log untouched
+ * @returns {boolean|null} - True if the file has been refined, false if not, null if the
+ *                           state could not be read (the contract-error row is logged)
+ */
+const handleFileRefinementResult = async (fileId, refinerId, call, record = true) => {
+  if (!call.success) {
+    await logContractError("checking refinement", fileId, call.error, { refinerId }, record);
+    return null;
+  }
+
+  const result = call.returnData;
+  console.log(`Got raw result: ${(result || "").slice(0, 50)}...`);
+
+  let decoded;
+  try {
+    decoded = decodeRegistryResult("fileRefinements", result);
+  } catch (decodeError) {
+    await logDecodeError(fileId, decodeError, { refinerId }, record);
     return null;
   }
+  console.log(`Successfully decoded result`);
+
+  if (decoded[0]) {
+    console.log(
+      `File ${fileId} has ALREADY been refined by refiner ${refinerId}`
+    );
+    if (record) {
+      await logToFile("info", fileId, {
+        status: "already_refined",
+        refinerId,
+      }, { phase: "lookup", refinerId });
+    }
+    return true;
+  }
+
+  console.log(
+    `File ${fileId} has NOT been refined by refiner ${refinerId} yet`
+  );
+  if (record) {
+    await logToFile("info", fileId, {
+      status: "not_refined",
+      refinerId,
+    }, { phase: "lookup", refinerId });
+  }
+  return false;
 };
 
+/**
+ * Retrieves the file ID stored at a given index in the registry
+ * @param {ethers.BigNumber|number} index – Position in the files list
+ * @returns {ethers.BigNumber|null} – The fileId at that index, or null on failure
+ */
+const getFileAtIndex = async (index) =>
+  handleFilesListAtResult(index, await singleCall(filesListAtCall(index)));
+
+/**
+ * Retrieves the file IDs stored at several indices with one aggregated read
+ * @param {number[]} indices – Positions in the files list
+ * @returns {(ethers.BigNumber|null)[]} – The fileId at each index, or null on failure
+ */
+const getFilesAtIndices = async (indices) => {
+  const calls = await aggregateCalls(indices.map(filesListAtCall));
+  return calls.map((call, i) => handleFilesListAtResult(indices[i], call));
+};
+
+/**
+ * Retrieves the length of the DLP's files list
+ * @returns {number} - Number of files in the list
+ * @throws {Error} If the call fails, so callers never mistake an outage for an empty list
+ */
+const getFilesListCount = async () => {
+  const result = await callContract({
+    to: CONFIG.dlpAddress,
+    data: DLP_INTERFACE.encodeFunctionData("filesListCount", []),
+  }, "filesListCount");
+  const [count] = DLP_INTERFACE.decodeFunctionResult("filesListCount", result);
+  return count.toNumber();
+};
+
+/**
+ * Retrieves the latest block number
+ * @returns {number} - Current block number
+ */
+const getBlockNumber = () =>
+  withRetry(() => sendRpc("getBlockNumber", (provider) => provider.getBlockNumber()), {
+    label: "RPC call getBlockNumber",
+  });
+
+/**
+ * Retrieves the IDs of files the DLP was granted permission to in a block range
+ * @param {number} fromBlock - First block of the range
+ * @param {number} toBlock - Last block of the range
+ * @param {object} options - Call options
+ * @param {number} options.maxAttempts - Attempts before giving up (callers splitting ranges use 1)
+ * @returns {object[]} - `{ fileId, blockNumber }` for each PermissionGranted event
+ */
+const getPermissionGrantedFileIds = async (fromBlock, toBlock, { maxAttempts } = {}) => {
+  const filter = {
+    address: CONFIG.dataRegistryAddress,
+    topics: DATA_REGISTRY_EVENTS_INTERFACE.encodeFilterTopics("PermissionGranted", [
+      null,
+      CONFIG.dlpAddress,
+    ]),
+    fromBlock,
+    toBlock,
+  };
+
+  const logs = await withRetry(() => sendRpc("getLogs", (provider) => provider.getLogs(filter)), {
+    label: `RPC call getLogs(${fromBlock}-${toBlock})`,
+    maxAttempts,
+  });
+
+  return logs.map((log) => ({
+    fileId: DATA_REGISTRY_EVENTS_INTERFACE.parseLog(log).args.fileId.toNumber(),
+    blockNumber: log.blockNumber,
+  }));
+};
 
 /**
  * Decrypts the Encrypted Encryption Key (EEK) using the DLP Private Key
  * @param {string} encryptedEEK - The encrypted EEK
  * @param {number} fileId - ID of the file being processed
  * @returns {string|null} - Decrypted EEK or null if decryption failed
+ * @throws {Error} If the decryptor circuit breaker gave up on an outage
  */
 const decryptEEK = async (encryptedEEK, fileId) => {
   try {
-    const privateKeyBuffer = Buffer.from(
-      CONFIG.dlpPrivateKey.startsWith("0x")
-        ? CONFIG.dlpPrivateKey.slice(2)
-        : CONFIG.dlpPrivateKey,
-      "hex"
-    );
-
-    // Split encryptedHex into components
-    const encryptedBuffer = Buffer.from(encryptedEEK, "hex");
-    const iv = encryptedBuffer.slice(0, 16);
-    const ephemPublicKey = encryptedBuffer.slice(16, 81);
-    const ciphertext = encryptedBuffer.slice(81, encryptedBuffer.length - 32);
-    const mac = encryptedBuffer.slice(encryptedBuffer.length - 32);
-
-    const decryptedBuffer = await eccrypto.decrypt(privateKeyBuffer, {
-      iv,
-      ephemPublicKey,
-      ciphertext,
-      mac,
-    });
-
-    return decryptedBuffer.toString();
+    // The key provider (env, keystore or decryptor socket) holds the DLP key
+    const dataEncryptionKey = await decryptWithKeyProvider(encryptedEEK);
+    // Mask the key in every log line until the caller is done with it
+    registerSecret(dataEncryptionKey);
+    return dataEncryptionKey;
   } catch (error) {
+    // A given-up decryptor outage ends the run, the EEK itself may be fine
+    if (error.breakerOutage) throw error;
+
     console.error(`decryptEEK error for EEK: ${error.message}`);
     if (fileId) {
-      await logToFile("decrypt-error", fileId, error.message);
+      await logToFile("decrypt-error", fileId, error.message, {
+        ...errorMeta(error),
+        phase: "decrypt",
+        error,
+      });
     }
     return null;
   }
@@ -96,65 +509,20 @@ const decryptEEK = async (encryptedEEK, fileId) => {
  * Checks file permissions and gets the EEK from the DataRegistry contract
  * @param {number} fileId - ID of the file to check
  * @returns {string|null} - The EEK or null if not found
+ * @throws {Error} If the permissions cannot be read, as "no EEK" would skip the file
  */
 const getFilePermissions = async (fileId) => {
-  try {
-    console.log(
-      `Checking file permissions for ID: ${fileId} with address: ${CONFIG.dlpAddress}`
-    );
-
-    // Create a contract interface manually
-    const iface = new ethers.utils.Interface([
-      "function filePermissions(uint256 fileId, address dlpAddress) view returns (string)",
-    ]);
+  console.log(
+    `Checking file permissions for ID: ${fileId} with address: ${CONFIG.dlpAddress}`
+  );
+  console.log(`Making raw call to contract ${CONFIG.dataRegistryAddress}`);
 
-    // Encode the function call data manually to avoid ENS resolution
-    const data = iface.encodeFunctionData("filePermissions", [
-      fileId,
-      CONFIG.dlpAddress,
-    ]);
-
-    // Make a raw call to the contract
-    console.log(`Making raw call to contract ${CONFIG.dataRegistryAddress}`);
-    const result = await provider.call({
-      to: CONFIG.dataRegistryAddress,
-      data,
-    });
-
-    console.log(`Got raw result: ${result.slice(0, 50)}...`);
-
-    // If we got a result, decode it
-    if (result && result !== "0x") {
-      try {
-        const decoded = iface.decodeFunctionResult("filePermissions", result);
-        console.log(`Successfully decoded result`);
-
-        if (decoded && decoded[0] && decoded[0] !== "") {
-          console.log(`Found EEK for file ${fileId}`);
-          return decoded[0];
-        }
-      } catch (decodeError) {
-        console.error(`Error decoding result: ${decodeError.message}`);
-        await logToFile("contract-error", fileId, {
-          message: decodeError.message,
-        });
-      }
-    }
-
-    console.log(`No EEK found for file ${fileId}`);
-    return null;
-  } catch (error) {
-    console.error(
-      `Error checking permissions for file ${fileId} from contract: ${error.message}`
-    );
-    // Print more error details if available
-    if (error.code) console.error(`Error code: ${error.code}`);
-    if (error.reason) console.error(`Error reason: ${error.reason}`);
-    if (error.data) console.error(`Error data: ${error.data}`);
-
-    await logToFile("contract-error", fileId, error);
-    return null;
+  const call = await singleCall(filePermissionsCall(fileId));
+  const encryptedEEK = await handleFilePermissionsResult(fileId, call);
+  if (encryptedEEK === null) {
+    throw call.success ? new Error(`Unable to decode the permissions of file ${fileId}`) : call.error;
   }
+  return encryptedEEK || null;
 };
 
 /**
@@ -162,79 +530,122 @@ const getFilePermissions = async (fileId) => {
  * @param {number} fileId - ID of the file to check
  * @param {number|null} refinerId - ID of the refiner
  * @returns {boolean} - True if the file has been refined, false otherwise
+ * @throws {Error} If the refinement state cannot be read, as "not refined" would get
+ *         the file refined twice
  */
 const checkFileRefinement = async (fileId, refinerId = null) => {
-  try {
-    refinerId = refinerId || CONFIG.refinerId;
+  refinerId = refinerId ?? CONFIG.refinerId;
 
-    console.log(
-      `Checking if file ${fileId} has been refined by refiner ${refinerId}`
-    );
+  console.log(
+    `Checking if file ${fileId} has been refined by refiner ${refinerId}`
+  );
+  console.log(`Making raw call to contract ${CONFIG.dataRegistryAddress}`);
 
-    // Create a contract interface manually
-    const iface = new ethers.utils.Interface([
-      "function fileRefinements(uint256 fileId, uint256 refinerId) view returns (string)",
-    ]);
+  const [call] = await quorumCalls([fileRefinementsCall(fileId, refinerId)]);
+  const refined = await handleFileRefinementResult(fileId, refinerId, call);
+  if (refined === null) {
+    throw call.success ? new Error(`Unable to decode the refinement of file ${fileId} by refiner ${refinerId}`) : call.error;
+  }
+  return refined;
+};
 
-    // Encode the function call data manually to avoid ENS resolution
-    const data = iface.encodeFunctionData("fileRefinements", [
-      fileId,
-      refinerId,
+/**
+ * Looks up the EEK and the refinement state for every refiner of several files
+ * with one aggregated read. The refinement state is only interpreted for files that have an EEK.
+ * @param {number[]} fileIds - IDs of the files to check
+ * @param {number[]|null} refinerIds - IDs of the refiners (default: CONFIG.refinerIds)
+ * @param {object} options - Lookup options
+ * @param {boolean} options.record - Set to false to write no results.log rows, for
+ *        diagnostics that must not change what retry-failed and report see
+ * @returns {object[]} - One `{ fileId, encryptedEEK, refined, isRefined, error }` per file, in order;
+ *                       `refined` maps refinerId → boolean, `isRefined` is true when every
+ *                       refiner refined the file, `error` is the failure of a lookup the
+ *                       result depends on, or null
+ */
+const getFileLookups = async (fileIds, refinerIds = null, { record = true } = {}) => {
+  refinerIds = refinerIds || CONFIG.refinerIds;
+  const callsPerFile = 1 + refinerIds.length;
+
+  console.log(
+    `Checking permissions and refinement state of ${fileIds.length} files (refiners ${refinerIds.join(", ")})`
+  );
+  let calls;
+  if (CONFIG.rpcQuorum > 1) {
+    // Refinement state goes through the quorum, permissions through a single endpoint
+    const [permissions, refinements] = await Promise.all([
+      aggregateCalls(fileIds.map(filePermissionsCall)),
+      quorumCalls(fileIds.flatMap((fileId) => refinerIds.map((refinerId) => fileRefinementsCall(fileId, refinerId)))),
     ]);
+    calls = fileIds.flatMap((fileId, i) => [
+      permissions[i],
+      ...refinements.slice(refinerIds.length * i, refinerIds.length * (i + 1)),
+    ]);
+  } else {
+    calls = await aggregateCalls(
+      fileIds.flatMap((fileId) => [
+        filePermissionsCall(fileId),
+        ...refinerIds.map((refinerId) => fileRefinementsCall(fileId, refinerId)),
+      ])
+    );
+  }
 
-    // Make a raw call to the contract
-    console.log(`Making raw call to contract ${CONFIG.dataRegistryAddress}`);
-    const result = await provider.call({
-      to: CONFIG.dataRegistryAddress,
-      data,
-    });
-
-    console.log(`Got raw result: ${result.slice(0, 50)}...`);
-
-    // If we got a result, decode it
-    if (result && result !== "0x") {
-      try {
-        const decoded = iface.decodeFunctionResult("fileRefinements", result);
-        console.log(`Successfully decoded result`);
-
-        if (decoded && decoded[0] && decoded[0] !== "") {
-          console.log(
-            `File ${fileId} has ALREADY been refined by refiner ${refinerId}`
-          );
-          await logToFile("info", fileId, {
-            status: "already_refined",
-            refinerId,
-          });
-          return true;
+  return Promise.all(
+    fileIds.map(async (fileId, i) => {
+      const permissionsCall = calls[callsPerFile * i];
+      const refinementCalls = calls.slice(callsPerFile * i + 1, callsPerFile * (i + 1));
+      const permissions = await handleFilePermissionsResult(fileId, permissionsCall, record);
+      const encryptedEEK = permissions || null;
+
+      const refined = {};
+      let unreadable = null;
+      for (const [j, refinerId] of refinerIds.entries()) {
+        const state = encryptedEEK
+          ? await handleFileRefinementResult(fileId, refinerId, refinementCalls[j], record)
+          : false;
+        if (state === null && !unreadable) {
+          unreadable = refinementCalls[j].success
+            ? new Error(`Unable to decode the refinement of file ${fileId} by refiner ${refinerId}`)
+            : refinementCalls[j].error;
         }
-      } catch (decodeError) {
-        console.error(`Error decoding result: ${decodeError.message}`);
-        await logToFile("contract-error", fileId, {
-          message: decodeError.message,
-        });
+        refined[refinerId] = state === true;
       }
-    }
 
-    console.log(
-      `File ${fileId} has NOT been refined by refiner ${refinerId} yet`
-    );
-    await logToFile("info", fileId, {
-      status: "not_refined",
-      refinerId,
-    });
-    return false;
-  } catch (error) {
-    console.error(
-      `Error checking refinement for file ${fileId}: ${error.message}`
-    );
-    // Print more error details if available
-    if (error.code) console.error(`Error code: ${error.code}`);
-    if (error.reason) console.error(`Error reason: ${error.reason}`);
-    if (error.data) console.error(`Error data: ${error.data}`);
+      // Only a cleanly decoded empty EEK means "no EEK"
+      let error = null;
+      if (!permissionsCall.success) error = permissionsCall.error;
+      else if (permissions === null) error = new Error(`Unable to decode the permissions of file ${fileId}`);
+      else if (unreadable) error = unreadable;
 
-    await logToFile("contract-error", fileId, error);
-    return false;
-  }
+      const isRefined = refinerIds.every((refinerId) => refined[refinerId]);
+      return { fileId, encryptedEEK, refined, isRefined, error };
+    })
+  );
+};
+
+/**
+ * Reads the raw fileRefinements value (the refinement URL/CID) for several files
+ * @param {number[]} fileIds - IDs of the files to read
+ * @param {number|null} refinerId - ID of the refiner
+ * @returns {object[]} - One `{ fileId, value, error }` per file, in order; `value` is "" when not refined
+ */
+const getFileRefinementValues = async (fileIds, refinerId = null) => {
+  refinerId = refinerId ?? CONFIG.refinerId;
+
+  const calls = await quorumCalls(
+    fileIds.map((fileId) => fileRefinementsCall(fileId, refinerId))
+  );
+
+  return calls.map((call, i) => {
+    if (!call.success) {
+      return { fileId: fileIds[i], value: null, error: call.error };
+    }
+    try {
+      const [value] = decodeRegistryResult("fileRefinements", call.returnData);
+      return { fileId: fileIds[i], value, error: null };
+    } catch (error) {
+      return { fileId: fileIds[i], value: null, error };
+    }
+  });
 };
 
 module.exports = {
@@ -242,5 +653,11 @@ module.exports = {
   decryptEEK,
   getFilePermissions,
   checkFileRefinement,
-  getFileAtIndex
+  getFileAtIndex,
+  getFilesAtIndices,
+  getFilesListCount,
+  getFileLookups,
+  getFileRefinementValues,
+  getBlockNumber,
+  getPermissionGrantedFileIds
 };
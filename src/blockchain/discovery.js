@@ -0,0 +1,152 @@
+/**
+ * Event-based file discovery module for batch refinement
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { CONFIG } = require('../utils/config');
+const { getBlockNumber, getPermissionGrantedFileIds } = require('./contract');
+
+/**
+ * Returns the path of the discovery cache file
+ * @returns {string} - Absolute path of the cache file
+ */
+const getDiscoveryCachePath = () => path.join(CONFIG.logDir, "discovery-cache.json");
+
+/**
+ * Loads the discovery cache if it belongs to the configured contracts
+ * @returns {object|null} - `{ fromBlock, lastScannedBlock, files }` or null
+ */
+const loadDiscoveryCache = async () => {
+  let cache;
+  try {
+    cache = JSON.parse(await fs.readFile(getDiscoveryCachePath(), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw new Error(`Unable to read discovery cache ${getDiscoveryCachePath()}: ${error.message}`);
+  }
+
+  if (
+    cache.dataRegistryAddress !== CONFIG.dataRegistryAddress ||
+    cache.dlpAddress !== CONFIG.dlpAddress
+  ) {
+    console.log("Discovery cache belongs to other contracts - ignoring it");
+    return null;
+  }
+  return cache;
+};
+
+/**
+ * Writes the discovery cache atomically
+ * @param {object} cache - Cache to persist
+ */
+const saveDiscoveryCache = async (cache) => {
+  const cachePath = getDiscoveryCachePath();
+  const tmpPath = `${cachePath}.tmp`;
+
+  await fs.mkdir(CONFIG.logDir, { recursive: true });
+  await fs.writeFile(tmpPath, JSON.stringify({
+    ...cache,
+    dataRegistryAddress: CONFIG.dataRegistryAddress,
+    dlpAddress: CONFIG.dlpAddress,
+    updatedAt: new Date().toISOString(),
+  }));
+  await fs.rename(tmpPath, cachePath);
+};
+
+/**
+ * Scans PermissionGranted events for the DLP over a block range.
+ * Requests start at CONFIG.logsChunkSize blocks; a failing request is split in
+ * half until it succeeds, and the size grows back after each success without
+ * reaching a size that already failed.
+ * @param {number} fromBlock - First block to scan
+ * @param {number} toBlock - Last block to scan
+ * @param {function(object[], number): Promise<void>} onChunk - Called with the events
+ *        of each scanned chunk and the last block it covered
+ */
+const scanPermissionLogs = async (fromBlock, toBlock, onChunk) => {
+  const maxChunkSize = Math.max(1, CONFIG.logsChunkSize);
+  let chunkSize = maxChunkSize;
+  // Smallest range size the node has rejected so far
+  let failedSize = Infinity;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = Math.min(toBlock, start + chunkSize - 1);
+
+    let events;
+    try {
+      // Single attempt for splittable ranges: splitting is the retry
+      events = await getPermissionGrantedFileIds(start, end, {
+        maxAttempts: end > start ? 1 : undefined,
+      });
+    } catch (error) {
+      if (error.breakerOutage) throw error;
+      if (end === start) {
+        throw new Error(`eth_getLogs failed for block ${start}: ${error.message}`);
+      }
+      failedSize = Math.min(failedSize, end - start + 1);
+      chunkSize = Math.max(1, Math.floor(failedSize / 2));
+      console.log(
+        `eth_getLogs failed for blocks ${start}-${end} (${error.message}) - retrying with ${chunkSize} blocks`
+      );
+      continue;
+    }
+
+    await onChunk(events, end);
+    start = end + 1;
+    chunkSize = Math.max(1, Math.min(maxChunkSize, chunkSize * 2, failedSize - 1));
+  }
+};
+
+/**
+ * Finds the IDs of files the DLP has permission to, using and extending the cache
+ * @param {object} options - Discovery options
+ * @param {number|null} options.fromBlock - First block of interest (default: CONFIG.discoveryStartBlock)
+ * @param {number|null} options.toBlock - Last block of interest (default: latest)
+ * @returns {number[]} - Discovered file IDs in the block range, highest first
+ */
+const discoverFileIds = async ({ fromBlock = null, toBlock = null } = {}) => {
+  const firstBlock = fromBlock ?? CONFIG.discoveryStartBlock;
+  const lastBlock = toBlock ?? await getBlockNumber();
+
+  // files maps fileId → block of its PermissionGranted event
+  let cache = await loadDiscoveryCache();
+  let scanFrom = firstBlock;
+
+  if (cache && cache.fromBlock <= firstBlock && cache.lastScannedBlock >= firstBlock - 1) {
+    // The cache covers the start of the range, only scan what it is missing
+    scanFrom = Math.max(firstBlock, cache.lastScannedBlock + 1);
+  } else {
+    cache = { fromBlock: firstBlock, lastScannedBlock: firstBlock - 1, files: {} };
+  }
+
+  if (scanFrom <= lastBlock) {
+    console.log(`Scanning PermissionGranted events for ${CONFIG.dlpAddress} in blocks ${scanFrom}-${lastBlock}`);
+
+    await scanPermissionLogs(scanFrom, lastBlock, async (events, scannedTo) => {
+      for (const { fileId, blockNumber } of events) {
+        cache.files[fileId] = blockNumber;
+      }
+      cache.lastScannedBlock = Math.max(cache.lastScannedBlock, scannedTo);
+      await saveDiscoveryCache(cache);
+    });
+  } else {
+    console.log(`Blocks ${firstBlock}-${lastBlock} are already in the discovery cache`);
+  }
+
+  const fileIds = Object.entries(cache.files)
+    .filter(([, blockNumber]) => blockNumber >= firstBlock && blockNumber <= lastBlock)
+    .map(([fileId]) => Number(fileId))
+    .sort((a, b) => b - a);
+
+  console.log(`Discovered ${fileIds.length} files with permission for ${CONFIG.dlpAddress}`);
+  return fileIds;
+};
+
+module.exports = {
+  getDiscoveryCachePath,
+  scanPermissionLogs,
+  discoverFileIds
+};
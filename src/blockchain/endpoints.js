@@ -0,0 +1,273 @@
+/**
+ * RPC endpoint module for batch refinement
+ */
+const ethers = require('ethers');
+const { CONFIG } = require('../utils/config');
+const { observeRpcRequest } = require('../logs/metrics');
+const { classifyError } = require('../utils/retry');
+const { createRateLimiter } = require('../utils/scheduler');
+const { getBreaker } = require('../utils/breaker');
+
+// One entry per RPC URL, in order of preference:
+// { url, label, provider, healthy, reason, chainVerified, blockNumber }
+let endpoints = [];
+
+// Token bucket shared by every RPC request, whichever endpoint serves it
+let rpcLimiter = createRateLimiter(0);
+
+// Background health check timer, when there is more than one endpoint
+let healthTimer = null;
+
+/**
+ * Returns a printable name for an RPC URL; paths and credentials often hold API keys
+ * @param {string} url - RPC URL
+ * @returns {string} - Host of the URL
+ */
+const describeUrl = (url) => {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return "invalid URL";
+  }
+};
+
+/**
+ * Creates the provider of an endpoint
+ * @param {string} url - RPC URL
+ * @returns {ethers.providers.StaticJsonRpcProvider} - Provider with ENS disabled; without a
+ *          configured chain ID it reads the chain ID from the node once
+ */
+const createProvider = (url) => {
+  // Profile names such as "mainnet" would collide with ethers' built-in networks
+  const network = CONFIG.chainId ? { chainId: CONFIG.chainId, name: "unknown" } : undefined;
+  return new ethers.providers.StaticJsonRpcProvider({ url, timeout: CONFIG.rpcTimeout * 1000 }, network);
+};
+
+/**
+ * Creates one endpoint per CONFIG.rpcUrls entry
+ */
+const initializeEndpoints = () => {
+  endpoints = CONFIG.rpcUrls.map((url) => ({
+    url,
+    label: describeUrl(url),
+    provider: createProvider(url),
+    healthy: true,
+    reason: null,
+    chainVerified: false,
+    blockNumber: null,
+  }));
+  rpcLimiter = createRateLimiter(CONFIG.rpcRateLimit);
+};
+
+/**
+ * Marks an endpoint healthy or unhealthy, logging changes
+ * @param {object} endpoint - Endpoint to update
+ * @param {boolean} healthy - New state
+ * @param {string|null} reason - Why the endpoint is unhealthy
+ */
+const setHealth = (endpoint, healthy, reason = null) => {
+  if (endpoint.healthy && !healthy) {
+    console.error(`RPC endpoint ${endpoint.label} marked unhealthy: ${reason}`);
+  } else if (!endpoint.healthy && healthy) {
+    console.log(`RPC endpoint ${endpoint.label} is healthy again`);
+  }
+  endpoint.healthy = healthy;
+  endpoint.reason = healthy ? null : reason;
+};
+
+/**
+ * Lists the endpoints in the order they should be tried: healthy ones in
+ * configured order, then unhealthy ones as a last resort
+ * @returns {object[]} - Endpoints
+ */
+const getEndpointOrder = () => [
+  ...endpoints.filter((endpoint) => endpoint.healthy),
+  ...endpoints.filter((endpoint) => !endpoint.healthy),
+];
+
+/**
+ * Sends one RPC request to the first candidate endpoint that answers
+ * @param {string} method - Contract or RPC method, used as the metrics label
+ * @param {function(ethers.providers.JsonRpcProvider): Promise<any>} request - Performs the request
+ * @param {object[]} candidates - Endpoints to try, in order
+ * @returns {any} - Result of the request
+ */
+const sendToEndpoints = async (method, request, candidates) => {
+  let lastError = null;
+
+  for (const [i, candidate] of candidates.entries()) {
+    await rpcLimiter.acquire();
+    const startedAt = Date.now();
+    try {
+      const result = await request(candidate.provider);
+      observeRpcRequest(method, "success", Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      observeRpcRequest(method, "error", Date.now() - startedAt);
+      if (classifyError(error) !== "transient") throw error;
+
+      lastError = error;
+      if (candidates.length > 1) setHealth(candidate, false, error.message);
+      if (i < candidates.length - 1) {
+        console.error(`RPC ${method} failed on ${candidate.label}: ${error.message} - trying ${candidates[i + 1].label}`);
+      }
+    }
+  }
+  throw lastError;
+};
+
+/**
+ * Sends one RPC request through the rate limiter and records its latency.
+ * Transient failures (timeouts, connection and server errors) mark the endpoint
+ * unhealthy and move on to the next one; other errors, such as reverts, are answers
+ * of the chain and are thrown at once. Requests failing on every endpoint count
+ * against the rpc circuit breaker, and wait while it is open.
+ * @param {string} method - Contract or RPC method, used as the metrics label
+ * @param {function(ethers.providers.JsonRpcProvider): Promise<any>} request - Performs the request
+ * @param {object} options - Request options
+ * @param {object|null} options.endpoint - Send to this endpoint only, without failover
+ *        and without the circuit breaker (health checks, quorum reads)
+ * @returns {any} - Result of the request
+ */
+const sendRpc = async (method, request, { endpoint = null } = {}) => {
+  if (endpoint) return sendToEndpoints(method, request, [endpoint]);
+
+  return getBreaker("rpc").run(
+    () => sendToEndpoints(method, request, getEndpointOrder()),
+    { isFailure: (error) => classifyError(error) === "transient" }
+  );
+};
+
+/**
+ * Returns the endpoints a quorum read is spread over
+ * @param {number} count - Number of endpoints wanted
+ * @returns {object[]} - Up to `count` distinct endpoints, healthy ones first
+ */
+const getQuorumEndpoints = (count) => getEndpointOrder().slice(0, count);
+
+/**
+ * Describes the endpoints for status output, without their URLs
+ * @returns {object[]} - `{ label, healthy, reason, blockNumber }` per endpoint
+ */
+const getEndpointStatus = () =>
+  endpoints.map(({ label, healthy, reason, blockNumber }) => ({ label, healthy, reason, blockNumber }));
+
+/**
+ * Reads the chain ID of an endpoint
+ * @param {object} endpoint - Endpoint to ask
+ * @returns {number} - Chain ID reported by the node
+ */
+const readChainId = async (endpoint) =>
+  Number(await sendRpc("eth_chainId", (provider) => provider.send("eth_chainId", []), { endpoint }));
+
+/**
+ * Checks the chain ID of an endpoint that has not been verified yet
+ * @param {object} endpoint - Endpoint to check
+ * @param {number} chainId - Expected chain ID
+ * @throws {Error} If the endpoint is on another chain
+ */
+const verifyChainId = async (endpoint, chainId) => {
+  const actual = await readChainId(endpoint);
+  if (actual !== chainId) {
+    throw new Error(`RPC endpoint ${endpoint.label} is on chain ${actual}, expected chain ${chainId}`);
+  }
+  endpoint.chainVerified = true;
+};
+
+/**
+ * Probes every endpoint: unreachable endpoints and endpoints more than
+ * CONFIG.rpcMaxLag blocks behind the best one are marked unhealthy.
+ * Endpoints that were unreachable at startup get their chain ID checked first,
+ * and are dropped for good if it does not match.
+ */
+const checkEndpoints = async () => {
+  await Promise.all(endpoints.map(async (endpoint) => {
+    try {
+      if (!endpoint.chainVerified) await verifyChainId(endpoint, CONFIG.chainId);
+      endpoint.blockNumber = Number(await sendRpc(
+        "eth_blockNumber",
+        (provider) => provider.send("eth_blockNumber", []),
+        { endpoint }
+      ));
+    } catch (error) {
+      endpoint.blockNumber = null;
+      if (endpoint.chainVerified || classifyError(error) === "transient") {
+        setHealth(endpoint, false, error.message);
+        return;
+      }
+      console.error(`${error.message} - no longer using it`);
+      endpoints = endpoints.filter((other) => other !== endpoint);
+    }
+  }));
+
+  const head = Math.max(...endpoints.map((endpoint) => endpoint.blockNumber ?? -1));
+  for (const endpoint of endpoints) {
+    if (endpoint.blockNumber === null) continue;
+    const lag = head - endpoint.blockNumber;
+    if (lag > CONFIG.rpcMaxLag) setHealth(endpoint, false, `${lag} blocks behind`);
+    else setHealth(endpoint, true);
+  }
+};
+
+/**
+ * Checks at startup that every reachable endpoint is on the configured chain
+ * (or, without CHAIN_ID, that they all agree), then starts the periodic health
+ * checks when there are several endpoints
+ * @throws {Error} If an endpoint is on another chain or none can be reached
+ */
+const verifyEndpoints = async () => {
+  const results = await Promise.all(endpoints.map(async (endpoint) => {
+    try {
+      return { endpoint, chainId: await readChainId(endpoint) };
+    } catch (error) {
+      return { endpoint, error };
+    }
+  }));
+
+  const reachable = results.filter((result) => !result.error);
+  if (reachable.length === 0) {
+    throw new Error(
+      `None of the RPC endpoints could be reached: ${results.map(({ endpoint, error }) => `${endpoint.label} (${error.message})`).join(", ")}`
+    );
+  }
+
+  const expected = CONFIG.chainId || reachable[0].chainId;
+  const source = CONFIG.chainId ? "the configured chain" : `chain of ${reachable[0].endpoint.label}`;
+  for (const { endpoint, chainId } of reachable) {
+    if (chainId !== expected) {
+      throw new Error(
+        `RPC endpoint ${endpoint.label} is on chain ${chainId}, but ${source} is ${expected} - refusing to run`
+      );
+    }
+    endpoint.chainVerified = true;
+  }
+
+  for (const { endpoint, error } of results.filter((result) => result.error)) {
+    setHealth(endpoint, false, error.message);
+  }
+
+  if (!CONFIG.chainId) {
+    CONFIG.chainId = expected;
+    // Providers created without a chain ID can now skip detecting it
+    endpoints.forEach((endpoint) => { endpoint.provider = createProvider(endpoint.url); });
+  }
+  console.log(`Using ${reachable.length}/${endpoints.length} RPC endpoint(s) on chain ${expected}`);
+
+  if (endpoints.length > 1 && !healthTimer) {
+    await checkEndpoints();
+    healthTimer = setInterval(() => {
+      checkEndpoints().catch((error) => console.error(`RPC health check failed: ${error.message}`));
+    }, CONFIG.rpcHealthInterval * 1000);
+    // The timer alone must not keep a finished run alive
+    healthTimer.unref();
+  }
+};
+
+module.exports = {
+  initializeEndpoints,
+  verifyEndpoints,
+  checkEndpoints,
+  sendRpc,
+  getQuorumEndpoints,
+  getEndpointStatus
+};
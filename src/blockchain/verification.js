@@ -0,0 +1,157 @@
+/**
+ * Refinement verification module for batch refinement
+ */
+const { CONFIG } = require('../utils/config');
+const { sleep } = require('../utils/retry');
+const { createWorkerPool } = require('../utils/scheduler');
+const { logToFile } = require('../logs/logger');
+const { readResults } = require('../logs/results');
+const { getFileRefinementValues } = require('./contract');
+
+/**
+ * Extracts the identifier the refinement service returned for a file
+ * @param {object|string|null} result - Response data of /refine or a results.log message
+ * @returns {string|null} - The CID/hash, or null if the result has none
+ */
+const getExpectedRefinement = (result) => {
+  if (!result) return null;
+  if (typeof result === "string") return result === "success" ? null : result;
+  return result.hash || result.cid || null;
+};
+
+/**
+ * Compares an on-chain fileRefinements value with the expected CID/hash
+ * @param {string} onChain - Value read from the contract ("" when missing)
+ * @param {string|null} expected - CID/hash returned by the refinement service
+ * @returns {string} - "verified", "pending" or "mismatch"
+ */
+const compareRefinement = (onChain, expected) => {
+  if (!onChain) return "pending";
+  // The contract stores a URL (e.g. ipfs://<cid>) while the service may return the bare CID
+  if (!expected || onChain.includes(expected) || expected.includes(onChain)) return "verified";
+  return "mismatch";
+};
+
+/**
+ * Writes a verification outcome to the results log
+ * @param {number} fileId - ID of the file
+ * @param {string} status - "verified", "pending" or "mismatch"
+ * @param {string} onChain - Value read from the contract
+ * @param {string|null} expected - Expected CID/hash
+ * @param {number} refinerId - ID of the refiner
+ */
+const logVerification = async (fileId, status, onChain, expected, refinerId) => {
+  const messages = {
+    verified: `On-chain refinement ${onChain} matches ${expected || "service response"}`,
+    pending: expected
+      ? `Refinement ${expected} not recorded on-chain yet`
+      : "Refinement not recorded on-chain yet",
+    mismatch: `On-chain refinement ${onChain} does not match ${expected}`,
+  };
+  console.log(
+    `Verification of file ${fileId} (refiner ${refinerId}): ${status.toUpperCase()} - ${messages[status]}`
+  );
+  await logToFile(status, fileId, messages[status], { phase: "verify", refinerId });
+};
+
+/**
+ * Polls fileRefinements after a successful refinement until the refinement is
+ * recorded or CONFIG.verifyTimeout expires, and logs VERIFIED, PENDING or MISMATCH
+ * @param {number} fileId - ID of the refined file
+ * @param {object|string|null} result - Response data of /refine
+ * @param {number|null} refinerId - ID of the refiner
+ * @returns {string} - "verified", "pending" or "mismatch"
+ */
+const verifyRefinement = async (fileId, result, refinerId = null) => {
+  refinerId = refinerId ?? CONFIG.refinerId;
+  const expected = getExpectedRefinement(result);
+  const deadline = Date.now() + CONFIG.verifyTimeout * 1000;
+  let onChain = "";
+
+  for (;;) {
+    const [read] = await getFileRefinementValues([fileId], refinerId);
+    if (read.error) {
+      console.error(`Error reading refinement of file ${fileId}: ${read.error.message}`);
+    } else if (read.value) {
+      onChain = read.value;
+      break;
+    }
+
+    if (Date.now() + CONFIG.verifyPollInterval * 1000 > deadline) break;
+    await sleep(CONFIG.verifyPollInterval * 1000);
+  }
+
+  const status = compareRefinement(onChain, expected);
+  await logVerification(fileId, status, onChain, expected, refinerId);
+  return status;
+};
+
+/**
+ * Re-checks the files whose latest SUCCESS row in results.log (and rotated logs)
+ * falls in a time window against the chain, and logs VERIFIED, PENDING or MISMATCH.
+ * Each refiner is checked for the files it reported a success for.
+ * @param {object} filters - Time window
+ * @param {Date|null} filters.since - Only SUCCESS rows logged at or after this time
+ * @param {Date|null} filters.until - Only SUCCESS rows logged at or before this time
+ * @param {number} batchSize - How many files to read per aggregated call
+ * @returns {object} - Counts of verified, pending, mismatch and error refinements
+ */
+const reconcileRefinements = async ({ since = null, until = null } = {}, batchSize = CONFIG.batchSize) => {
+  // refinerId → latest SUCCESS row message per file; rows without a refiner belong to CONFIG.refinerId
+  const successes = new Map();
+  for (const row of await readResults()) {
+    if (row.status !== "SUCCESS") continue;
+    const time = new Date(row.timestamp);
+    if (since && time < since) continue;
+    if (until && time > until) continue;
+
+    const refinerId = row.meta.refiner !== undefined ? Number(row.meta.refiner) : CONFIG.refinerId;
+    if (!successes.has(refinerId)) successes.set(refinerId, new Map());
+    successes.get(refinerId).set(row.fileId, row.message);
+  }
+
+  const total = [...successes.values()].reduce((sum, files) => sum + files.size, 0);
+  const summary = { total, verified: 0, pending: 0, mismatch: 0, error: 0 };
+  console.log(`Reconciling ${total} refinements against the chain`);
+
+  const pool = createWorkerPool(CONFIG.concurrency);
+  const tasks = [];
+  for (const [refinerId, files] of successes) {
+    const fileIds = [...files.keys()].sort((a, b) => b - a);
+
+    for (let i = 0; i < fileIds.length; i += batchSize) {
+      const batchIds = fileIds.slice(i, i + batchSize);
+      tasks.push(pool.run(async () => {
+        const reads = await getFileRefinementValues(batchIds, refinerId);
+        for (const { fileId, value, error } of reads) {
+          if (error) {
+            console.error(`Error reading refinement of file ${fileId} (refiner ${refinerId}): ${error.message}`);
+            summary.error++;
+            continue;
+          }
+          const expected = getExpectedRefinement(files.get(fileId));
+          const status = compareRefinement(value, expected);
+          summary[status]++;
+          await logVerification(fileId, status, value, expected, refinerId);
+        }
+      }));
+    }
+  }
+  await Promise.all(tasks);
+
+  console.log("Reconciliation completed");
+  console.log("Summary:");
+  console.log(`Refinements checked: ${summary.total}`);
+  console.log(`Verified: ${summary.verified}`);
+  console.log(`Pending (not on-chain): ${summary.pending}`);
+  console.log(`Mismatch: ${summary.mismatch}`);
+  console.log(`Read errors: ${summary.error}`);
+  return summary;
+};
+
+module.exports = {
+  getExpectedRefinement,
+  compareRefinement,
+  verifyRefinement,
+  reconcileRefinements
+};
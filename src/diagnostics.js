@@ -0,0 +1,274 @@
+/**
+ * Diagnostics module for batch refinement
+ */
+const { CONFIG } = require('./utils/config');
+const { loadCheckpoint, getCheckpointPath } = require('./utils/checkpoint');
+const { readResults, getLatestFileStatuses } = require('./logs/results');
+const { checkEndpoints, getEndpointStatus } = require('./blockchain/endpoints');
+const { decryptWithKeyProvider } = require('./keys/providers');
+const { loadWatchState, getWatchStatePath } = require('./watch');
+const { getStatePath, queryFileStates } = require('./utils/state');
+const {
+  getFilesAtIndices,
+  getFilesListCount,
+  getFileLookups,
+  getFileRefinementValues
+} = require('./blockchain/contract');
+
+// Indices read per aggregated call when scanning the files list
+const SCAN_CHUNK_SIZE = 100;
+
+/**
+ * Reads the file ID at a list index
+ * @param {number} index - Position in the files list
+ * @returns {number|null} - File ID, or null if the read failed
+ */
+const readFileIdAt = async (index) => {
+  const [idBN] = await getFilesAtIndices([index]);
+  return idBN ? Number(idBN.toString()) : null;
+};
+
+/**
+ * Finds the list index of a file. Files are appended as they are added to the
+ * DataRegistry, so IDs normally ascend along the list and a binary search finds
+ * them; otherwise the whole list is scanned from the end.
+ * @param {number} fileId - ID of the file
+ * @param {number} count - Length of the files list
+ * @returns {number|null} - List index, or null if the file is not in the list
+ */
+const findFileIndex = async (fileId, count) => {
+  let low = 0;
+  let high = count - 1;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    const id = await readFileIdAt(mid);
+    if (id === null) break;
+    if (id === fileId) return mid;
+    if (id < fileId) low = mid + 1;
+    else high = mid - 1;
+  }
+
+  console.log(`File ${fileId} not found by binary search - scanning all ${count} indices`);
+  for (let end = count - 1; end >= 0; end -= SCAN_CHUNK_SIZE) {
+    const indices = [];
+    for (let i = end; i > end - SCAN_CHUNK_SIZE && i >= 0; i--) indices.push(i);
+
+    const ids = await getFilesAtIndices(indices);
+    const position = ids.findIndex((idBN) => idBN && Number(idBN.toString()) === fileId);
+    if (position !== -1) return indices[position];
+  }
+  return null;
+};
+
+/**
+ * Collects the latest results.log outcome of one file per refiner
+ * @param {number} fileId - ID of the file
+ * @returns {object} - refinerId → latest outcome from getLatestFileStatuses
+ */
+const getLastResults = async (fileId) => {
+  const latest = getLatestFileStatuses((await readResults()).filter((row) => row.fileId === fileId));
+  const results = {};
+  for (const outcome of latest.values()) results[outcome.refinerId] = outcome;
+  return results;
+};
+
+/**
+ * Shows everything known about one file: its list index, its EEK, its
+ * refinement state per refiner on-chain and its last outcome in results.log
+ * @param {object} target - File to check
+ * @param {number|null} target.fileId - ID of the file
+ * @param {number|null} target.index - List index of the file, when checking by index
+ * @returns {object} - The report
+ * @throws {Error} If no file is at the index or the lookup fails
+ */
+const checkFile = async ({ fileId = null, index = null }) => {
+  const count = await getFilesListCount();
+
+  if (index !== null) {
+    if (index >= count) {
+      throw new Error(`Index ${index} is past the end of the files list (${count} files)`);
+    }
+    fileId = await readFileIdAt(index);
+    if (fileId === null) {
+      throw new Error(`Unable to read the file ID at index ${index}`);
+    }
+  } else {
+    index = await findFileIndex(fileId, count);
+  }
+
+  // A diagnostic leaves results.log untouched, so retry-failed and report see the same outcomes
+  const lastResults = await getLastResults(fileId);
+  const [lookup] = await getFileLookups([fileId], null, { record: false });
+  const refinements = {};
+  for (const refinerId of CONFIG.refinerIds) {
+    const [{ value }] = await getFileRefinementValues([fileId], refinerId);
+    refinements[refinerId] = value;
+  }
+
+  const report = {
+    fileId,
+    index,
+    listLength: count,
+    hasEEK: Boolean(lookup.encryptedEEK),
+    refiners: CONFIG.refinerIds.map((refinerId) => ({
+      refinerId,
+      refined: lookup.refined[refinerId],
+      refinement: refinements[refinerId] || null,
+      lastResult: lastResults[refinerId] || null,
+    })),
+    lookupError: lookup.error ? lookup.error.message : null,
+  };
+
+  console.log(`File ${fileId}:`);
+  console.log(`List index: ${index === null ? `not in the DLP files list (${count} files)` : `${index} of ${count}`}`);
+  console.log(`EEK: ${report.hasEEK ? "present" : "none (no permission granted to the DLP, or no such file)"}`);
+  for (const refiner of report.refiners) {
+    const state = refiner.refined ? `refined (${refiner.refinement})` : "not refined";
+    const last = refiner.lastResult
+      ? `${refiner.lastResult.status}${refiner.lastResult.type ? ` ${refiner.lastResult.type}` : ""} at ${refiner.lastResult.timestamp}`
+      : "none";
+    console.log(`Refiner ${refiner.refinerId}: ${state} - last result: ${last}`);
+  }
+
+  if (report.lookupError) {
+    throw new Error(`Lookup of file ${fileId} failed, the state above is incomplete: ${report.lookupError}`);
+  }
+  return report;
+};
+
+/**
+ * Checks that the configured key provider decrypts the EEK of a file.
+ * The decrypted key is never printed or logged.
+ * @param {number} fileId - ID of the file
+ * @returns {object} - `{ fileId, keyLength }`
+ * @throws {Error} If the file has no EEK or decryption fails
+ */
+const checkDecryption = async (fileId) => {
+  const [lookup] = await getFileLookups([fileId], null, { record: false });
+  if (lookup.error) {
+    throw new Error(`Lookup of file ${fileId} failed: ${lookup.error.message}`);
+  }
+  if (!lookup.encryptedEEK) {
+    throw new Error(`File ${fileId} has no EEK for DLP ${CONFIG.dlpAddress} - nothing to decrypt`);
+  }
+
+  let dataEncryptionKey;
+  try {
+    dataEncryptionKey = await decryptWithKeyProvider(lookup.encryptedEEK);
+  } catch (error) {
+    throw new Error(`The ${CONFIG.keyProvider} key provider cannot decrypt the EEK of file ${fileId}: ${error.message}`);
+  }
+  if (!dataEncryptionKey) {
+    throw new Error(`The ${CONFIG.keyProvider} key provider returned an empty key for file ${fileId}`);
+  }
+
+  console.log(
+    `The ${CONFIG.keyProvider} key provider decrypts the EEK of file ${fileId} (${dataEncryptionKey.length} characters, not shown)`
+  );
+  return { fileId, keyLength: dataEncryptionKey.length };
+};
+
+/**
+ * Shows the state of the deployment: RPC endpoints, files list, checkpoint,
+ * watch high-water mark and the latest outcome of every file in results.log
+ * @returns {object} - The report
+ */
+const showStatus = async () => {
+  await checkEndpoints();
+  const endpoints = getEndpointStatus();
+  const listLength = await getFilesListCount();
+  const checkpoint = await loadCheckpoint();
+  const watchState = await loadWatchState();
+  const fileStates = await queryFileStates();
+
+  // refinerId → { SUCCESS, FAILED, ERROR, failedByType }
+  const results = {};
+  for (const outcome of getLatestFileStatuses(await readResults()).values()) {
+    const counts = results[outcome.refinerId] = results[outcome.refinerId] || {
+      SUCCESS: 0, FAILED: 0, ERROR: 0, failedByType: {},
+    };
+    counts[outcome.status]++;
+    if (outcome.type) counts.failedByType[outcome.type] = (counts.failedByType[outcome.type] || 0) + 1;
+  }
+
+  console.log(`DLP ${CONFIG.dlpAddress} on chain ${CONFIG.chainId}, refiner(s) ${CONFIG.refinerIds.join(", ")}`);
+  for (const endpoint of endpoints) {
+    const health = endpoint.healthy ? "healthy" : `unhealthy (${endpoint.reason})`;
+    console.log(`RPC ${endpoint.label}: ${health}, block ${endpoint.blockNumber ?? "unknown"}`);
+  }
+  console.log(`Files list: ${listLength} files`);
+
+  if (checkpoint) {
+    const state = checkpoint.completed ? "completed" : `last completed index ${checkpoint.lastCompletedIndex ?? "none"}`;
+    console.log(
+      `Checkpoint ${getCheckpointPath()}: indices ${checkpoint.startIndex}→${checkpoint.endIndex}, ${state}, ` +
+      `${checkpoint.stats.success} success, ${checkpoint.stats.failed} failed, ` +
+      `${Object.keys(checkpoint.jobs || {}).length} pending jobs, updated ${checkpoint.updatedAt}`
+    );
+  } else {
+    console.log("Checkpoint: none");
+  }
+
+  if (watchState) {
+    console.log(
+      `Watch state ${getWatchStatePath()}: next index ${watchState.nextIndex}, ` +
+      `${Math.max(0, listLength - watchState.nextIndex)} files behind, updated ${watchState.updatedAt}`
+    );
+  } else {
+    console.log("Watch state: none");
+  }
+
+  const stateCounts = {};
+  for (const state of fileStates) stateCounts[state.status] = (stateCounts[state.status] || 0) + 1;
+  console.log(
+    `State store ${getStatePath()}: ${fileStates.length} entries ` +
+    `(${stateCounts.refined || 0} refined, ${stateCounts.no_eek || 0} no EEK, ${stateCounts.failed || 0} failed)`
+  );
+
+  if (Object.keys(results).length === 0) {
+    console.log("results.log: no outcomes recorded");
+  }
+  for (const [refinerId, counts] of Object.entries(results)) {
+    const types = Object.entries(counts.failedByType).map(([type, n]) => `${type}=${n}`).join(", ");
+    console.log(
+      `results.log refiner ${refinerId}: ${counts.SUCCESS} refined, ${counts.FAILED} failed, ${counts.ERROR} errors` +
+      `${types ? ` (${types})` : ""}`
+    );
+  }
+
+  return { endpoints, listLength, checkpoint, watchState, results, stateCounts };
+};
+
+/**
+ * Lists the stored states of files, e.g. every decrypt failure since a date
+ * @param {object} filters - Filters passed to queryFileStates
+ * @param {object} options - Output options
+ * @param {boolean} options.json - Print one JSON object per line instead of a table
+ * @returns {object[]} - Matching states
+ */
+const showFileStates = async (filters, { json = false } = {}) => {
+  const states = await queryFileStates(filters);
+
+  if (json) {
+    for (const state of states) process.stdout.write(`${JSON.stringify(state)}\n`);
+    return states;
+  }
+
+  for (const state of states) {
+    const detail = state.status === "failed"
+      ? `${state.errorType}: ${state.error}`
+      : state.refinement || "";
+    console.log(
+      `File ${state.fileId} refiner ${state.refinerId}: ${state.status}${detail ? ` (${detail})` : ""}, checked ${state.checkedAt}`
+    );
+  }
+  console.log(`${states.length} entries in ${getStatePath()}`);
+  return states;
+};
+
+module.exports = {
+  checkFile,
+  checkDecryption,
+  showStatus,
+  showFileStates
+};
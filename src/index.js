@@ -1,42 +1,219 @@
 /**
  * Main entry point for batch refinement
  */
-const { setupLogging, initializeStatsLog } = require('./logs/logger');
+const path = require('path');
+const { setupLogging, initializeStatsLog, logBreakerChange, flushLogs } = require('./logs/logger');
+const { startMetrics, stopMetrics, recordBreakerChange } = require('./logs/metrics');
 const { initializeContract } = require('./blockchain/contract');
+const { verifyEndpoints } = require('./blockchain/endpoints');
+const { initializeKeyProvider } = require('./keys/providers');
 const { parseArgs, showHelpMessage } = require('./utils/cli');
-const { validateConfig } = require('./utils/config');
-const { runBatchProcessing, processFile, processBatch, runBatchProcessingByIndex} = require('./processor');
+const { CONFIG, applyProfile, validateConfig } = require('./utils/config');
+const { redactConfig } = require('./logs/redaction');
+const {
+  processFile,
+  processBatch,
+  runBatchProcessingByIndex,
+  runBatchProcessingByFileIds,
+  retryFailedFiles,
+  refineDiscoveredFiles,
+  runDryRunByIndex
+} = require('./processor');
+const { discoverFileIds } = require('./blockchain/discovery');
+const { reconcileRefinements } = require('./blockchain/verification');
+const { watchForNewFiles } = require('./watch');
+const { serveControlApi, waitForRuns } = require('./server');
+const { checkFile, checkDecryption, showStatus, showFileStates } = require('./diagnostics');
+const { startSimulation, stopSimulation } = require('./simulation/harness');
+const { writeReport } = require('./logs/report');
+const { notify, flushNotifications } = require('./logs/notifications');
+const { onBreakerChange } = require('./utils/breaker');
+const { installShutdownHandlers, getShutdownExitCode } = require('./utils/shutdown');
+const { flushStateStore } = require('./utils/state');
 
 /**
  * Main function to run the batch refinement process
  */
 const main = async () => {
   // Parse command line arguments
-  const { startId, endId, batchSize, verbose, showHelp } = parseArgs();
+  let args;
+  try {
+    args = parseArgs();
+  } catch (error) {
+    console.error(`${error.message}\nRun with --help for usage`);
+    process.exit(1);
+  }
+  const {
+    command,
+    helpCommand,
+    fileIds,
+    index,
+    startId,
+    endId,
+    batchSize,
+    verbose,
+    resume,
+    dryRun,
+    planFile,
+    fromIndex,
+    blocks,
+    scanOnly,
+    showHelp,
+    printConfig,
+    profile,
+    filters,
+    json,
+    report,
+    overrides,
+    requirePrivateKey,
+    refines
+  } = args;
+
+  // Environment variables take precedence over the profile, command line flags over both
+  applyProfile(profile);
+  Object.assign(CONFIG, overrides);
   
   if (showHelp) {
-    showHelpMessage();
+    showHelpMessage(helpCommand);
     return;
   }
 
+  if (printConfig) {
+    console.log(JSON.stringify(redactConfig(CONFIG), null, 2));
+    return;
+  }
+
+  // Simulated runs never mix their results, checkpoints or watch state with real ones
+  if (CONFIG.simulate) {
+    CONFIG.logDir = path.join(CONFIG.logDir, "simulation");
+  }
+
   // Initialize logging
   await setupLogging(verbose);
 
+  // Circuit breaker state changes go to stats.log and the metrics
+  onBreakerChange((change) => {
+    recordBreakerChange(change);
+    logBreakerChange(change);
+  });
+
+  // Commands that refine files finish the files in flight on SIGINT/SIGTERM,
+  // the others exit at once
+  installShutdownHandlers({
+    graceful: refines,
+    flush: async () => {
+      await flushStateStore();
+      await flushLogs();
+    },
+  });
+
   try {
-    // Validate required environment variables
-    validateConfig();
+    // The state store and the logs are local files, reading them needs neither the chain nor the key
+    if (command === "state") {
+      await showFileStates({ ...filters, fileIds, refinerIds: overrides.refinerIds || [] }, { json });
+      return;
+    }
+    if (command === "report") {
+      await writeReport({ ...report, ...filters });
+      return;
+    }
+
+    // Point the run at the simulated chain and refinement service
+    if (CONFIG.simulate) {
+      await startSimulation();
+    }
+    const startIndex = startId ?? CONFIG.maxFileId;
+
+    // Validate required environment variables (only commands that decrypt EEKs need the key)
+    validateConfig({ requirePrivateKey });
+
+    // Unlock the DLP key up front, so a password prompt never interrupts a run
+    if (requirePrivateKey) {
+      await initializeKeyProvider();
+    }
     
     // Initialize smart contract
     initializeContract();
+
+    // Refuse to run against endpoints on another chain
+    await verifyEndpoints();
+
+    // Expose metrics while the command runs
+    await startMetrics();
     
-    // Initialize stats log
-    await initializeStatsLog(startId, endId, batchSize);
-    
-    // Run the batch processing
-    await runBatchProcessingByIndex(startId, endId, batchSize);
+    switch (command) {
+      case "run":
+        if (dryRun) {
+          await runDryRunByIndex(startIndex, endId, batchSize, planFile);
+          break;
+        }
+
+        // Initialize stats log
+        await initializeStatsLog(startIndex, endId, batchSize);
+
+        // Run the batch processing
+        await runBatchProcessingByIndex(startIndex, endId, batchSize, { resume });
+        break;
+      case "check":
+        await checkFile({ fileId: index === null ? fileIds[0] : null, index });
+        break;
+      case "decrypt":
+        await checkDecryption(fileIds[0]);
+        break;
+      case "refine":
+        await initializeStatsLog(fileIds[0], fileIds[fileIds.length - 1], batchSize);
+        // Files named explicitly are always looked up on-chain
+        await runBatchProcessingByFileIds(fileIds, batchSize, { trustState: false });
+        break;
+      case "status":
+        await showStatus();
+        break;
+      case "retry-failed":
+        await retryFailedFiles(filters, batchSize);
+        break;
+      case "reconcile":
+        await reconcileRefinements(filters, batchSize);
+        break;
+      case "discover":
+        if (scanOnly) {
+          await discoverFileIds(blocks);
+          break;
+        }
+        await refineDiscoveredFiles(blocks, batchSize);
+        break;
+      case "watch":
+        await watchForNewFiles(batchSize, { fromIndex });
+        break;
+      case "serve": {
+        const server = await serveControlApi();
+        // Keep serving until the server is closed, then let the runs in progress stop
+        await new Promise((resolve) => server.on("close", resolve));
+        await waitForRuns();
+        break;
+      }
+      default:
+        throw new Error(`Unknown command: ${command}`);
+    }
+
+    await stopMetrics();
+    await stopSimulation();
+    await flushNotifications();
+    await flushLogs();
+    // Dropped webhook retries must not keep the process alive; a command that
+    // wound down after SIGINT/SIGTERM still reports it
+    process.exit(getShutdownExitCode() || 0);
   } catch (error) {
-    console.error(`Batch refinement failed: ${error.message}`);
-    process.exit(1);
+    if (error.shutdown) {
+      console.log(`Batch refinement stopped: ${error.message}`);
+    } else {
+      console.error(`Batch refinement failed: ${error.message}`);
+      if (refines) notify("fatal", { command, error: error.message });
+    }
+    await stopMetrics();
+    await stopSimulation();
+    await flushNotifications();
+    await flushLogs();
+    process.exit(error.shutdown ? getShutdownExitCode() : 1);
   }
 };
 
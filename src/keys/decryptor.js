@@ -0,0 +1,133 @@
+/**
+ * Decryptor process for batch refinement
+ *
+ * Holds the DLP key and decrypts EEKs for refinement runs that connect over a
+ * Unix socket (KEY_PROVIDER=socket), so the key never enters their memory or
+ * environment. Requests and responses are one JSON object per line:
+ *   { "method": "ping" }                        → { "ok": true, "address": "0x..." }
+ *   { "method": "decrypt", "encryptedEEK": "…" } → { "key": "…" } or { "error": "…" }
+ */
+const fs = require('fs').promises;
+const net = require('net');
+const { CONFIG, validateKeyConfig } = require('../utils/config');
+const { createKeyProvider } = require('./providers');
+
+/**
+ * Answers one request
+ * @param {object} provider - Key provider holding the DLP key
+ * @param {object} request - Parsed request line
+ * @returns {Promise<object>} - Response object
+ * @throws {Error} If the request is invalid or decryption fails
+ */
+const handleRequest = async (provider, request) => {
+  if (request.method === "ping") {
+    return { ok: true, address: provider.address };
+  }
+  if (request.method === "decrypt") {
+    if (typeof request.encryptedEEK !== "string" || !/^(0x)?[0-9a-fA-F]+$/.test(request.encryptedEEK)) {
+      throw new Error("encryptedEEK must be a hex string");
+    }
+    return { key: await provider.decrypt(request.encryptedEEK.replace(/^0x/, "")) };
+  }
+  throw new Error(`Unknown method ${request.method}`);
+};
+
+/**
+ * Serves requests of one connection, in order
+ * @param {object} provider - Key provider holding the DLP key
+ * @param {net.Socket} socket - Client connection
+ */
+const handleConnection = (provider, socket) => {
+  let buffer = "";
+  // Responses are written in request order even though decryption is asynchronous
+  let queue = Promise.resolve();
+
+  socket.setEncoding("utf8");
+  socket.on("data", (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 1);
+      if (!line.trim()) continue;
+
+      queue = queue.then(async () => {
+        let response;
+        try {
+          response = await handleRequest(provider, JSON.parse(line));
+        } catch (error) {
+          response = { error: error.message };
+        }
+        if (!socket.destroyed) socket.write(`${JSON.stringify(response)}\n`);
+      });
+    }
+  });
+  // A client that goes away mid-request is not the decryptor's problem
+  socket.on("error", () => {});
+};
+
+/**
+ * Removes a socket file left behind by a decryptor that did not shut down cleanly
+ * @throws {Error} If the path exists but is not a socket
+ */
+const removeStaleSocket = async () => {
+  try {
+    const stat = await fs.lstat(CONFIG.keySocket);
+    if (!stat.isSocket()) {
+      throw new Error(`${CONFIG.keySocket} exists and is not a socket`);
+    }
+    await fs.unlink(CONFIG.keySocket);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+};
+
+/**
+ * Loads the DLP key and listens on CONFIG.keySocket until SIGINT or SIGTERM
+ * @returns {Promise<net.Server>} - The listening server
+ * @throws {Error} If the key cannot be loaded or the socket cannot be created
+ */
+const serveDecryptor = async () => {
+  if (CONFIG.keyProvider === "socket") {
+    throw new Error("The decryptor holds the key itself: set KEY_PROVIDER to keystore (or env for development)");
+  }
+  validateKeyConfig();
+  const provider = await createKeyProvider();
+
+  await removeStaleSocket();
+  const server = net.createServer((socket) => handleConnection(provider, socket));
+
+  // Only the owner may connect: the socket is created with mode 0600
+  const previousUmask = process.umask(0o177);
+  try {
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(CONFIG.keySocket, resolve);
+    });
+  } finally {
+    process.umask(previousUmask);
+  }
+  await fs.chmod(CONFIG.keySocket, 0o600);
+  console.log(`Decryptor for ${provider.address} listening on ${CONFIG.keySocket}`);
+
+  const shutdown = (signal) => {
+    console.log(`Received ${signal}, closing decryptor`);
+    // Closing the server removes the socket file
+    server.close(() => process.exit(0));
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+
+  return server;
+};
+
+if (require.main === module) {
+  serveDecryptor().catch((error) => {
+    console.error(`Decryptor failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  serveDecryptor
+};
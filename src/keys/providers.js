@@ -0,0 +1,297 @@
+/**
+ * Key provider module for batch refinement
+ */
+const fs = require('fs').promises;
+const net = require('net');
+const ethers = require('ethers');
+const eccrypto = require('eccrypto');
+const { CONFIG } = require('../utils/config');
+const { registerSecret } = require('../logs/redaction');
+const { withRetry, classifyError } = require('../utils/retry');
+const { getBreaker } = require('../utils/breaker');
+
+// How long a request to the decryptor socket may take
+const SOCKET_TIMEOUT_MS = 10000;
+
+// Promise of the provider used by decryptWithKeyProvider, created once it succeeds
+let keyProvider = null;
+
+/**
+ * Decrypts an EEK with the DLP private key (ECIES)
+ * @param {string} privateKey - Hex private key, with or without 0x
+ * @param {string} encryptedEEK - Hex EEK: iv (16 bytes), ephemeral public key (65), ciphertext, mac (32)
+ * @returns {string} - The decrypted Data Encryption Key
+ */
+const decryptWithPrivateKey = async (privateKey, encryptedEEK) => {
+  const privateKeyBuffer = Buffer.from(
+    privateKey.startsWith("0x") ? privateKey.slice(2) : privateKey,
+    "hex"
+  );
+
+  // Split encryptedHex into components
+  const encryptedBuffer = Buffer.from(encryptedEEK, "hex");
+  const iv = encryptedBuffer.slice(0, 16);
+  const ephemPublicKey = encryptedBuffer.slice(16, 81);
+  const ciphertext = encryptedBuffer.slice(81, encryptedBuffer.length - 32);
+  const mac = encryptedBuffer.slice(encryptedBuffer.length - 32);
+
+  const decryptedBuffer = await eccrypto.decrypt(privateKeyBuffer, {
+    iv,
+    ephemPublicKey,
+    ciphertext,
+    mac,
+  });
+  return decryptedBuffer.toString();
+};
+
+/**
+ * Asks for a password on the terminal without echoing it
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} - The password
+ * @throws {Error} If there is no terminal or the prompt is cancelled
+ */
+const promptPassword = (question) =>
+  new Promise((resolve, reject) => {
+    const { stdin } = process;
+    if (!stdin.isTTY) {
+      reject(new Error("No terminal to prompt for the keystore password; set DLP_KEYSTORE_PASSWORD_FILE"));
+      return;
+    }
+
+    let password = "";
+    const finish = (error) => {
+      stdin.removeListener("data", onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stderr.write("\n");
+      if (error) reject(error);
+      else resolve(password);
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === "\r" || char === "\n" || char === "\u0004") return finish();
+        if (char === "\u0003") return finish(new Error("Keystore password prompt cancelled"));
+        if (char === "\u007f" || char === "\b") password = password.slice(0, -1);
+        else password += char;
+      }
+    };
+
+    // Written to stderr directly, the prompt has no place in console.log
+    process.stderr.write(question);
+    stdin.setEncoding("utf8");
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on("data", onData);
+  });
+
+/**
+ * Reads the keystore password from CONFIG.keystorePasswordFile, or prompts for it
+ * @returns {Promise<string>} - The password
+ */
+const readKeystorePassword = async () => {
+  if (!CONFIG.keystorePasswordFile) {
+    return promptPassword(`Password for keystore ${CONFIG.keystoreFile}: `);
+  }
+  try {
+    // Editors and `echo` leave a trailing newline that is not part of the password
+    const content = await fs.readFile(CONFIG.keystorePasswordFile, "utf8");
+    return content.replace(/\r?\n$/, "");
+  } catch (error) {
+    throw new Error(`Unable to read keystore password file ${CONFIG.keystorePasswordFile}: ${error.message}`);
+  }
+};
+
+/**
+ * Creates a provider that decrypts with a private key held in memory
+ * @param {string} privateKey - Hex private key
+ * @returns {object} - Key provider
+ * @throws {Error} If the private key is malformed
+ */
+const createLocalKeyProvider = (privateKey) => {
+  let address;
+  try {
+    address = ethers.utils.computeAddress(privateKey.startsWith("0x") ? privateKey : `0x${privateKey}`);
+  } catch (error) {
+    // The message of ethers would quote the key
+    throw new Error("The DLP private key is not a valid secp256k1 private key");
+  }
+
+  return {
+    address,
+    decrypt: (encryptedEEK) => decryptWithPrivateKey(privateKey, encryptedEEK),
+  };
+};
+
+/**
+ * Creates a provider from DLP_PRIVATE_KEY; meant for development only
+ * @returns {object} - Key provider
+ */
+const createEnvKeyProvider = async () => createLocalKeyProvider(CONFIG.dlpPrivateKey);
+
+/**
+ * Creates a provider from an encrypted JSON keystore (as written by geth or ethers)
+ * @returns {object} - Key provider
+ * @throws {Error} If the keystore cannot be read or the password is wrong
+ */
+const createKeystoreKeyProvider = async () => {
+  let json;
+  try {
+    json = await fs.readFile(CONFIG.keystoreFile, "utf8");
+  } catch (error) {
+    throw new Error(`Unable to read keystore ${CONFIG.keystoreFile}: ${error.message}`);
+  }
+
+  const password = await readKeystorePassword();
+  registerSecret(password);
+
+  console.log(`Decrypting keystore ${CONFIG.keystoreFile}...`);
+  let wallet;
+  try {
+    wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+  } catch (error) {
+    throw new Error(`Unable to decrypt keystore ${CONFIG.keystoreFile}: ${error.message}`);
+  }
+
+  // The key only ever lives in memory, and is masked should it reach a log line
+  registerSecret(wallet.privateKey);
+  registerSecret(wallet.privateKey.slice(2));
+  console.log(`Loaded DLP key for ${wallet.address} from keystore`);
+  return createLocalKeyProvider(wallet.privateKey);
+};
+
+/**
+ * Sends one request to the decryptor process and waits for its answer
+ * @param {object} request - Request object, sent as one JSON line
+ * @returns {Promise<object>} - Response object
+ * @throws {Error} If the socket cannot be reached, times out or closes before answering
+ *         (transient, the decryptor may be restarting), or the decryptor reports an error (permanent)
+ */
+const sendSocketRequest = (request) =>
+  new Promise((resolve, reject) => {
+    const socket = net.createConnection(CONFIG.keySocket);
+    let buffer = "";
+    let answered = false;
+
+    socket.setTimeout(SOCKET_TIMEOUT_MS, () => {
+      socket.destroy(new Error(`Decryptor at ${CONFIG.keySocket} did not answer within ${SOCKET_TIMEOUT_MS}ms`));
+    });
+    socket.on("error", (error) => reject(Object.assign(
+      new Error(`Decryptor socket ${CONFIG.keySocket}: ${error.message}`),
+      { code: error.code, errorClass: "transient" }
+    )));
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      const end = buffer.indexOf("\n");
+      if (end === -1) return;
+
+      answered = true;
+      socket.end();
+      let response;
+      try {
+        response = JSON.parse(buffer.slice(0, end));
+      } catch (error) {
+        reject(new Error(`Invalid response from decryptor: ${error.message}`));
+        return;
+      }
+      if (response.error) reject(new Error(`Decryptor: ${response.error}`));
+      else resolve(response);
+    });
+    // A decryptor that crashed mid-request closes the connection without an answer
+    socket.on("close", () => {
+      if (answered) return;
+      reject(Object.assign(
+        new Error(`Decryptor socket ${CONFIG.keySocket} closed before answering`),
+        { errorClass: "transient" }
+      ));
+    });
+    socket.write(`${JSON.stringify(request)}\n`);
+  });
+
+/**
+ * Creates a provider that asks the decryptor process (src/keys/decryptor.js) over
+ * a Unix socket, so this process never holds the DLP key. Requests go through the
+ * decryptor circuit breaker: while the decryptor is unreachable, files wait instead
+ * of failing to decrypt.
+ * @returns {object} - Key provider
+ * @throws {Error} If the decryptor does not answer
+ */
+const createSocketKeyProvider = async () => {
+  const { address } = await sendSocketRequest({ method: "ping" });
+  console.log(`Using decryptor at ${CONFIG.keySocket}${address ? ` (key of ${address})` : ""}`);
+
+  return {
+    address: address || null,
+    decrypt: async (encryptedEEK) => {
+      const { key } = await getBreaker("decryptor").run(
+        () => withRetry(
+          () => sendSocketRequest({ method: "decrypt", encryptedEEK }),
+          { label: `Decryptor request to ${CONFIG.keySocket}` }
+        ),
+        { isFailure: (error) => classifyError(error) === "transient" }
+      );
+      return key;
+    },
+  };
+};
+
+const KEY_PROVIDERS = {
+  env: createEnvKeyProvider,
+  keystore: createKeystoreKeyProvider,
+  socket: createSocketKeyProvider,
+};
+
+/**
+ * Creates the key provider selected by CONFIG.keyProvider
+ * @returns {Promise<object>} - Provider with `address` (of the key, when known) and `decrypt(encryptedEEK)`
+ * @throws {Error} If the provider is unknown or cannot be set up
+ */
+const createKeyProvider = async () => {
+  const create = KEY_PROVIDERS[CONFIG.keyProvider];
+  if (!create) {
+    throw new Error(`Unknown key provider "${CONFIG.keyProvider}" (expected ${Object.keys(KEY_PROVIDERS).join(", ")})`);
+  }
+  return create();
+};
+
+/**
+ * Returns the key provider, creating it on first use. A provider that failed to
+ * set up is forgotten, so the next call tries again.
+ * @returns {Promise<object>} - Key provider
+ */
+const loadKeyProvider = () => {
+  if (!keyProvider) {
+    const created = createKeyProvider();
+    keyProvider = created;
+    created.catch(() => {
+      if (keyProvider === created) keyProvider = null;
+    });
+  }
+  return keyProvider;
+};
+
+/**
+ * Sets up the key provider used by decryptEEK; called once at startup so a
+ * password prompt never interrupts a run
+ */
+const initializeKeyProvider = async () => {
+  await loadKeyProvider();
+};
+
+/**
+ * Decrypts an EEK with the configured key provider
+ * @param {string} encryptedEEK - Hex EEK from filePermissions
+ * @returns {Promise<string>} - The decrypted Data Encryption Key
+ * @throws {Error} If decryption fails, or the outage error of the decryptor breaker
+ */
+const decryptWithKeyProvider = async (encryptedEEK) => {
+  // Scripts that skip initializeKeyProvider get the provider on first use
+  const provider = await loadKeyProvider();
+  return provider.decrypt(encryptedEEK);
+};
+
+module.exports = {
+  decryptWithPrivateKey,
+  createKeyProvider,
+  initializeKeyProvider,
+  decryptWithKeyProvider
+};
@@ -3,53 +3,274 @@
  */
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const { CONFIG } = require('../utils/config');
+const { redactText, redactValue } = require('./redaction');
 
 // Capture original console methods
 const originalConsoleLog = console.log;
 const originalConsoleError = console.error;
 
+// ID shared by the console, results and stats entries written by this process
+let runId = crypto.randomUUID();
+
+// Context of the file being processed: { runId, fileId, index, phase, phaseStartedAt }
+const logContext = new AsyncLocalStorage();
+
+// Appends still being written, awaited by flushLogs before the process exits
+const pendingWrites = new Set();
+
+// results.log status of each log type, anything else is INFO
+const RESULT_STATUSES = {
+  "api-error": "ERROR",
+  "contract-error": "ERROR",
+  "decrypt-error": "ERROR",
+  error: "ERROR",
+  success: "SUCCESS",
+  failure: "FAILED",
+  verified: "VERIFIED",
+  pending: "PENDING",
+  mismatch: "MISMATCH",
+};
+
+/**
+ * Returns the run ID written with every log entry
+ * @returns {string} - Run ID of the current context or of the process
+ */
+const getRunId = () => logContext.getStore()?.runId || runId;
+
+/**
+ * Replaces the process-wide run ID
+ * @param {string} id - New run ID
+ */
+const setRunId = (id) => {
+  runId = id;
+};
+
+/**
+ * Runs a function with log context; entries written inside it inherit the
+ * context together with the context of the caller
+ * @param {object} context - Fields to set (runId, fileId, index)
+ * @param {function(): Promise<any>} fn - Function to run
+ * @returns {Promise<any>} - Result of the function
+ */
+const runWithLogContext = (context, fn) =>
+  logContext.run(
+    { ...logContext.getStore(), phase: null, phaseStartedAt: Date.now(), ...context },
+    fn
+  );
+
+/**
+ * Records the phase the current file entered, used for the phase and durationMs fields
+ * @param {string} phase - lookup, decrypt, refine or verify
+ */
+const setLogPhase = (phase) => {
+  const context = logContext.getStore();
+  if (context) {
+    context.phase = phase;
+    context.phaseStartedAt = Date.now();
+  }
+};
+
+/**
+ * Converts an error into a plain object that keeps every field needed to debug it
+ * @param {any} error - Error, axios error or any thrown value
+ * @returns {object|null} - Serializable error
+ */
+const serializeError = (error) => {
+  if (error === null || error === undefined) return null;
+  if (!(error instanceof Error)) return { message: typeof error === "string" ? error : JSON.stringify(error) };
+
+  const serialized = { name: error.name, message: error.message };
+  for (const key of ["code", "reason", "errorClass", "attempts"]) {
+    if (error[key] !== undefined) serialized[key] = error[key];
+  }
+  if (error.response) {
+    serialized.status = error.response.status;
+    serialized.responseData = error.response.data;
+  }
+  serialized.stack = error.stack;
+  return serialized;
+};
+
+/**
+ * Describes the data of a results entry in one line
+ * @param {string} status - Status of the entry
+ * @param {any} data - Data passed to logToFile
+ * @param {number} limit - Maximum length of serialized objects
+ * @returns {string} - Message of the entry
+ */
+const describeResult = (status, data, limit = Infinity) => {
+  switch (status) {
+    case "ERROR":
+      return typeof data === "string"
+        ? data
+        : data?.message || JSON.stringify(data).substring(0, limit);
+    case "SUCCESS":
+      return data?.hash || data?.cid || "success";
+    case "FAILED":
+      return data || "Unknown error";
+    case "VERIFIED":
+    case "PENDING":
+    case "MISMATCH":
+      return typeof data === "string" ? data : JSON.stringify(data);
+    default:
+      return typeof data === "string" ? data : JSON.stringify(data).substring(0, limit);
+  }
+};
+
+/**
+ * Output formats of the log files. Each formatter turns an event into one line.
+ * csv is the original comma-separated layout, json writes one object per line.
+ */
+const FORMATTERS = {
+  csv: {
+    console: (event) => `${event.timestamp},${event.level},${event.message}`,
+    result: (event) => {
+      const columns = [
+        event.timestamp,
+        event.fileId,
+        event.status,
+        describeResult(event.status, event.data, 200),
+      ];
+      // Metadata as key=value columns
+      if (event.attempts !== null) columns.push(`attempts=${event.attempts}`);
+      if (event.errorClass) columns.push(`class=${event.errorClass}`);
+      if (event.errorType) columns.push(`type=${event.errorType}`);
+      if (event.refinerId !== null) columns.push(`refiner=${event.refinerId}`);
+      if (event.index !== null) columns.push(`index=${event.index}`);
+      if (event.durationMs !== null) columns.push(`duration=${event.durationMs}`);
+      columns.push(`run=${event.runId}`);
+      return columns.join(",");
+    },
+    stats: (event) => {
+      const formatCounts = (counts) =>
+        `Already Refined: ${counts.alreadyRefined},Processed: ${counts.processed},Success: ${counts.success},Failed: ${counts.failed}`;
+      const counts = formatCounts(event);
+      switch (event.type) {
+        case "START":
+          return `${event.timestamp},START,Files ${event.startId} to ${event.endId},Batch size: ${event.batchSize},Run: ${event.runId}`;
+        case "HEARTBEAT":
+          return `${event.timestamp},HEARTBEAT,Next index: ${event.nextIndex},Files list length: ${event.listLength},${counts},Run: ${event.runId}`;
+        case "BREAKER":
+          // The reason quotes error messages, which may hold commas
+          return `${event.timestamp},BREAKER,Breaker: ${event.breaker},State: ${event.state},Outage: ${Math.round(event.outageMs / 1000)}s,Reason: ${event.reason.replace(/[,\r\n]+/g, " ")},Run: ${event.runId}`;
+        default: {
+          // An ABORTED run lists the files it left unfinished
+          const inFlight = event.inFlight && event.inFlight.length > 0 ? `In flight: ${event.inFlight.join(" ")},` : "";
+          const lines = [
+            `${event.timestamp},${event.type},Files ${event.startId} to ${event.endId},Total: ${event.total},${counts},${inFlight}Run: ${event.runId}`,
+          ];
+          // One REFINER row per refiner follows the file totals of a multi-refiner run
+          for (const [refinerId, refinerCounts] of Object.entries(event.byRefiner || {})) {
+            lines.push(
+              `${event.timestamp},REFINER,Refiner ${refinerId},Files ${event.startId} to ${event.endId},${formatCounts(refinerCounts)},Run: ${event.runId}`
+            );
+          }
+          return lines.join("\n");
+        }
+      }
+    },
+  },
+  json: {
+    console: (event) => JSON.stringify(event),
+    result: ({ data, ...event }) => JSON.stringify({
+      ...event,
+      message: describeResult(event.status, data),
+      // Objects (refinement results, lookup details) are kept whole
+      data: data !== null && typeof data === "object" ? data : undefined,
+    }),
+    stats: (event) => JSON.stringify(event),
+  },
+};
+
+/**
+ * Returns the formatter selected by CONFIG.logFormat
+ * @returns {object} - Formatter with console, result and stats functions
+ */
+const getFormatter = () => {
+  const formatter = FORMATTERS[CONFIG.logFormat];
+  if (!formatter) {
+    throw new Error(`Unknown log format "${CONFIG.logFormat}" (expected ${Object.keys(FORMATTERS).join(" or ")})`);
+  }
+  return formatter;
+};
+
+/**
+ * Appends a line to a log file, tracking the write until it settled
+ * @param {string} name - Log file name in CONFIG.logDir
+ * @param {string} line - Line to append, without the newline
+ * @returns {Promise<void>} - Resolves once the line is written
+ */
+const appendLog = (name, line) => {
+  const write = fs.appendFile(path.join(CONFIG.logDir, name), `${line}\n`);
+  pendingWrites.add(write);
+  write.then(() => pendingWrites.delete(write), () => pendingWrites.delete(write));
+  return write;
+};
+
+/**
+ * Waits for the log writes in flight, before the process exits
+ * @returns {Promise<void>} - Resolves once every write succeeded or failed
+ */
+const flushLogs = async () => {
+  await Promise.allSettled([...pendingWrites]);
+};
+
+/**
+ * Writes a console line to the terminal and to console.log
+ * @param {string} level - INFO or ERROR
+ * @param {any[]} args - Arguments passed to console.log/console.error
+ */
+const writeConsole = (level, args) => {
+  const message = redactText(args.join(" "));
+  const timestamp = new Date().toISOString();
+  const context = logContext.getStore() || {};
+  const formatter = getFormatter();
+  const line = formatter.console({
+    timestamp,
+    level,
+    runId: getRunId(),
+    fileId: context.fileId ?? null,
+    index: context.index ?? null,
+    phase: context.phase ?? null,
+    message,
+  });
+
+  // Print to console
+  const print = level === "ERROR" ? originalConsoleError : originalConsoleLog;
+  if (formatter === FORMATTERS.json) {
+    print(line);
+  } else {
+    print(level === "ERROR" ? `${timestamp} - ERROR - ${message}` : `${timestamp} - ${message}`);
+  }
+
+  // Log to file
+  appendLog("console.log", line).catch((err) =>
+    originalConsoleError("Error writing to console.log file:", err)
+  );
+};
+
 /**
  * Initializes the logging system
  * @param {boolean} verbose - Whether to enable verbose logging
  */
 const setupLogging = async (verbose = false) => {
+  getFormatter();
   await fs.mkdir(CONFIG.logDir, { recursive: true });
   await rotateLogFiles();
 
-  console.log = (...args) => {
-    const message = args.join(" ");
-    const timestamp = new Date().toISOString();
-
-    // Print to console
-    originalConsoleLog(`${timestamp} - ${message}`);
-
-    // Log to file
-    fs.appendFile(
-      path.join(CONFIG.logDir, "console.log"),
-      `${timestamp},INFO,${message}\n`
-    ).catch((err) =>
-      originalConsoleError("Error writing to console.log file:", err)
-    );
-  };
-
-  console.error = (...args) => {
-    const message = args.join(" ");
-    const timestamp = new Date().toISOString();
-
-    // Print to console
-    originalConsoleError(`${timestamp} - ERROR - ${message}`);
+  console.log = (...args) => writeConsole("INFO", args);
+  console.error = (...args) => writeConsole("ERROR", args);
 
-    // Log to file
-    fs.appendFile(
-      path.join(CONFIG.logDir, "console.log"),
-      `${timestamp},ERROR,${message}\n`
-    ).catch((err) =>
-      originalConsoleError("Error writing to console.log file:", err)
-    );
-  };
+  console.log(`Run ID: ${getRunId()}`);
+  if (CONFIG.logSecrets) {
+    console.log("WARNING: secret redaction is disabled (--log-secrets), decrypted keys and credentials will be logged");
+  }
 };
 
+
 /**
  * Rotates log files if they exceed the maximum size
  */
@@ -87,42 +308,57 @@ const rotateLogFiles = async () => {
  * @param {string} logType - Type of log entry (success, failure, error, etc.)
  * @param {number} fileId - ID of the file being processed
  * @param {any} data - Data to include in the log
+ * @param {object} meta - Optional call metadata, defaults come from the log context
+ * @param {number} meta.attempts - Number of attempts made
+ * @param {string} meta.errorClass - Final error class (transient or permanent)
+ * @param {string} meta.phase - Phase the entry belongs to (lookup, decrypt, refine, verify)
+ * @param {number} meta.index - Files list index of the file
+ * @param {number} meta.durationMs - Duration of the phase
+ * @param {Error} meta.error - Error behind the entry, when data only holds its response
+ * @param {number} meta.refinerId - Refiner the entry belongs to, for refiner-specific entries
  */
-const logToFile = async (logType, fileId, data) => {
+const logToFile = async (logType, fileId, data, meta = {}) => {
   const timestamp = new Date().toISOString();
-  await fs.mkdir(CONFIG.logDir, { recursive: true });
+  const context = logContext.getStore() || {};
+  const status = RESULT_STATUSES[logType] || "INFO";
+  const error = meta.error || (data instanceof Error ? data : null);
 
-  let logMessage = "";
-
-  switch (logType) {
-    case "api-error":
-    case "contract-error":
-    case "decrypt-error":
-      // For errors: log with ERROR status and error message
-      const errorMsg = typeof data === "string" 
-        ? data 
-        : data?.message || JSON.stringify(data).substring(0, 200);
-      logMessage = `${timestamp},${fileId},ERROR,${errorMsg}\n`;
-      break;
-    case "success":
-      // For success: log with SUCCESS status and returned hash
-      const hash = data?.hash || data?.cid || "success";
-      logMessage = `${timestamp},${fileId},SUCCESS,${hash}\n`;
-      break;
-    case "failure":
-      // For failure: log with FAILED status
-      logMessage = `${timestamp},${fileId},FAILED,${data || "Unknown error"}\n`;
-      break;
-    default:
-      // For other cases: log with INFO status
-      const infoMsg = typeof data === "string" 
-        ? data 
-        : JSON.stringify(data).substring(0, 200);
-      logMessage = `${timestamp},${fileId},INFO,${infoMsg}\n`;
-  }
+  const event = {
+    timestamp,
+    runId: getRunId(),
+    fileId,
+    refinerId: meta.refinerId ?? null,
+    index: meta.index ?? context.index ?? null,
+    phase: meta.phase || context.phase || null,
+    status,
+    // For errors: keep the error type so failures can be filtered by it
+    errorType: status === "ERROR" ? logType : null,
+    durationMs: meta.durationMs ?? (context.phaseStartedAt ? Date.now() - context.phaseStartedAt : null),
+    attempts: meta.attempts ?? null,
+    errorClass: meta.errorClass || null,
+    // Secrets are masked before any formatter sees the entry
+    error: redactValue(serializeError(error)),
+    data: redactValue(data instanceof Error ? data.message : data),
+  };
 
   // Write to results log file
-  await fs.appendFile(path.join(CONFIG.logDir, "results.log"), logMessage);
+  await fs.mkdir(CONFIG.logDir, { recursive: true });
+  await appendLog("results.log", getFormatter().result(event));
+};
+
+/**
+ * Appends an event to the stats log
+ * @param {object} event - Stats event with at least a type
+ */
+const logStatsEvent = async (event) => {
+  const line = getFormatter().stats({
+    timestamp: new Date().toISOString(),
+    runId: getRunId(),
+    ...event,
+  });
+
+  await fs.mkdir(CONFIG.logDir, { recursive: true });
+  await appendLog("stats.log", line);
 };
 
 /**
@@ -130,14 +366,56 @@ const logToFile = async (logType, fileId, data) => {
  * @param {object} stats - Statistics object
  * @param {number} startId - Starting file ID
  * @param {number} endId - Ending file ID
- * @param {string} type - Type of stats entry (START, PROGRESS, COMPLETE)
+ * @param {string} type - Type of stats entry (START, PROGRESS, COMPLETE, CANCELLED, ABORTED)
+ * @param {object} details - Extra fields of the entry
+ * @param {number[]} details.inFlight - IDs of the files still being processed (ABORTED)
  */
-const logStats = async (stats, startId, endId, type = "PROGRESS") => {
-  const timestamp = new Date().toISOString();
-  
-  const statsMessage = `${timestamp},${type},Files ${startId} to ${endId},Total: ${stats.total || (startId - endId + 1)},Already Refined: ${stats.alreadyRefined},Processed: ${stats.processed},Success: ${stats.success},Failed: ${stats.failed}\n`;
-  
-  await fs.appendFile(path.join(CONFIG.logDir, "stats.log"), statsMessage);
+const logStats = async (stats, startId, endId, type = "PROGRESS", { inFlight } = {}) => {
+  // The per-refiner breakdown only adds information when there are several refiners
+  const byRefiner = stats.byRefiner && Object.keys(stats.byRefiner).length > 1 ? stats.byRefiner : undefined;
+
+  await logStatsEvent({
+    type,
+    startId,
+    endId,
+    total: stats.total || (startId - endId + 1),
+    alreadyRefined: stats.alreadyRefined,
+    processed: stats.processed,
+    success: stats.success,
+    failed: stats.failed,
+    byRefiner,
+    inFlight,
+  });
+};
+
+/**
+ * Logs a watch-mode heartbeat to the stats log
+ * @param {number} nextIndex - Next list index the watcher will process
+ * @param {number} listLength - Current length of the DLP files list
+ * @param {object} stats - Statistics accumulated since the watcher started
+ */
+const logHeartbeat = async (nextIndex, listLength, stats) => {
+  await logStatsEvent({
+    type: "HEARTBEAT",
+    nextIndex,
+    listLength,
+    alreadyRefined: stats.alreadyRefined,
+    processed: stats.processed,
+    success: stats.success,
+    failed: stats.failed,
+  });
+};
+
+/**
+ * Logs a circuit breaker state change to the stats log
+ * @param {object} change - Change from onBreakerChange
+ */
+const logBreakerChange = async ({ breaker, state, reason, outageMs }) => {
+  try {
+    await logStatsEvent({ type: "BREAKER", breaker, state, outageMs, reason: redactText(reason) });
+  } catch (error) {
+    console.error(`Error logging circuit breaker change: ${error.message}`);
+  }
 };
 
 /**
@@ -148,13 +426,7 @@ const logStats = async (stats, startId, endId, type = "PROGRESS") => {
  */
 const initializeStatsLog = async (startId, endId, batchSize) => {
   try {
-    await fs.mkdir(CONFIG.logDir, { recursive: true });
-    
-    const timestamp = new Date().toISOString();
-    await fs.appendFile(
-      path.join(CONFIG.logDir, "stats.log"),
-      `${timestamp},START,Files ${startId} to ${endId},Batch size: ${batchSize}\n`
-    );
+    await logStatsEvent({ type: "START", startId, endId, batchSize });
   } catch (error) {
     console.error(`Error initializing stats log: ${error.message}`);
   }
@@ -165,5 +437,13 @@ module.exports = {
   rotateLogFiles,
   logToFile,
   logStats,
-  initializeStatsLog
-}; 
\ No newline at end of file
+  logHeartbeat,
+  logBreakerChange,
+  initializeStatsLog,
+  flushLogs,
+  getRunId,
+  setRunId,
+  runWithLogContext,
+  setLogPhase,
+  serializeError
+};
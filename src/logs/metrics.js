@@ -0,0 +1,269 @@
+/**
+ * Prometheus metrics module for batch refinement
+ */
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const { CONFIG } = require('../utils/config');
+
+const PREFIX = "batch_refinement_";
+
+// Histogram buckets in seconds
+const RPC_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const REFINE_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+// name → { type, help, buckets, labelled, series: Map(labelKey → { labels, value | counts, sum, count }) }
+const registry = new Map();
+
+/**
+ * Registers a metric
+ * @param {string} name - Name without the common prefix
+ * @param {string} type - counter, gauge or histogram
+ * @param {string} help - Description shown in the exposition
+ * @param {object} options - Metric options
+ * @param {number[]} options.buckets - Upper bounds of the histogram buckets
+ * @param {boolean} options.labelled - Whether every series carries labels
+ */
+const defineMetric = (name, type, help, { buckets = null, labelled = false } = {}) => {
+  registry.set(name, { type, help, buckets, labelled, series: new Map() });
+};
+
+defineMetric("files_processed_total", "counter", "Files that needed refinement and were sent through decryption and refinement");
+defineMetric("files_already_refined_total", "counter", "Files skipped because the refiner already refined them");
+defineMetric("files_succeeded_total", "counter", "Files refined successfully");
+defineMetric("files_failed_total", "counter", "Files that failed, by error type", { labelled: true });
+defineMetric("rpc_request_duration_seconds", "histogram", "Latency of RPC requests by contract method", {
+  buckets: RPC_BUCKETS,
+  labelled: true,
+});
+defineMetric("refine_request_duration_seconds", "histogram", "Latency of refinements including job polling", {
+  buckets: REFINE_BUCKETS,
+  labelled: true,
+});
+defineMetric("current_index", "gauge", "Files list index of the sub-batch scheduled last");
+defineMetric("files_in_flight", "gauge", "Files currently being processed");
+defineMetric("circuit_breaker_state", "gauge", "State of each circuit breaker: 0 closed, 1 half-open, 2 open", {
+  labelled: true,
+});
+
+// Gauge value of each circuit breaker state
+const BREAKER_STATES = { closed: 0, "half-open": 1, open: 2 };
+
+/**
+ * Returns the series of a metric for a label set, creating it on first use
+ * @param {string} name - Metric name without prefix
+ * @param {object} labels - Label values
+ * @returns {object} - The series
+ */
+const getSeries = (name, labels) => {
+  const metric = registry.get(name);
+  const key = JSON.stringify(labels);
+  let series = metric.series.get(key);
+
+  if (!series) {
+    series = metric.type === "histogram"
+      ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 };
+    metric.series.set(key, series);
+  }
+  return series;
+};
+
+/**
+ * Increments a counter or gauge
+ * @param {string} name - Metric name without prefix
+ * @param {object} labels - Label values
+ * @param {number} value - Amount to add
+ */
+const incMetric = (name, labels = {}, value = 1) => {
+  getSeries(name, labels).value += value;
+};
+
+/**
+ * Sets a gauge
+ * @param {string} name - Metric name without prefix
+ * @param {number} value - New value
+ * @param {object} labels - Label values
+ */
+const setGauge = (name, value, labels = {}) => {
+  getSeries(name, labels).value = value;
+};
+
+/**
+ * Records one observation in a histogram
+ * @param {string} name - Metric name without prefix
+ * @param {object} labels - Label values
+ * @param {number} seconds - Observed duration
+ */
+const observeHistogram = (name, labels, seconds) => {
+  const metric = registry.get(name);
+  const series = getSeries(name, labels);
+
+  metric.buckets.forEach((bound, i) => {
+    if (seconds <= bound) series.counts[i]++;
+  });
+  series.sum += seconds;
+  series.count++;
+};
+
+/**
+ * Adds the counters of a finished file's statistics to the file counters
+ * @param {object} stats - Statistics from createStats, with failedByType
+ */
+const recordFileStats = (stats) => {
+  if (stats.processed) incMetric("files_processed_total", {}, stats.processed);
+  if (stats.alreadyRefined) incMetric("files_already_refined_total", {}, stats.alreadyRefined);
+  if (stats.success) incMetric("files_succeeded_total", {}, stats.success);
+  for (const [type, count] of Object.entries(stats.failedByType || {})) {
+    incMetric("files_failed_total", { type }, count);
+  }
+};
+
+/**
+ * Records the latency of one RPC request
+ * @param {string} method - Contract method or RPC method
+ * @param {string} status - success or error
+ * @param {number} durationMs - Duration of the request
+ */
+const observeRpcRequest = (method, status, durationMs) => {
+  observeHistogram("rpc_request_duration_seconds", { method, status }, durationMs / 1000);
+};
+
+/**
+ * Records the latency of one refinement
+ * @param {string} status - success or error
+ * @param {number} durationMs - Duration from submission to the final result
+ */
+const observeRefineRequest = (status, durationMs) => {
+  observeHistogram("refine_request_duration_seconds", { status }, durationMs / 1000);
+};
+
+/**
+ * Records the state of a circuit breaker
+ * @param {object} change - Change from onBreakerChange
+ */
+const recordBreakerChange = ({ breaker, state }) => {
+  setGauge("circuit_breaker_state", BREAKER_STATES[state], { breaker });
+};
+
+/**
+ * Formats a label set in the exposition format
+ * @param {object} labels - Label values
+ * @returns {string} - `{a="1",b="2"}`, or "" without labels
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+/**
+ * Renders all metrics in the Prometheus text exposition format
+ * @returns {string} - Exposition text
+ */
+const renderMetrics = () => {
+  const lines = [];
+
+  for (const [name, metric] of registry) {
+    const fullName = `${PREFIX}${name}`;
+    lines.push(`# HELP ${fullName} ${metric.help}`);
+    lines.push(`# TYPE ${fullName} ${metric.type}`);
+
+    // Unlabelled counters and gauges are exposed as 0 before their first update
+    if (metric.series.size === 0 && !metric.labelled) {
+      lines.push(`${fullName} 0`);
+    }
+
+    for (const series of metric.series.values()) {
+      if (metric.type !== "histogram") {
+        lines.push(`${fullName}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${fullName}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${fullName}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+      lines.push(`${fullName}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${fullName}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+// HTTP server and textfile timer, when enabled
+let server = null;
+let textfileTimer = null;
+
+/**
+ * Writes the metrics to CONFIG.metricsFile atomically, for the node exporter textfile collector
+ */
+const writeMetricsFile = async () => {
+  const tmpPath = `${CONFIG.metricsFile}.tmp`;
+  try {
+    await fs.mkdir(path.dirname(CONFIG.metricsFile), { recursive: true });
+    await fs.writeFile(tmpPath, renderMetrics());
+    await fs.rename(tmpPath, CONFIG.metricsFile);
+  } catch (error) {
+    console.error(`Error writing metrics file ${CONFIG.metricsFile}: ${error.message}`);
+  }
+};
+
+/**
+ * Starts the configured metrics outputs: an HTTP endpoint on CONFIG.metricsPort
+ * and/or a textfile rewritten every CONFIG.metricsInterval seconds
+ */
+const startMetrics = async () => {
+  if (CONFIG.metricsPort) {
+    server = http.createServer((req, res) => {
+      if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+        res.statusCode = 404;
+        res.end("Not found\n");
+        return;
+      }
+      res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+      res.end(renderMetrics());
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(CONFIG.metricsPort, CONFIG.metricsHost, resolve);
+    });
+    console.log(`Serving metrics on http://${CONFIG.metricsHost}:${server.address().port}/metrics`);
+  }
+
+  if (CONFIG.metricsFile) {
+    await writeMetricsFile();
+    textfileTimer = setInterval(writeMetricsFile, CONFIG.metricsInterval * 1000);
+    // The timer alone must not keep a finished run alive
+    textfileTimer.unref();
+    console.log(`Writing metrics to ${CONFIG.metricsFile} every ${CONFIG.metricsInterval}s`);
+  }
+};
+
+/**
+ * Writes the final metrics file and stops the HTTP endpoint
+ */
+const stopMetrics = async () => {
+  if (textfileTimer) {
+    clearInterval(textfileTimer);
+    textfileTimer = null;
+    await writeMetricsFile();
+  }
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+    server = null;
+  }
+};
+
+module.exports = {
+  incMetric,
+  setGauge,
+  recordFileStats,
+  observeRpcRequest,
+  observeRefineRequest,
+  recordBreakerChange,
+  renderMetrics,
+  startMetrics,
+  stopMetrics
+};
@@ -0,0 +1,209 @@
+/**
+ * Webhook notification module for batch refinement
+ *
+ * Posts run events to generic JSON webhooks and Slack incoming webhooks:
+ *   start, complete (or cancelled), fatal, failure-rate
+ * Delivery runs in the background with its own timeout and retries, so a slow
+ * or failing webhook never holds up processing.
+ */
+const os = require('os');
+const axios = require('axios');
+const { CONFIG } = require('../utils/config');
+const { withRetry } = require('../utils/retry');
+const { getRunId } = require('./logger');
+
+// Deliveries still in flight
+const pending = new Set();
+
+// Longest wait for the deliveries in flight at exit
+const FLUSH_TIMEOUT_MS = 3000;
+// Aborted when the exit flush gives up: requests are cancelled and not retried
+const dropped = new AbortController();
+
+// Outcomes of the last CONFIG.failureRateWindow processed files, true for a failure
+const recentOutcomes = [];
+// Whether the failure rate is above the threshold, so the alert fires once per crossing
+let failureRateAlerted = false;
+
+// Slack emoji of each event
+const SLACK_ICONS = {
+  start: ":arrow_forward:",
+  complete: ":white_check_mark:",
+  cancelled: ":double_vertical_bar:",
+  fatal: ":x:",
+  "failure-rate": ":rotating_light:",
+};
+
+/**
+ * Describes the statistics of a run in one line
+ * @param {object} stats - Statistics of the run
+ * @returns {string} - Summary of the counters
+ */
+const describeStats = (stats) =>
+  `${stats.success} refined, ${stats.failed} failed, ${stats.alreadyRefined} already refined ` +
+  `(${stats.processed} of ${stats.total ?? "?"} files processed)`;
+
+/**
+ * Describes an event in one line, used as the summary of every payload
+ * @param {string} event - Event name
+ * @param {object} details - Event details
+ * @returns {string} - Summary
+ */
+const describeEvent = (event, details) => {
+  const range = details.range ? ` ${details.range.type === "index" ? "indices" : "files"} ${details.range.start}→${details.range.end}` : "";
+  switch (event) {
+    case "start":
+      return `Batch refinement started for${range}${details.resumed ? " (resumed)" : ""}`;
+    case "complete":
+    case "cancelled":
+      return `Batch refinement ${event === "complete" ? "completed" : "cancelled"} for${range}: ${describeStats(details.stats)}`;
+    case "fatal":
+      return `Batch refinement (${details.command}) failed: ${details.error}`;
+    case "failure-rate":
+      return `Failure rate at ${(details.failureRate.rate * 100).toFixed(1)}% over the last ${details.failureRate.window} processed files ` +
+        `(threshold ${(details.failureRate.threshold * 100).toFixed(1)}%)`;
+    default:
+      return `Batch refinement event ${event}`;
+  }
+};
+
+/**
+ * Formats a payload for a Slack incoming webhook
+ * @param {object} payload - Generic payload
+ * @returns {object} - Slack message
+ */
+const toSlackMessage = (payload) => {
+  const context = [
+    `DLP \`${payload.dlpAddress}\``,
+    `refiner(s) ${payload.refinerIds.join(", ")}`,
+    `run \`${payload.runId}\``,
+    `host ${payload.host}`,
+  ];
+  if (payload.simulated) context.push("simulation");
+  return {
+    text: `${SLACK_ICONS[payload.event] || ""} ${payload.summary}\n${context.join(" · ")}`.trim(),
+  };
+};
+
+/**
+ * Posts a payload to one webhook, retrying transient failures
+ * @param {string} url - Webhook URL
+ * @param {object} body - Request body
+ * @param {string} event - Event name, used in log messages
+ */
+const deliver = async (url, body, event) => {
+  // The URL holds the webhook's credentials, only its host is logged
+  const host = new URL(url).host;
+  try {
+    await withRetry(
+      () => {
+        if (dropped.signal.aborted) {
+          throw Object.assign(new Error("dropped at exit"), { errorClass: "permanent" });
+        }
+        return axios.post(url, body, { timeout: CONFIG.webhookTimeout * 1000, signal: dropped.signal });
+      },
+      { label: `Webhook ${event} notification to ${host}`, maxAttempts: CONFIG.webhookRetries }
+    );
+  } catch (error) {
+    console.error(`Webhook ${event} notification to ${host} failed after ${error.attempts} attempt(s): ${error.message}`);
+  }
+};
+
+/**
+ * Sends an event to every configured webhook, without waiting for delivery
+ * @param {string} event - start, complete, cancelled, fatal or failure-rate
+ * @param {object} details - Event details
+ * @param {object|null} details.range - `{ type: "index"|"fileId", start, end }` of the run
+ * @param {number[]|null} details.refinerIds - Refiners of the run (default: CONFIG.refinerIds)
+ * @param {object|null} details.stats - Statistics of the run
+ * @param {string|null} details.error - Error message of a fatal error
+ * @param {object|null} details.failureRate - `{ rate, failures, window, threshold }`
+ */
+const notify = (event, details = {}) => {
+  // Cancelled runs are sent to the subscribers of complete
+  const subscribed = event === "cancelled" ? "complete" : event;
+  const urls = [...CONFIG.webhookUrls, ...CONFIG.slackWebhookUrls];
+  if (urls.length === 0 || !CONFIG.webhookEvents.includes(subscribed)) return;
+
+  const payload = {
+    event,
+    timestamp: new Date().toISOString(),
+    runId: getRunId(),
+    host: os.hostname(),
+    summary: describeEvent(event, details),
+    dlpAddress: CONFIG.dlpAddress,
+    chainId: CONFIG.chainId,
+    refinerIds: details.refinerIds || CONFIG.refinerIds,
+    simulated: CONFIG.simulate,
+    range: details.range || null,
+    stats: details.stats || null,
+    error: details.error || null,
+    failureRate: details.failureRate || null,
+  };
+
+  const deliveries = [
+    ...CONFIG.webhookUrls.map((url) => deliver(url, payload, event)),
+    ...CONFIG.slackWebhookUrls.map((url) => deliver(url, toSlackMessage(payload), event)),
+  ];
+  for (const delivery of deliveries) {
+    pending.add(delivery);
+    delivery.finally(() => pending.delete(delivery));
+  }
+};
+
+/**
+ * Records the outcome of a processed file in the rolling window, and sends a
+ * failure-rate event when the share of failures crosses CONFIG.failureRateThreshold.
+ * Files skipped as already refined or without an EEK do not count.
+ * @param {string} outcome - Outcome from processFileWithStats
+ */
+const recordFileOutcome = (outcome) => {
+  if (outcome !== "success" && outcome !== "failed" && outcome !== "error") return;
+  if (!(CONFIG.failureRateThreshold > 0) || CONFIG.failureRateWindow <= 0) return;
+
+  recentOutcomes.push(outcome !== "success");
+  if (recentOutcomes.length > CONFIG.failureRateWindow) recentOutcomes.shift();
+  // Only a full window says anything about the rate
+  if (recentOutcomes.length < CONFIG.failureRateWindow) return;
+
+  const failures = recentOutcomes.filter(Boolean).length;
+  const rate = failures / recentOutcomes.length;
+  if (rate < CONFIG.failureRateThreshold) {
+    failureRateAlerted = false;
+    return;
+  }
+  if (failureRateAlerted) return;
+
+  failureRateAlerted = true;
+  console.error(`Failure rate ${(rate * 100).toFixed(1)}% over the last ${recentOutcomes.length} processed files`);
+  notify("failure-rate", {
+    failureRate: { rate, failures, window: recentOutcomes.length, threshold: CONFIG.failureRateThreshold },
+  });
+};
+
+/**
+ * Waits for the deliveries in flight, before the process exits. After
+ * FLUSH_TIMEOUT_MS the remaining requests are cancelled and their retries dropped.
+ * @returns {Promise<void>} - Resolves once every delivery settled, or at the timeout
+ */
+const flushNotifications = async () => {
+  if (pending.size === 0) return;
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, FLUSH_TIMEOUT_MS);
+  });
+  await Promise.race([Promise.all([...pending]), timeout]);
+  clearTimeout(timer);
+
+  if (pending.size > 0) {
+    console.error(`Dropping ${pending.size} webhook notification(s) still pending after ${FLUSH_TIMEOUT_MS / 1000}s`);
+    dropped.abort();
+  }
+};
+
+module.exports = {
+  notify,
+  recordFileOutcome,
+  flushNotifications
+};
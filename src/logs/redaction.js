@@ -0,0 +1,172 @@
+/**
+ * Secret redaction module for batch refinement
+ */
+const { CONFIG } = require('../utils/config');
+
+const REDACTED = "[REDACTED]";
+
+// Shorter values are too likely to appear in ordinary text to be masked by value
+const MIN_SECRET_LENGTH = 8;
+
+// Object keys whose values are always masked (refinement request bodies, credentials)
+const SENSITIVE_KEY_PATTERN = /^(encryption_?key|data_?encryption_?key|private_?key|dlp_?private_?key|pinata_?api_?(jwt|secret|key)|env_?vars|authorization|password|(slack_?)?webhook_?urls?)$/i;
+
+// The same keys inside serialized JSON, e.g. a request body quoted in an error message
+const SENSITIVE_JSON_PATTERN = /("(?:encryption_key|encryptionKey|dataEncryptionKey|private_key|privateKey|PINATA_API_JWT|env_vars|authorization|password)"\s*:\s*)("(?:[^"\\]|\\.)*"|\{[^{}]*\})/gi;
+
+const BEARER_PATTERN = /(Bearer\s+)[A-Za-z0-9._~+/=-]+/g;
+
+// Configuration keys holding RPC and refinement service URLs, printed as scheme and host
+const SERVICE_URL_KEY_PATTERN = /^(rpc_?urls?|refinement_?service_?api_?base_?url)$/i;
+
+// Scheme, credentials and host at the start of a URL
+const URL_ORIGIN_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/[^/?#\s]+/i;
+
+// Values registered at runtime (decrypted keys) → number of files still using them
+const runtimeSecrets = new Map();
+
+/**
+ * Registers a value that must never appear in the logs, e.g. a decrypted EEK
+ * @param {string} value - Secret value
+ */
+const registerSecret = (value) => {
+  if (typeof value !== "string" || value.length < MIN_SECRET_LENGTH) return;
+  runtimeSecrets.set(value, (runtimeSecrets.get(value) || 0) + 1);
+};
+
+/**
+ * Releases a value registered with registerSecret once it is no longer in use
+ * @param {string} value - Secret value
+ */
+const forgetSecret = (value) => {
+  const count = runtimeSecrets.get(value);
+  if (count === undefined) return;
+  if (count > 1) runtimeSecrets.set(value, count - 1);
+  else runtimeSecrets.delete(value);
+};
+
+/**
+ * Lists every value to mask: configured credentials and registered secrets
+ * @returns {string[]} - Secret values, longest first so overlapping values are fully masked
+ */
+const getSecrets = () => {
+  const secrets = new Set(runtimeSecrets.keys());
+
+  // Webhook URLs carry their credentials in the path
+  const configured = [
+    CONFIG.dlpPrivateKey, CONFIG.pinataApiJwt, CONFIG.pinataApiSecret, CONFIG.pinataApiKey,
+    ...(CONFIG.webhookUrls || []), ...(CONFIG.slackWebhookUrls || []),
+  ];
+  for (const value of configured) {
+    if (typeof value !== "string" || value.length < MIN_SECRET_LENGTH) continue;
+    secrets.add(value);
+    // Private keys are used with and without the 0x prefix
+    if (value.startsWith("0x")) secrets.add(value.slice(2));
+  }
+  return [...secrets].sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Reduces a URL to its scheme and host; RPC providers put API keys in the path,
+ * the query or the credentials
+ * @param {string} url - URL to print
+ * @returns {string} - e.g. "https://rpc.example.com", or [REDACTED] if it is not a URL
+ */
+const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}`;
+  } catch (error) {
+    return REDACTED;
+  }
+};
+
+/**
+ * Reduces the configured RPC and refinement service URLs to scheme and host
+ * wherever they appear, e.g. in the url="..." of an ethers error message
+ * @param {string} text - Text to log
+ * @returns {string} - Text with the paths of those URLs removed
+ */
+const redactServiceUrls = (text) => {
+  let redacted = text;
+  for (const url of [...(CONFIG.rpcUrls || []), CONFIG.refinementServiceApiBaseUrl]) {
+    const origin = typeof url === "string" && URL_ORIGIN_PATTERN.exec(url);
+    if (!origin) continue;
+    const escaped = origin[0].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    // The rest of the URL runs up to the next space, quote or closing bracket
+    const pattern = new RegExp(`${escaped}(?![\\w.:@-])[^\\s"'<>()\\[\\]{},]*`, "gi");
+    redacted = redacted.replace(pattern, redactUrl(url));
+  }
+  return redacted;
+};
+
+/**
+ * Masks secrets in a string
+ * @param {string} text - Text to log
+ * @returns {string} - Text with every secret replaced by [REDACTED]
+ */
+const redactText = (text) => {
+  if (CONFIG.logSecrets || typeof text !== "string") return text;
+
+  let redacted = redactServiceUrls(text)
+    .replace(SENSITIVE_JSON_PATTERN, `$1"${REDACTED}"`)
+    .replace(BEARER_PATTERN, `$1${REDACTED}`);
+  for (const secret of getSecrets()) {
+    redacted = redacted.split(secret).join(REDACTED);
+  }
+  return redacted;
+};
+
+/**
+ * Masks secrets in any value that is about to be logged
+ * @param {any} value - String, object or array
+ * @param {number} depth - Current nesting depth
+ * @returns {any} - Copy of the value with secrets masked
+ */
+const redactValue = (value, depth = 0) => {
+  if (CONFIG.logSecrets) return value;
+  if (typeof value === "string") return redactText(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth > 10) return REDACTED;
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, depth + 1));
+  }
+
+  const redacted = {};
+  for (const [key, item] of Object.entries(value)) {
+    redacted[key] = SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redactValue(item, depth + 1);
+  }
+  return redacted;
+};
+
+/**
+ * Returns a copy of a configuration object that is safe to print: credentials are
+ * masked and service URLs reduced to scheme and host whether or not CONFIG.logSecrets
+ * is set; unset credentials stay visible as unset
+ * @param {object} config - Configuration object such as CONFIG
+ * @returns {object} - Copy with credentials replaced by [REDACTED]
+ */
+const redactConfig = (config) => {
+  const redacted = {};
+  for (const [key, value] of Object.entries(config)) {
+    const isSet = Array.isArray(value) ? value.length > 0 : Boolean(value);
+    if (SENSITIVE_KEY_PATTERN.test(key) && isSet) {
+      redacted[key] = REDACTED;
+    } else if (SERVICE_URL_KEY_PATTERN.test(key) && isSet) {
+      redacted[key] = Array.isArray(value) ? value.map(redactUrl) : redactUrl(value);
+    } else {
+      redacted[key] = value;
+    }
+  }
+  return redacted;
+};
+
+module.exports = {
+  REDACTED,
+  registerSecret,
+  forgetSecret,
+  redactText,
+  redactValue,
+  redactConfig
+};
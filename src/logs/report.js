@@ -0,0 +1,494 @@
+/**
+ * Run report module for batch refinement
+ *
+ * Builds a coverage report for one or more runs from results.log, stats.log and
+ * their rotated backups, and renders it as Markdown, self-contained HTML or CSV.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { CONFIG } = require('../utils/config');
+const { listLogFiles, readResults, getLatestFileStatuses } = require('./results');
+
+// Rows shown in the failure cluster and slowest file tables
+const TOP_ROWS = 10;
+
+// Time buckets of the success rate over time, the first one giving at most MAX_TIME_BUCKETS buckets is used
+const TIME_BUCKETS_MS = [60, 300, 900, 3600, 6 * 3600, 24 * 3600].map((seconds) => seconds * 1000);
+const MAX_TIME_BUCKETS = 48;
+
+// Index ranges of the coverage table, when --index-range is not given
+const MAX_INDEX_RANGES = 20;
+
+// Counters of the stats.log rows, in the CSV layout written by the logger
+const STATS_COUNTERS = {
+  "Total": "total",
+  "Already Refined": "alreadyRefined",
+  "Processed": "processed",
+  "Success": "success",
+  "Failed": "failed",
+};
+
+/**
+ * Parses one stats.log line, written by either the csv or the json formatter
+ * @param {string} line - Raw line
+ * @returns {object|null} - `{ timestamp, type, runId, startId, endId, refinerId, ...counters }`, or null
+ */
+const parseStatsLine = (line) => {
+  if (line.startsWith("{")) {
+    try {
+      const event = JSON.parse(line);
+      return event.type && event.timestamp ? event : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const [timestamp, type, ...columns] = line.split(",");
+  if (!type || Number.isNaN(Date.parse(timestamp))) return null;
+
+  const row = { timestamp, type, runId: null };
+  for (const column of columns) {
+    const files = /^Files (-?\d+) to (-?\d+)$/.exec(column);
+    const refiner = /^Refiner (\d+)$/.exec(column);
+    const counter = /^([A-Za-z ]+): (.*)$/.exec(column);
+    if (files) {
+      row.startId = Number(files[1]);
+      row.endId = Number(files[2]);
+    } else if (refiner) {
+      row.refinerId = Number(refiner[1]);
+    } else if (counter && counter[1] === "Run") {
+      row.runId = counter[2];
+    } else if (counter && STATS_COUNTERS[counter[1]]) {
+      row[STATS_COUNTERS[counter[1]]] = Number(counter[2]);
+    }
+  }
+  return row;
+};
+
+/**
+ * Reads all rows from stats.log and its rotated backups in chronological order
+ * @returns {object[]} - Parsed rows
+ */
+const readStats = async () => {
+  const rows = [];
+
+  for (const file of await listLogFiles("stats.log")) {
+    const content = await fs.readFile(file, "utf8");
+    for (const line of content.split("\n")) {
+      const row = line.trim() && parseStatsLine(line.trim());
+      if (row) rows.push(row);
+    }
+  }
+  return rows;
+};
+
+/**
+ * Picks the largest "nice" size (1, 2 or 5 times a power of ten) that splits a span
+ * into at most a number of parts
+ * @param {number} span - Length to split
+ * @param {number} parts - Maximum number of parts
+ * @returns {number} - Size of one part
+ */
+const niceSize = (span, parts) => {
+  const raw = Math.max(1, Math.ceil(span / parts));
+  const power = 10 ** Math.floor(Math.log10(raw));
+  return [1, 2, 5, 10].map((factor) => factor * power).find((size) => size >= raw);
+};
+
+/**
+ * Turns an error message into its cluster: numbers, hex values, IDs and CIDs are
+ * replaced, so the same failure of different files lands in one cluster
+ * @param {string} message - Message of an ERROR row
+ * @returns {string} - Cluster label
+ */
+const clusterMessage = (message) =>
+  message
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, "<id>")
+    .replace(/0x[0-9a-f]+/gi, "<hex>")
+    .replace(/\b(bafy|Qm)[0-9a-z]{20,}\b/gi, "<cid>")
+    // HTTP statuses tell failures apart, every other number is replaced
+    .replace(/(?<!(?:status code|HTTP) )\b\d+(\.\d+)?\b/g, "<n>")
+    .trim()
+    .slice(0, 160);
+
+/**
+ * Formats a ratio as a percentage
+ * @param {number} part - Numerator
+ * @param {number} whole - Denominator
+ * @returns {string} - Percentage with one decimal, or "-" when whole is 0
+ */
+const percent = (part, whole) => (whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : "-");
+
+/**
+ * Selects the runs of the report
+ * @param {object[]} statsRows - Rows from readStats
+ * @param {object} filters - `{ runIds, since, until }`
+ * @returns {string[]|null} - Run IDs, or null to take every run inside the time window
+ * @throws {Error} If no run is given, no window is given and stats.log has no run
+ */
+const selectRuns = (statsRows, { runIds = [], since = null, until = null }) => {
+  if (runIds.length > 0) return runIds;
+  if (since || until) return null;
+
+  const starts = statsRows.filter((row) => row.type === "START" && row.runId);
+  if (starts.length === 0) {
+    throw new Error(`No run found in ${path.join(CONFIG.logDir, "stats.log")} - pass --run or --since`);
+  }
+  return [starts[starts.length - 1].runId];
+};
+
+/**
+ * Adds up the final statistics of each run: its COMPLETE, CANCELLED or ABORTED row, or
+ * the sum of its PROGRESS rows when it never finished
+ * @param {object[]} statsRows - stats.log rows of the selected runs
+ * @returns {object} - `{ total, alreadyRefined, processed, success, failed, runs }`
+ */
+const summarizeStats = (statsRows) => {
+  const totals = { total: 0, alreadyRefined: 0, processed: 0, success: 0, failed: 0, runs: [] };
+  const byRun = new Map();
+  for (const row of statsRows) {
+    if (!byRun.has(row.runId)) byRun.set(row.runId, []);
+    byRun.get(row.runId).push(row);
+  }
+
+  for (const [runId, rows] of byRun) {
+    const start = rows.find((row) => row.type === "START");
+    const final = [...rows].reverse().find((row) => ["COMPLETE", "CANCELLED", "ABORTED"].includes(row.type));
+    const counted = final ? [final] : rows.filter((row) => row.type === "PROGRESS");
+    for (const row of counted) {
+      for (const key of Object.values(STATS_COUNTERS)) totals[key] += row[key] || 0;
+    }
+    totals.runs.push({
+      runId,
+      startedAt: rows[0].timestamp,
+      endedAt: rows[rows.length - 1].timestamp,
+      range: start ? `${start.startId} to ${start.endId}` : null,
+      state: final ? final.type : "INCOMPLETE",
+    });
+  }
+  return totals;
+};
+
+/**
+ * Builds the report of the selected runs
+ * @param {object} options - Report options
+ * @param {string[]} options.runIds - Runs to report on (default: the latest run in stats.log)
+ * @param {Date|null} options.since - Only rows logged at or after this time
+ * @param {Date|null} options.until - Only rows logged at or before this time
+ * @param {number|null} options.indexRange - Indices per coverage range (default: automatic)
+ * @returns {Promise<object>} - The report
+ */
+const buildReport = async ({ runIds = [], since = null, until = null, indexRange = null } = {}) => {
+  const allStats = await readStats();
+  const runs = selectRuns(allStats, { runIds, since, until });
+
+  const selected = (runId, timestamp) => {
+    if (runs && !runs.includes(runId)) return false;
+    const time = new Date(timestamp);
+    return !(since && time < since) && !(until && time > until);
+  };
+  const statsRows = allStats.filter((row) => selected(row.runId, row.timestamp) && !row.refinerId);
+  const rows = (await readResults()).filter((row) => selected(row.meta.run, row.timestamp));
+  if (statsRows.length === 0 && rows.length === 0) {
+    throw new Error(`No log entries found for ${runs ? `run(s) ${runs.join(", ")}` : "the time window"} in ${CONFIG.logDir}`);
+  }
+
+  // Outcomes: the latest one per file and refiner
+  const latest = [...getLatestFileStatuses(rows).values()];
+  const isAlreadyRefined = (outcome) => outcome.status === "SUCCESS" && outcome.message.includes("already_refined");
+  const outcomes = {
+    refined: latest.filter((outcome) => outcome.status === "SUCCESS" && !isAlreadyRefined(outcome)).length,
+    alreadyRefined: latest.filter(isAlreadyRefined).length,
+    failed: latest.filter((outcome) => outcome.status !== "SUCCESS").length,
+  };
+  const failuresByType = {};
+  for (const outcome of latest.filter((item) => item.status !== "SUCCESS")) {
+    failuresByType[outcome.type] = (failuresByType[outcome.type] || 0) + 1;
+  }
+
+  // Success rate over time, by the time each file and refiner got its outcome
+  const finished = latest.filter((outcome) => !isAlreadyRefined(outcome));
+  const times = finished.map((outcome) => Date.parse(outcome.timestamp));
+  // Reduced rather than spread, logs can hold more rows than a call takes arguments
+  const first = times.reduce((min, time) => Math.min(min, time), Infinity);
+  const last = times.reduce((max, time) => Math.max(max, time), -Infinity);
+  const bucketMs = TIME_BUCKETS_MS.find((size) => (last - first) / size < MAX_TIME_BUCKETS)
+    || TIME_BUCKETS_MS[TIME_BUCKETS_MS.length - 1];
+  const timeBuckets = new Map();
+  finished.forEach((outcome, i) => {
+    const start = Math.floor(times[i] / bucketMs) * bucketMs;
+    const bucket = timeBuckets.get(start) || { start: new Date(start).toISOString(), refined: 0, failed: 0 };
+    bucket[outcome.status === "SUCCESS" ? "refined" : "failed"]++;
+    timeBuckets.set(start, bucket);
+  });
+  const overTime = [...timeBuckets.entries()].sort(([a], [b]) => a - b).map(([, bucket]) => bucket);
+
+  // Failure clusters, from the ERROR rows that explain the failures
+  const clusters = new Map();
+  for (const row of rows.filter((item) => item.status === "ERROR")) {
+    const type = row.meta.type || "unknown";
+    const label = clusterMessage(row.message);
+    const key = `${type}|${label}`;
+    const cluster = clusters.get(key) || { type, cluster: label, example: row.message.slice(0, 200), count: 0, files: new Set() };
+    cluster.count++;
+    cluster.files.add(row.fileId);
+    clusters.set(key, cluster);
+  }
+  const failureClusters = [...clusters.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_ROWS)
+    .map(({ files, ...cluster }) => ({ ...cluster, files: files.size }));
+
+  // Slowest refinement requests, logs written before durations were recorded have none
+  const slowest = rows
+    .filter((row) => row.meta.duration !== undefined && (row.status === "SUCCESS" || row.meta.type === "api-error"))
+    .map((row) => ({
+      fileId: row.fileId,
+      refinerId: row.meta.refiner !== undefined ? Number(row.meta.refiner) : null,
+      index: row.meta.index !== undefined ? Number(row.meta.index) : null,
+      status: row.status,
+      durationMs: Number(row.meta.duration),
+      attempts: row.meta.attempts !== undefined ? Number(row.meta.attempts) : null,
+    }))
+    .sort((a, b) => b.durationMs - a.durationMs)
+    .slice(0, TOP_ROWS);
+
+  // Coverage per index range: fileId → { index, noEek, refiners: refinerId → status }
+  const files = new Map();
+  for (const row of rows) {
+    const file = files.get(row.fileId) || { index: null, noEek: false };
+    if (row.meta.index !== undefined) file.index = Number(row.meta.index);
+    if (row.status === "INFO" && row.message.includes("no_eek")) file.noEek = true;
+    files.set(row.fileId, file);
+  }
+  for (const outcome of latest) {
+    const file = files.get(outcome.fileId);
+    file.refiners = file.refiners || {};
+    file.refiners[outcome.refinerId] = outcome.status;
+  }
+  const indices = [...files.values()].map((file) => file.index).filter((index) => index !== null);
+  const lowest = indices.reduce((min, index) => Math.min(min, index), Infinity);
+  const highest = indices.reduce((max, index) => Math.max(max, index), -Infinity);
+  const rangeSize = indexRange || (indices.length > 0 ? niceSize(highest - lowest + 1, MAX_INDEX_RANGES) : 1);
+  const ranges = new Map();
+  for (const file of files.values()) {
+    const key = file.index === null ? null : Math.floor(file.index / rangeSize) * rangeSize;
+    const range = ranges.get(key) || {
+      range: key === null ? "unknown" : `${key}-${key + rangeSize - 1}`,
+      files: 0, refined: 0, noEek: 0, failed: 0, unfinished: 0,
+    };
+    const states = Object.values(file.refiners || {});
+    range.files++;
+    if (file.noEek) range.noEek++;
+    else if (states.length > 0 && states.every((status) => status === "SUCCESS")) range.refined++;
+    else if (states.some((status) => status === "FAILED" || status === "ERROR")) range.failed++;
+    else range.unfinished++;
+    ranges.set(key, range);
+  }
+  const coverage = [...ranges.entries()]
+    .sort(([a], [b]) => (a === null) - (b === null) || b - a)
+    .map(([, range]) => ({ ...range, coverage: percent(range.refined, range.files - range.noEek) }));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    runs: runs || [...new Set(statsRows.map((row) => row.runId))],
+    window: { since: since ? since.toISOString() : null, until: until ? until.toISOString() : null },
+    stats: summarizeStats(statsRows),
+    outcomes,
+    failuresByType,
+    overTime: { bucketMinutes: bucketMs / 60000, buckets: overTime },
+    failureClusters,
+    slowest,
+    coverage: { rangeSize, ranges: coverage },
+  };
+};
+
+/**
+ * Lists the tables of a report, shared by every output format
+ * @param {object} report - Report from buildReport
+ * @returns {object[]} - `{ title, columns, rows }` per table
+ */
+const reportTables = (report) => {
+  const { stats, outcomes } = report;
+  return [
+    {
+      title: "Runs",
+      columns: ["Run", "Started", "Ended", "Range", "State"],
+      rows: stats.runs.map((run) => [run.runId, run.startedAt, run.endedAt, run.range || "-", run.state]),
+    },
+    {
+      title: "Totals",
+      columns: ["Metric", "Value"],
+      rows: [
+        ["Files", stats.total],
+        ["Already refined", stats.alreadyRefined],
+        ["Processed", stats.processed],
+        ["Success", stats.success],
+        ["Failed", stats.failed],
+        ["Success rate (of processed)", percent(stats.success, stats.processed)],
+        ["Refinements (file and refiner)", outcomes.refined],
+        ["Already refined (file and refiner)", outcomes.alreadyRefined],
+        ["Failed (file and refiner)", outcomes.failed],
+      ],
+    },
+    {
+      title: `Success rate over time (${report.overTime.bucketMinutes} minute buckets)`,
+      columns: ["From", "Refined", "Failed", "Success rate"],
+      rows: report.overTime.buckets.map((bucket) =>
+        [bucket.start, bucket.refined, bucket.failed, percent(bucket.refined, bucket.refined + bucket.failed)]),
+    },
+    {
+      title: "Failures by error type",
+      columns: ["Error type", "Files and refiners"],
+      rows: Object.entries(report.failuresByType).sort(([, a], [, b]) => b - a),
+    },
+    {
+      title: "Failure clusters",
+      columns: ["Error type", "Message", "Errors", "Files", "Example"],
+      rows: report.failureClusters.map((cluster) =>
+        [cluster.type, cluster.cluster, cluster.count, cluster.files, cluster.example]),
+    },
+    {
+      title: "Slowest refinements",
+      columns: ["File", "Refiner", "Index", "Status", "Duration (s)", "Attempts"],
+      rows: report.slowest.map((row) => [
+        row.fileId, row.refinerId ?? "-", row.index ?? "-", row.status, (row.durationMs / 1000).toFixed(1), row.attempts ?? "-",
+      ]),
+    },
+    {
+      title: `Coverage per index range (${report.coverage.rangeSize} indices)`,
+      columns: ["Indices", "Files", "Refined", "No EEK", "Failed", "Unfinished", "Coverage"],
+      rows: report.coverage.ranges.map((range) =>
+        [range.range, range.files, range.refined, range.noEek, range.failed, range.unfinished, range.coverage]),
+    },
+  ];
+};
+
+/**
+ * Describes which runs and window a report covers
+ * @param {object} report - Report from buildReport
+ * @returns {string} - One line
+ */
+const describeScope = (report) => {
+  const window = [report.window.since && `since ${report.window.since}`, report.window.until && `until ${report.window.until}`]
+    .filter(Boolean).join(" ");
+  return `${report.runs.length} run(s)${window ? ` ${window}` : ""}, generated ${report.generatedAt}`;
+};
+
+/**
+ * Escapes text for HTML
+ * @param {any} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+/**
+ * Quotes a CSV field when it needs it
+ * @param {any} value - Field value
+ * @returns {string} - CSV field
+ */
+const csvField = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Output formats of the report, each turns a report into the file content
+const RENDERERS = {
+  md: (report) => {
+    const cell = (value) => String(value).replace(/\|/g, "\\|").replace(/\n/g, " ");
+    const sections = reportTables(report).map(({ title, columns, rows }) => [
+      `## ${title}`,
+      "",
+      rows.length === 0
+        ? "_None_"
+        : [
+          `| ${columns.join(" | ")} |`,
+          `|${columns.map(() => "---").join("|")}|`,
+          ...rows.map((row) => `| ${row.map(cell).join(" | ")} |`),
+        ].join("\n"),
+    ].join("\n"));
+    return [`# Refinement report`, "", describeScope(report), "", ...sections.join("\n\n").split("\n"), ""].join("\n");
+  },
+  html: (report) => {
+    const tables = reportTables(report).map(({ title, columns, rows }) => `
+<h2>${escapeHtml(title)}</h2>
+${rows.length === 0 ? "<p><em>None</em></p>" : `<table>
+<thead><tr>${columns.map((column) => `<th>${escapeHtml(column)}</th>`).join("")}</tr></thead>
+<tbody>
+${rows.map((row) => `<tr>${row.map((value) => `<td>${escapeHtml(value)}</td>`).join("")}</tr>`).join("\n")}
+</tbody>
+</table>`}`).join("\n");
+    // Bars of the success rate over time, so the trend shows without a chart library
+    const bars = report.overTime.buckets.map((bucket) => {
+      const total = bucket.refined + bucket.failed;
+      const height = total > 0 ? Math.round((bucket.refined / total) * 100) : 0;
+      return `<div class="bar" title="${escapeHtml(`${bucket.start}: ${percent(bucket.refined, total)}`)}"><span style="height:${height}%"></span></div>`;
+    }).join("");
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Refinement report</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 14px; }
+th { background: #f2f2f2; }
+.chart { display: flex; align-items: flex-end; height: 120px; gap: 2px; border-bottom: 1px solid #999; }
+.bar { flex: 1; height: 100%; display: flex; align-items: flex-end; background: #fbe3e3; }
+.bar span { display: block; width: 100%; background: #3a9d5d; }
+</style>
+</head>
+<body>
+<h1>Refinement report</h1>
+<p>${escapeHtml(describeScope(report))}</p>
+${bars ? `<h2>Success rate over time</h2>\n<div class="chart">${bars}</div>` : ""}
+${tables}
+</body>
+</html>
+`;
+  },
+  csv: (report) =>
+    reportTables(report).map(({ title, columns, rows }) => [
+      csvField(title),
+      columns.map(csvField).join(","),
+      ...rows.map((row) => row.map(csvField).join(",")),
+    ].join("\n")).join("\n\n") + "\n",
+};
+
+/**
+ * Builds the report and writes it in the requested format
+ * @param {object} options - Options passed to buildReport, and:
+ * @param {string} options.format - md, html or csv
+ * @param {string|null} options.output - Where to write the report (default: output/report-<time>.<format>)
+ * @returns {Promise<string>} - Path of the written report
+ * @throws {Error} On an unknown format or when stats.log has no run to report on
+ */
+const writeReport = async ({ format = "md", output = null, ...options } = {}) => {
+  const render = RENDERERS[format];
+  if (!render) {
+    throw new Error(`Unknown report format "${format}" (expected ${Object.keys(RENDERERS).join(", ")})`);
+  }
+
+  const report = await buildReport(options);
+  const reportPath = output || path.join(
+    CONFIG.logDir,
+    `report-${report.generatedAt.replace(/:/g, "-")}.${format}`
+  );
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, render(report));
+
+  console.log(`Report of ${describeScope(report)} written to ${reportPath}`);
+  console.log(
+    `Files: ${report.stats.total}, success: ${report.stats.success}, failed: ${report.stats.failed}, ` +
+    `success rate: ${percent(report.stats.success, report.stats.processed)}`
+  );
+  return reportPath;
+};
+
+module.exports = {
+  readStats,
+  buildReport,
+  writeReport
+};
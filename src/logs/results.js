@@ -0,0 +1,210 @@
+/**
+ * Results log parsing module for batch refinement
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { CONFIG } = require('../utils/config');
+
+// Trailing key=value columns appended by logToFile (attempts, class, type, ...)
+const META_COLUMN_PATTERN = /^([a-zA-Z]+)=(\S*)$/;
+
+/**
+ * Lists a log file together with its rotated backups, oldest first
+ * @param {string} fileName - Name of the log file (e.g. results.log)
+ * @returns {string[]} - Absolute paths of the existing files
+ */
+const listLogFiles = async (fileName) => {
+  let entries;
+  try {
+    entries = await fs.readdir(CONFIG.logDir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  // Rotated names embed an ISO timestamp, so lexical order is chronological
+  const backups = entries
+    .filter((entry) => entry.startsWith(`${fileName}.`) && entry.endsWith(".bak"))
+    .sort();
+  const files = backups.map((entry) => path.join(CONFIG.logDir, entry));
+
+  if (entries.includes(fileName)) {
+    files.push(path.join(CONFIG.logDir, fileName));
+  }
+  return files;
+};
+
+// JSON fields of a structured results entry that map onto CSV metadata columns
+const JSON_META_FIELDS = {
+  attempts: "attempts",
+  errorClass: "class",
+  errorType: "type",
+  refinerId: "refiner",
+  runId: "run",
+  index: "index",
+  durationMs: "duration",
+};
+
+/**
+ * Parses one JSON-lines results entry into the same shape as a CSV row
+ * @param {string} line - Raw line
+ * @returns {object|null} - Parsed row or null if the line is malformed
+ */
+const parseJsonResultLine = (line) => {
+  let event;
+  try {
+    event = JSON.parse(line);
+  } catch (error) {
+    return null;
+  }
+
+  const fileId = parseInt(event.fileId, 10);
+  if (Number.isNaN(fileId) || Number.isNaN(Date.parse(event.timestamp))) return null;
+
+  const meta = {};
+  for (const [field, key] of Object.entries(JSON_META_FIELDS)) {
+    if (event[field] !== null && event[field] !== undefined) meta[key] = String(event[field]);
+  }
+
+  return {
+    timestamp: event.timestamp,
+    fileId,
+    status: event.status,
+    message: event.message || "",
+    meta,
+  };
+};
+
+/**
+ * Parses one results.log line, written by either the csv or the json formatter
+ * @param {string} line - Raw line
+ * @returns {object|null} - Parsed row or null if the line is malformed
+ */
+const parseResultLine = (line) => {
+  if (line.startsWith("{")) return parseJsonResultLine(line);
+
+  const columns = line.split(",");
+  if (columns.length < 3) return null;
+
+  const [timestamp, fileIdColumn, status] = columns;
+  const fileId = parseInt(fileIdColumn, 10);
+  if (Number.isNaN(fileId) || Number.isNaN(Date.parse(timestamp))) return null;
+
+  const meta = {};
+  let messageEnd = columns.length;
+  while (messageEnd > 3) {
+    const match = META_COLUMN_PATTERN.exec(columns[messageEnd - 1]);
+    if (!match) break;
+    meta[match[1]] = match[2];
+    messageEnd--;
+  }
+
+  return {
+    timestamp,
+    fileId,
+    status,
+    message: columns.slice(3, messageEnd).join(","),
+    meta,
+  };
+};
+
+/**
+ * Reads all rows from results.log and its rotated backups in chronological order
+ * @returns {object[]} - Parsed rows
+ */
+const readResults = async () => {
+  const rows = [];
+
+  for (const file of await listLogFiles("results.log")) {
+    const content = await fs.readFile(file, "utf8");
+    for (const line of content.split("\n")) {
+      const row = line.trim() && parseResultLine(line.trim());
+      if (row) rows.push(row);
+    }
+  }
+  return rows;
+};
+
+/**
+ * Reduces result rows to the latest outcome per file and refiner.
+ * INFO rows only count when they report the file as already refined. A VERIFIED
+ * row counts as a success, PENDING and MISMATCH rows as a verify-error failure.
+ * Rows without a refiner column (written before refiner lists existed, or
+ * file-level errors such as a failed lookup or decrypt-error) count for every
+ * refiner in CONFIG.refinerIds; their errors leave earlier successes in place.
+ * @param {object[]} rows - Rows from readResults
+ * @returns {Map<string, object>} - "fileId:refinerId" → { fileId, refinerId, status, type, timestamp, message }
+ */
+const getLatestFileStatuses = (rows) => {
+  const latest = new Map();
+  // fileId → latest ERROR row without a refiner, explains FAILED rows of every refiner
+  const fileErrors = new Map();
+
+  rows.forEach((row, order) => {
+    const refinerIds = row.meta.refiner !== undefined ? [Number(row.meta.refiner)] : CONFIG.refinerIds;
+    for (const refinerId of refinerIds) {
+      const key = `${row.fileId}:${refinerId}`;
+      const previous = latest.get(key);
+      const outcome = { fileId: row.fileId, refinerId, timestamp: row.timestamp, message: row.message, order };
+
+      if (row.status === "SUCCESS") {
+        latest.set(key, { ...outcome, status: "SUCCESS", type: null });
+      } else if (row.status === "INFO" && row.message.includes("already_refined")) {
+        latest.set(key, { ...outcome, status: "SUCCESS", type: null });
+      } else if (row.status === "VERIFIED") {
+        latest.set(key, { ...outcome, status: "SUCCESS", type: null });
+      } else if (row.status === "PENDING" || row.status === "MISMATCH") {
+        latest.set(key, { ...outcome, status: "FAILED", type: "verify-error" });
+      } else if (row.status === "ERROR") {
+        // A refinement stays on-chain, a later error of the whole file does not undo it
+        if (row.meta.refiner === undefined && previous && previous.status === "SUCCESS") continue;
+        const type = row.meta.type || "unknown";
+        latest.set(key, { ...outcome, status: "ERROR", type });
+        if (row.meta.refiner === undefined) fileErrors.set(row.fileId, { type, order });
+      } else if (row.status === "FAILED") {
+        // A FAILED row follows the ERROR row that explains it, keep that error type
+        const fileError = fileErrors.get(row.fileId);
+        let type = "failure";
+        if (previous && previous.status === "ERROR") type = previous.type;
+        else if (fileError && (!previous || fileError.order > previous.order)) type = fileError.type;
+        latest.set(key, { ...outcome, status: "FAILED", type });
+      }
+    }
+  });
+  return latest;
+};
+
+/**
+ * Collects the IDs of files whose latest outcome is a failure
+ * @param {object} filters - Optional filters
+ * @param {string[]} filters.types - Error types to include (api-error, decrypt-error, contract-error, ...)
+ * @param {Date|null} filters.since - Only failures logged at or after this time
+ * @param {Date|null} filters.until - Only failures logged at or before this time
+ * @returns {number[]} - Failed file IDs, highest first
+ */
+const collectFailedFileIds = async ({ types = [], since = null, until = null } = {}) => {
+  const latest = getLatestFileStatuses(await readResults());
+
+  // A file is retried when any of its refiners failed; the lookup skips the others
+  const fileIds = new Set();
+
+  for (const outcome of latest.values()) {
+    if (outcome.status !== "FAILED" && outcome.status !== "ERROR") continue;
+    if (types.length > 0 && !types.includes(outcome.type)) continue;
+
+    const time = new Date(outcome.timestamp);
+    if (since && time < since) continue;
+    if (until && time > until) continue;
+
+    fileIds.add(outcome.fileId);
+  }
+  return [...fileIds].sort((a, b) => b - a);
+};
+
+module.exports = {
+  listLogFiles,
+  parseResultLine,
+  readResults,
+  getLatestFileStatuses,
+  collectFailedFileIds
+};
@@ -1,65 +1,321 @@
 /**
  * Processor module for batch refinement
  */
-const { logToFile, logStats } = require('./logs/logger');
-const { getFilePermissions, decryptEEK, checkFileRefinement, getFileAtIndex } = require('./blockchain/contract');
-const { refineFile } = require('./api/refinement');
+const fs = require('fs').promises;
+const path = require('path');
+const { logToFile, logStats, initializeStatsLog, runWithLogContext, setLogPhase } = require('./logs/logger');
+const { REDACTED, forgetSecret } = require('./logs/redaction');
+const { incMetric, setGauge, recordFileStats } = require('./logs/metrics');
+const { collectFailedFileIds } = require('./logs/results');
+const { notify, recordFileOutcome } = require('./logs/notifications');
+const { discoverFileIds } = require('./blockchain/discovery');
+const { getExpectedRefinement, verifyRefinement } = require('./blockchain/verification');
+const {
+  decryptEEK,
+  getFilesAtIndices,
+  getFileLookups
+} = require('./blockchain/contract');
+const { refineFile, useJobStore } = require('./api/refinement');
+const { CONFIG } = require('./utils/config');
+const { createWorkerPool } = require('./utils/scheduler');
+const { waitForBreakers, onBreakerChange } = require('./utils/breaker');
+const { getShutdownSignal, createShutdownError, onForcedShutdown } = require('./utils/shutdown');
+const { loadStateStore, recordFileState, getSettledState } = require('./utils/state');
+const {
+  getCheckpointPath,
+  createCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  isCheckpointCompatible
+} = require('./utils/checkpoint');
 
 /**
- * Processes a single file, checking if it needs refinement and refining it if necessary
- * @param {number} fileId - ID of the file to process
+ * Creates an empty statistics object
+ * @returns {object} - Statistics with all counters at zero
+ */
+const createStats = () => ({
+  alreadyRefined: 0,
+  processed: 0,
+  failed: 0,
+  success: 0,
+  // error type → number of failed files
+  failedByType: {},
+  // refinerId → { alreadyRefined, processed, failed, success } of that refiner
+  byRefiner: {},
+});
+
+/**
+ * Returns the counters of one refiner, creating them on first use
+ * @param {object} stats - Statistics object
+ * @param {number} refinerId - ID of the refiner
+ * @returns {object} - `{ alreadyRefined, processed, failed, success }`
+ */
+const getRefinerStats = (stats, refinerId) => {
+  stats.byRefiner = stats.byRefiner || {};
+  stats.byRefiner[refinerId] = stats.byRefiner[refinerId] || {
+    alreadyRefined: 0,
+    processed: 0,
+    failed: 0,
+    success: 0,
+  };
+  return stats.byRefiner[refinerId];
+};
+
+/**
+ * Adds the counters of one statistics object to another
+ * @param {object} target - Statistics object to update
+ * @param {object} source - Statistics to add
+ */
+const mergeStats = (target, source) => {
+  target.alreadyRefined += source.alreadyRefined;
+  target.processed      += source.processed;
+  target.failed         += source.failed;
+  target.success        += source.success;
+
+  // Statistics restored from older checkpoints have no breakdown yet
+  target.failedByType = target.failedByType || {};
+  for (const [type, count] of Object.entries(source.failedByType || {})) {
+    target.failedByType[type] = (target.failedByType[type] || 0) + count;
+  }
+  for (const [refinerId, counters] of Object.entries(source.byRefiner || {})) {
+    const refinerStats = getRefinerStats(target, refinerId);
+    for (const [key, count] of Object.entries(counters)) refinerStats[key] += count;
+  }
+};
+
+/**
+ * Counts a failed file
  * @param {object} stats - Statistics object to update
+ * @param {string} type - Error type (api-error, decrypt-error, contract-error, error)
  */
-const processFileWithStats = async (fileId, stats) => {
+const countFailure = (stats, type) => {
+  stats.failed++;
+  stats.failedByType = stats.failedByType || {};
+  stats.failedByType[type] = (stats.failedByType[type] || 0) + 1;
+};
+
+/**
+ * Turns the error of a circuit breaker outage that was given up into null, so the
+ * step it interrupted is skipped; any other error is thrown again
+ * @param {Error} error - Error of the step
+ * @returns {null}
+ */
+const skipOnOutage = (error) => {
+  if (!error.breakerOutage) throw error;
+  return null;
+};
+
+/**
+ * Creates the abort signal of a run. It aborts with the caller's signal, on
+ * SIGINT/SIGTERM, and when a circuit breaker gives up on an outage.
+ * @param {AbortSignal|null} parent - Signal of the caller, e.g. a Control API cancellation
+ * @returns {object} - `{ signal, getStopError, release }`; getStopError() returns the error
+ *                     the run ends with when an outage or a shutdown aborted it,
+ *                     release() stops listening
+ */
+const createRunSignal = (parent) => {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const shutdown = getShutdownSignal();
+  let outage = null;
+
+  for (const source of [parent, shutdown]) {
+    if (source && source.aborted) abort();
+    else if (source) source.addEventListener("abort", abort);
+  }
+  const unsubscribe = onBreakerChange((change) => {
+    if (!change.error) return;
+    outage = outage || change.error;
+    abort();
+  });
+
+  return {
+    signal: controller.signal,
+    getStopError: () => outage || (shutdown.aborted ? createShutdownError() : null),
+    release: () => {
+      unsubscribe();
+      if (parent) parent.removeEventListener("abort", abort);
+      shutdown.removeEventListener("abort", abort);
+    },
+  };
+};
+
+/**
+ * Records the same state of a file for several refiners
+ * @param {number} fileId - ID of the file
+ * @param {number[]} refinerIds - IDs of the refiners
+ * @param {string} status - State to record (no_eek, refined, submitted, failed)
+ * @param {object} details - Details passed to recordFileState
+ */
+const recordFileStates = async (fileId, refinerIds, status, details = {}) => {
+  for (const refinerId of refinerIds) await recordFileState(fileId, refinerId, status, details);
+};
+
+/**
+ * Processes a single file for every refiner, checking which of them still need it
+ * and refining it for those. The EEK is decrypted once for all of them.
+ * Without a prefetched lookup, a file settled in the state store is not looked up again.
+ * @param {number} fileId - ID of the file to process
+ * @param {object} stats - Statistics object to update; the file counts as a success
+ *                         once every refiner succeeded and as failed if any refiner failed
+ * @param {object|null} lookup - Prefetched `{ encryptedEEK, refined, error }` from getFileLookups
+ * @param {number[]|null} refinerIds - IDs of the refiners (default: CONFIG.refinerIds)
+ * @returns {string} - Outcome of the file (no_eek, already_refined, success, failed, error)
+ * @throws {Error} If a circuit breaker gave up on an outage while the file was processed
+ */
+const processFileWithStats = async (fileId, stats, lookup = null, refinerIds = null) => {
+  refinerIds = refinerIds || CONFIG.refinerIds;
+  let dataEncryptionKey = null;
+  let pending = [];
+
   try {
+    setLogPhase("lookup");
     console.log(`Checking file ${fileId}...`);
 
-    // Step 1: Check if the file has an EEK
-    const encryptedEEK = await getFilePermissions(fileId);
+    // Step 1: Check if the file has an EEK and which refiners refined it
+    if (!lookup) {
+      await loadStateStore();
+      const settled = getSettledState(fileId, refinerIds);
+      if (settled === "no_eek") {
+        console.log(`File ${fileId} has no EEK according to the state store - skipping`);
+        await logToFile("info", fileId, { status: "no_eek", source: "state" }, { phase: "lookup" });
+        return "no_eek";
+      }
+      if (settled === "refined") {
+        console.log(`Skipping file ${fileId} as the state store records it as refined`);
+        for (const refinerId of refinerIds) {
+          getRefinerStats(stats, refinerId).alreadyRefined++;
+          await logToFile("info", fileId, { status: "already_refined", refinerId, source: "state" }, {
+            phase: "lookup",
+            refinerId,
+          });
+        }
+        stats.alreadyRefined++;
+        return "already_refined";
+      }
+      [lookup] = await getFileLookups([fileId], refinerIds);
+    }
+
+    // A failed read says nothing about the file; treating it as "not refined"
+    // would refine the file twice. Its contract-error row is already logged.
+    if (lookup.error) {
+      console.log(`Lookup of file ${fileId} failed - skipping`);
+      countFailure(stats, "contract-error");
+      return "error";
+    }
 
+    const { encryptedEEK } = lookup;
     if (!encryptedEEK) {
       console.log(`File ${fileId} has no EEK or doesn't exist - skipping`);
-      return;
+      await logToFile("info", fileId, { status: "no_eek" }, { phase: "lookup" });
+      await recordFileStates(fileId, refinerIds, "no_eek");
+      return "no_eek";
     }
 
-    // First, check if the file has already been refined by the target refiner
-    const isAlreadyRefined = await checkFileRefinement(fileId);
+    // First, check which of the target refiners have already refined the file
+    for (const refinerId of refinerIds) {
+      if (lookup.refined[refinerId]) getRefinerStats(stats, refinerId).alreadyRefined++;
+      else pending.push(refinerId);
+    }
+    await recordFileStates(fileId, refinerIds.filter((refinerId) => lookup.refined[refinerId]), "refined");
 
-    // If already refined, skip this file
-    if (isAlreadyRefined) {
+    // If every refiner refined it already, skip this file
+    if (pending.length === 0) {
       console.log(`Skipping file ${fileId} as it has already been refined`);
       stats.alreadyRefined++;
-      return;
+      return "already_refined";
     }
 
-    console.log(`Found file ${fileId} with EEK - needs refinement`);
+    console.log(`Found file ${fileId} with EEK - needs refinement by refiner(s) ${pending.join(", ")}`);
     stats.processed++;
+    pending.forEach((refinerId) => getRefinerStats(stats, refinerId).processed++);
 
     // Step 2: Decrypt the EEK
-    const dataEncryptionKey = await decryptEEK(encryptedEEK, fileId);
+    setLogPhase("decrypt");
+    dataEncryptionKey = await decryptEEK(encryptedEEK, fileId);
 
     if (!dataEncryptionKey) {
       console.log(`Failed to decrypt EEK for file ${fileId} - skipping`);
-      stats.failed++;
-      await logToFile("failure", fileId, "Failed to decrypt EEK");
-      return;
+      countFailure(stats, "decrypt-error");
+      for (const refinerId of pending) {
+        getRefinerStats(stats, refinerId).failed++;
+        await logToFile("failure", fileId, "Failed to decrypt EEK", { refinerId });
+      }
+      await recordFileStates(fileId, pending, "failed", {
+        errorType: "decrypt-error",
+        error: "Failed to decrypt EEK",
+      });
+      return "failed";
     }
 
-    console.log(`Decrypted EEK for file ${fileId}: ${dataEncryptionKey}`);
-
-    // Step 3: Refine the file
-    const result = await refineFile(fileId, dataEncryptionKey);
+    console.log(`Decrypted EEK for file ${fileId}: ${CONFIG.logSecrets ? dataEncryptionKey : REDACTED}`);
+
+    // Step 3: Refine the file for each refiner that still needs it. A file counts
+    // as failed when any refiner failed, under the type of the first failure.
+    let failureType = null;
+    while (pending.length > 0) {
+      const refinerId = pending[0];
+      const refinerStats = getRefinerStats(stats, refinerId);
+
+      setLogPhase("refine");
+      const result = await refineFile(fileId, dataEncryptionKey, refinerId);
+      pending.shift();
+
+      if (result) {
+        const refinement = getExpectedRefinement(result);
+
+        // Step 4: Optionally confirm the refinement was recorded on-chain. Only a
+        // refinement seen on-chain lets later runs skip the file.
+        if (!CONFIG.verifyRefinement) {
+          refinerStats.success++;
+          await recordFileState(fileId, refinerId, "submitted", { refinement });
+          continue;
+        }
+        setLogPhase("verify");
+        const verification = await verifyRefinement(fileId, result, refinerId);
+        if (verification === "verified") {
+          refinerStats.success++;
+          await recordFileState(fileId, refinerId, "refined", { refinement });
+        } else {
+          // The PENDING or MISMATCH row is the failure row of this refiner
+          refinerStats.failed++;
+          failureType = failureType || "verify-error";
+          await recordFileState(fileId, refinerId, "failed", {
+            refinement,
+            errorType: "verify-error",
+            error: verification === "mismatch" ? "Refinement on-chain differs" : "Refinement not on-chain",
+          });
+        }
+      } else {
+        refinerStats.failed++;
+        failureType = failureType || "api-error";
+        await logToFile("failure", fileId, "Refinement API call failed", { refinerId });
+        await recordFileState(fileId, refinerId, "failed", {
+          errorType: "api-error",
+          error: "Refinement API call failed",
+        });
+      }
+    }
 
-    if (result) {
-      stats.success++;
-    } else {
-      stats.failed++;
-      await logToFile("failure", fileId, "Refinement API call failed");
+    if (failureType) {
+      countFailure(stats, failureType);
+      return "failed";
     }
+    stats.success++;
+    return "success";
   } catch (error) {
+    // The run aborts; the file is not counted and is picked up again on resume
+    if (error.breakerOutage) throw error;
+
     console.error(`Error processing file ${fileId}: ${error.message}`);
-    await logToFile("error", fileId, error.message);
-    stats.failed++;
+    await logToFile("error", fileId, error.message, { error });
+    await recordFileStates(fileId, pending, "failed", { errorType: "error", error: error.message });
+    countFailure(stats, "error");
+    // Refiners the file never got to count as failed too
+    pending.forEach((refinerId) => getRefinerStats(stats, refinerId).failed++);
+    return "error";
+  } finally {
+    if (dataEncryptionKey) forgetSecret(dataEncryptionKey);
   }
 };
 
@@ -73,17 +329,15 @@ const processBatchWithStats = async (startId, endId) => {
   console.log(`Processing batch from ${startId} to ${endId}`);
 
   // Initialize batch statistics
-  const batchStats = {
-    alreadyRefined: 0,
-    processed: 0,
-    failed: 0,
-    success: 0,
-  };
+  const batchStats = createStats();
 
-  // Process each file individually but in parallel
+  // Process each file individually, at most CONFIG.concurrency at a time
+  const pool = createWorkerPool(CONFIG.concurrency);
   const tasks = [];
   for (let fileId = startId; fileId >= endId; fileId--) {
-    tasks.push(processFileWithStats(fileId, batchStats));
+    tasks.push(pool.run(() =>
+      runWithLogContext({ fileId }, () => processFileWithStats(fileId, batchStats))
+    ));
   }
 
   // Wait for all tasks to complete
@@ -168,19 +422,129 @@ const processBatch = async (startId, endId) => {
   await processBatchWithStats(startId, endId);
 };
 
+/**
+ * Looks up a batch of file IDs and queues them on a worker pool.
+ * Resolves once the files are queued; `completion` resolves once they finished.
+ * @param {ethers.BigNumber[]|number[]} fileIds – Array of file IDs to process
+ * @param {object} pool – Worker pool from createWorkerPool
+ * @param {object} options – Where to record results
+ * @param {object|null} options.outcomes – fileId → outcome map to record results in
+ * @param {object|null} options.totals – Run statistics to update as each file finishes
+ * @param {object|null} options.indexes – fileId → files list index, added to the log context
+ * @param {number[]|null} options.refinerIds – IDs of the refiners (default: CONFIG.refinerIds)
+ * @param {AbortSignal|null} options.signal – Files still queued when it aborts are skipped
+ *        (as are files interrupted by a circuit breaker outage that was given up)
+ * @param {function(number, string): void} options.onFileStatus – Receives each file's status
+ *        changes: queued, in_progress, cancelled, then its outcome
+ * @param {Set<number>|null} options.inFlight – Set holding the IDs of the files being processed
+ * @param {boolean} options.trustState – Set to false to look up the files the state store settled
+ * @returns {object} – `{ completion }`, a promise of the statistics for this batch
+ */
+const scheduleFilesBatch = async (fileIds, pool, {
+  outcomes = null,
+  totals = null,
+  indexes = null,
+  refinerIds = null,
+  signal = null,
+  onFileStatus = () => {},
+  inFlight = null,
+  trustState = true,
+} = {}) => {
+  console.log(`Processing batch of ${fileIds.length} files`);
+  const batchStats = createStats();
+  const ids = fileIds.map((idBN) => Number(idBN.toString()));
+  // Read permissions and refinement state for the whole batch at once,
+  // except for the files the state store already settled
+  await loadStateStore();
+  const unsettled = trustState
+    ? ids.filter((fileId) => !getSettledState(fileId, refinerIds || CONFIG.refinerIds))
+    : ids;
+  const fetched = unsettled.length > 0 ? await getFileLookups(unsettled, refinerIds) : [];
+  const lookups = new Map(unsettled.map((fileId, i) => [fileId, fetched[i]]));
+  ids.forEach((fileId) => onFileStatus(fileId, "queued"));
+
+  const tasks = ids.map((fileId) =>
+    pool.run(async () => {
+      // No new file starts while a circuit breaker is open
+      const passed = await waitForBreakers().then(() => true, skipOnOutage);
+      if (!passed || (signal && signal.aborted)) {
+        onFileStatus(fileId, "cancelled");
+        return;
+      }
+      onFileStatus(fileId, "in_progress");
+
+      const fileStats = createStats();
+      incMetric("files_in_flight");
+      if (inFlight) inFlight.add(fileId);
+      const outcome = await runWithLogContext(
+        { fileId, index: indexes ? indexes[fileId] : null },
+        () => processFileWithStats(fileId, fileStats, lookups.get(fileId) || null, refinerIds)
+      )
+        .catch(skipOnOutage)
+        .finally(() => {
+          incMetric("files_in_flight", {}, -1);
+          if (inFlight) inFlight.delete(fileId);
+        });
+      // A file cut short by an outage is left out of the statistics and the checkpoint
+      if (outcome === null) {
+        onFileStatus(fileId, "cancelled");
+        return;
+      }
+      // Record everything at once so checkpoints always see consistent totals
+      mergeStats(batchStats, fileStats);
+      if (totals) mergeStats(totals, fileStats);
+      recordFileStats(fileStats);
+      recordFileOutcome(outcome);
+      if (outcomes) outcomes[fileId] = outcome;
+      onFileStatus(fileId, outcome);
+    })
+  );
+  return { completion: Promise.all(tasks).then(() => batchStats) };
+};
+
 /**
  * Processes a batch of arbitrary file IDs, updating statistics as it goes
  * @param {ethers.BigNumber[]|number[]} fileIds – Array of file IDs to process
  * @returns {object} – Statistics for this batch
  */
 const processFilesBatchWithStats = async (fileIds) => {
-  console.log(`Processing batch of ${fileIds.length} files`);
-  const batchStats = { alreadyRefined: 0, processed: 0, failed: 0, success: 0 };
-  const tasks = fileIds.map(idBN =>
-    processFileWithStats(idBN.toNumber(), batchStats)
+  const pool = createWorkerPool(CONFIG.concurrency);
+  const { completion } = await scheduleFilesBatch(fileIds, pool);
+  return completion;
+};
+
+/**
+ * Loads the checkpoint to resume from, or creates a new one for the range
+ * @param {number} startIndex – Starting list index
+ * @param {number} endIndex   – Ending list index
+ * @param {number} batchSize  – Sub-batch size
+ * @param {boolean} resume    – Whether to pick up an existing checkpoint
+ * @param {number[]} refinerIds – IDs of the refiners
+ * @returns {object}          – Checkpoint to run with
+ */
+const prepareCheckpoint = async (startIndex, endIndex, batchSize, resume, refinerIds) => {
+  if (!resume) {
+    return createCheckpoint(startIndex, endIndex, batchSize, refinerIds);
+  }
+
+  const checkpoint = await loadCheckpoint();
+  if (!checkpoint) {
+    console.log(`No checkpoint found at ${getCheckpointPath()} - starting from index ${startIndex}`);
+    return createCheckpoint(startIndex, endIndex, batchSize, refinerIds);
+  }
+
+  if (!isCheckpointCompatible(checkpoint, startIndex, endIndex, refinerIds)) {
+    throw new Error(
+      `Checkpoint at ${getCheckpointPath()} belongs to indices ${checkpoint.startIndex}→${checkpoint.endIndex} ` +
+      `with refiner(s) ${(checkpoint.refinerIds || [checkpoint.refinerId]).join(",")}; refusing to resume a different run`
+    );
+  }
+
+  console.log(
+    `Resuming from checkpoint: last completed index ${checkpoint.lastCompletedIndex}, ` +
+    `${Object.keys(checkpoint.outcomes).length} files already finished`
   );
-  await Promise.all(tasks);
-  return batchStats;
+  return checkpoint;
 };
 
 /**
@@ -188,52 +552,368 @@ const processFilesBatchWithStats = async (fileIds) => {
  * @param {number} startIndex – Starting list index
  * @param {number} endIndex   – Ending list index
  * @param {number} batchSize  – How many indices to resolve per sub-batch
+ * @param {object} options    – Run options
+ * @param {boolean} options.resume – Continue from the checkpoint of a previous run
+ * @param {boolean} options.checkpoint – Set to false to leave checkpoint.json untouched
+ * @param {number[]|null} options.refinerIds – IDs of the refiners (default: CONFIG.refinerIds)
+ * @param {AbortSignal|null} options.signal – Stops scheduling new files when it aborts
+ * @param {object|null} options.stats – Statistics object to update, to read them while the run is in progress
+ * @param {function(number, string): void} options.onFileStatus – Receives each file's status changes
+ * @param {boolean} options.notify – Set to false to send no start and complete webhook events
+ * @param {object|null} options.pool – Worker pool shared with other runs (default: a pool of CONFIG.concurrency)
+ * @param {function(number): Promise<void>} options.onProgress – Receives the lowest index finished
+ *        so far after each sub-batch, for callers that keep their own progress
  * @returns {object}          – Overall statistics
+ * @throws {Error} If a circuit breaker gave up on an outage or the process received
+ *         SIGINT/SIGTERM, after writing an ABORTED row
  */
-const runBatchProcessingByIndex = async (startIndex, endIndex, batchSize) => {
+const runBatchProcessingByIndex = async (startIndex, endIndex, batchSize, options = {}) => {
   console.log(
     `Starting batch refinement for indices ${startIndex}→${endIndex} (batchSize=${batchSize})`
   );
-  const stats = {
-    total: startIndex - endIndex + 1,
-    alreadyRefined: 0,
-    processed: 0,
-    failed: 0,
-    success: 0,
+  const refinerIds = options.refinerIds || CONFIG.refinerIds;
+  const checkpoint = await prepareCheckpoint(startIndex, endIndex, batchSize, options.resume, refinerIds);
+  if (options.stats) checkpoint.stats = Object.assign(options.stats, checkpoint.stats);
+  const { stats, outcomes } = checkpoint;
+  // Checkpoints written before missing indices were recorded lack the map
+  checkpoint.missingIndices = checkpoint.missingIndices || {};
+  const persist = options.checkpoint === false ? async () => {} : saveCheckpoint;
+
+  // Keep in-flight refinement job IDs in the checkpoint, so a resumed run polls them.
+  // Runs without a checkpoint share the in-memory store, as several may run at once.
+  if (options.checkpoint !== false) {
+    checkpoint.jobs = checkpoint.jobs || {};
+    useJobStore(checkpoint.jobs, () => persist(checkpoint));
+  }
+
+  if (checkpoint.completed) {
+    console.log("Checkpointed run already completed - nothing to resume");
+    return stats;
+  }
+
+  const range = { type: "index", start: startIndex, end: endIndex };
+  const sendEvent = options.notify === false ? () => {} : notify;
+  sendEvent("start", { range, refinerIds, resumed: checkpoint.lastCompletedIndex !== null });
+
+  const firstIndex = checkpoint.lastCompletedIndex === null
+    ? startIndex
+    : checkpoint.lastCompletedIndex - 1;
+
+  // One pool for the whole run keeps CONFIG.concurrency files in flight across
+  // sub-batches; progress is still recorded in index order
+  const pool = options.pool || createWorkerPool(CONFIG.concurrency);
+  let progress = Promise.resolve();
+  const run = createRunSignal(options.signal);
+  const signal = run.signal;
+  const inFlight = new Set();
+
+  // Written once, by the run or by a forced shutdown that cannot wait for it;
+  // the checkpoint only holds finished files, so --resume picks up the rest
+  let aborted = null;
+  const writeAborted = () => {
+    aborted = aborted || (async () => {
+      await persist(checkpoint);
+      await logStats(stats, startIndex, endIndex, "ABORTED", { inFlight: [...inFlight] });
+    })();
+    return aborted;
   };
+  const forgetAborted = onForcedShutdown(writeAborted);
 
-  for (let idx = startIndex; idx >= endIndex; idx -= batchSize) {
-    const batchEndIdx = Math.max(endIndex, idx - batchSize + 1);
-    // resolve all fileIds in this index-range
-    const fileIds = [];
-    for (let i = idx; i >= batchEndIdx; i--) {
-      const idBN = await getFileAtIndex(i);
-      if (idBN) fileIds.push(idBN);
-      else {
-        console.warn(`No fileId at index ${i}`); 
-        stats.failed++;
-      }
+  try {
+    for (let idx = firstIndex; idx >= endIndex; idx -= batchSize) {
+      // don't look further ahead than the pool can take on
+      await pool.waitForCapacity();
+      if (signal && signal.aborted) break;
+
+      const batchEndIdx = Math.max(endIndex, idx - batchSize + 1);
+      setGauge("current_index", idx);
+      // resolve all fileIds in this index-range with one aggregated read
+      const indices = [];
+      for (let i = idx; i >= batchEndIdx; i--) indices.push(i);
+      // A given-up outage aborts the signal, the loop ends like a cancellation
+      const resolved = await getFilesAtIndices(indices).catch(skipOnOutage);
+      if (!resolved) break;
+      const fileIds = [];
+      const indexes = {};
+      resolved.forEach((idBN, i) => {
+        if (idBN) {
+          fileIds.push(idBN);
+          indexes[idBN.toString()] = indices[i];
+        } else {
+          console.warn(`No fileId at index ${indices[i]}`);
+          // A resumed sub-batch counted it already
+          if (indices[i] in checkpoint.missingIndices) return;
+          checkpoint.missingIndices[indices[i]] = "contract-error";
+          countFailure(stats, "contract-error");
+          incMetric("files_failed_total", { type: "contract-error" });
+        }
+      });
+      // queue the ones that did not finish in an earlier attempt
+      const pendingIds = fileIds.filter((idBN) => !(idBN.toString() in outcomes));
+      const scheduled = await scheduleFilesBatch(pendingIds, pool, {
+        outcomes,
+        totals: stats,
+        indexes,
+        refinerIds,
+        signal,
+        onFileStatus: options.onFileStatus,
+        inFlight,
+      }).catch(skipOnOutage);
+      if (!scheduled) break;
+      const { completion } = scheduled;
+
+      const batchStartIdx = idx;
+      progress = Promise.all([progress, completion]).then(async ([, batchStats]) => {
+        // A cancelled sub-batch has skipped files and must be picked up again on resume
+        if (signal && signal.aborted) return;
+        checkpoint.lastCompletedIndex = batchEndIdx;
+        await persist(checkpoint);
+        if (options.onProgress) await options.onProgress(batchEndIdx);
+        await logStats(batchStats, batchStartIdx, batchEndIdx, "PROGRESS");
+      });
     }
-    // process them
-    const batchStats = await processFilesBatchWithStats(fileIds);
-    // merge
-    stats.alreadyRefined += batchStats.alreadyRefined;
-    stats.processed      += batchStats.processed;
-    stats.failed         += batchStats.failed;
-    stats.success        += batchStats.success;
 
-    await logStats(batchStats, idx, batchEndIdx, "PROGRESS");
+    await progress;
+  } finally {
+    run.release();
+    forgetAborted();
+  }
+
+  // Picked up again with --resume once the service is back or the process restarted
+  const stopError = run.getStopError();
+  if (stopError) {
+    await writeAborted();
+    throw stopError;
   }
 
+  if (signal && signal.aborted) {
+    await persist(checkpoint);
+    await logStats(stats, startIndex, endIndex, "CANCELLED");
+    sendEvent("cancelled", { range, refinerIds, stats });
+    console.log("Batch refinement cancelled");
+    return stats;
+  }
+
+  checkpoint.completed = true;
+  await persist(checkpoint);
   await logStats(stats, startIndex, endIndex, "COMPLETE");
+  sendEvent("complete", { range, refinerIds, stats });
   return stats;
 };
 
+/**
+ * Runs the batch processing for an explicit list of file IDs
+ * @param {number[]} fileIds  – File IDs to process, in processing order
+ * @param {number} batchSize  – How many files to process per sub-batch
+ * @param {object} options    – Run options
+ * @param {number[]|null} options.refinerIds – IDs of the refiners (default: CONFIG.refinerIds)
+ * @param {AbortSignal|null} options.signal – Stops scheduling new files when it aborts
+ * @param {object|null} options.stats – Statistics object to update, to read them while the run is in progress
+ * @param {function(number, string): void} options.onFileStatus – Receives each file's status changes
+ * @param {boolean} options.trustState – Set to false to look up the files the state store settled
+ * @param {object|null} options.pool – Worker pool shared with other runs (default: a pool of CONFIG.concurrency)
+ * @returns {object}          – Overall statistics
+ * @throws {Error} If a circuit breaker gave up on an outage or the process received
+ *         SIGINT/SIGTERM, after writing an ABORTED row
+ */
+const runBatchProcessingByFileIds = async (fileIds, batchSize, options = {}) => {
+  console.log(
+    `Starting batch refinement for ${fileIds.length} file IDs (batchSize=${batchSize})`
+  );
+  const stats = Object.assign(options.stats || {}, { total: fileIds.length, ...createStats() });
+  const refinerIds = options.refinerIds || CONFIG.refinerIds;
+  const pool = options.pool || createWorkerPool(CONFIG.concurrency);
+  let progress = Promise.resolve();
+  const run = createRunSignal(options.signal);
+  const signal = run.signal;
+  const inFlight = new Set();
+
+  let aborted = null;
+  const writeAborted = () => {
+    aborted = aborted ||
+      logStats(stats, fileIds[0], fileIds[fileIds.length - 1], "ABORTED", { inFlight: [...inFlight] });
+    return aborted;
+  };
+  const forgetAborted = onForcedShutdown(writeAborted);
+
+  const range = fileIds.length > 0
+    ? { type: "fileId", start: fileIds[0], end: fileIds[fileIds.length - 1] }
+    : null;
+  if (range) notify("start", { range, refinerIds });
+
+  try {
+    for (let i = 0; i < fileIds.length; i += batchSize) {
+      await pool.waitForCapacity();
+      if (signal && signal.aborted) break;
+
+      const batchIds = fileIds.slice(i, i + batchSize);
+      const scheduled = await scheduleFilesBatch(batchIds, pool, {
+        totals: stats,
+        refinerIds,
+        signal,
+        onFileStatus: options.onFileStatus,
+        inFlight,
+        trustState: options.trustState,
+      }).catch(skipOnOutage);
+      if (!scheduled) break;
+
+      progress = Promise.all([progress, scheduled.completion]).then(async ([, batchStats]) => {
+        batchStats.total = batchIds.length;
+        await logStats(batchStats, batchIds[0], batchIds[batchIds.length - 1], "PROGRESS");
+      });
+    }
+
+    await progress;
+  } finally {
+    run.release();
+    forgetAborted();
+  }
+
+  const stopError = run.getStopError();
+  if (stopError) {
+    await writeAborted();
+    throw stopError;
+  }
+  if (fileIds.length > 0) {
+    const type = signal && signal.aborted ? "CANCELLED" : "COMPLETE";
+    await logStats(stats, fileIds[0], fileIds[fileIds.length - 1], type);
+    notify(type.toLowerCase(), { range, refinerIds, stats });
+  }
+  return stats;
+};
+
+/**
+ * Replays the files whose latest outcome in results.log is a failure
+ * @param {object} filters    – Filters passed to collectFailedFileIds (types, since, until)
+ * @param {number} batchSize  – How many files to process per sub-batch
+ * @returns {object}          – Overall statistics
+ */
+const retryFailedFiles = async (filters, batchSize) => {
+  const fileIds = await collectFailedFileIds(filters);
+
+  if (fileIds.length === 0) {
+    console.log("No failed files found in results.log - nothing to retry");
+    return null;
+  }
+
+  console.log(`Retrying ${fileIds.length} failed files`);
+  await initializeStatsLog(fileIds[0], fileIds[fileIds.length - 1], batchSize);
+  return runBatchProcessingByFileIds(fileIds, batchSize);
+};
+
+/**
+ * Refines the files discovered from PermissionGranted events in a block range
+ * @param {object} range      – `{ fromBlock, toBlock }` passed to discoverFileIds
+ * @param {number} batchSize  – How many files to process per sub-batch
+ * @returns {object}          – Overall statistics
+ */
+const refineDiscoveredFiles = async (range, batchSize) => {
+  const fileIds = await discoverFileIds(range);
+
+  if (fileIds.length === 0) {
+    console.log("No files discovered - nothing to refine");
+    return null;
+  }
+
+  await initializeStatsLog(fileIds[0], fileIds[fileIds.length - 1], batchSize);
+  return runBatchProcessingByFileIds(fileIds, batchSize);
+};
+
+/**
+ * Resolves and looks up a range of list indices without decrypting or refining
+ * anything, and writes a plan file that sorts every index into a group.
+ * Nothing is written to results.log, so retry-failed and report never see a dry run.
+ * @param {number} startIndex – Starting list index
+ * @param {number} endIndex   – Ending list index
+ * @param {number} batchSize  – How many indices to resolve per sub-batch
+ * @param {string|null} planFile – Where to write the plan (defaults to output/plan-<timestamp>.json)
+ * @returns {object}          – The plan
+ */
+const runDryRunByIndex = async (startIndex, endIndex, batchSize, planFile = null) => {
+  console.log(
+    `Planning batch refinement for indices ${startIndex}→${endIndex} (batchSize=${batchSize}, dry run)`
+  );
+  const groups = {
+    noEek: [],
+    alreadyRefined: [],
+    wouldRefine: [],
+    lookupError: [],
+  };
+  let resolvedFiles = 0;
+
+  for (let idx = startIndex; idx >= endIndex; idx -= batchSize) {
+    const batchEndIdx = Math.max(endIndex, idx - batchSize + 1);
+    const indices = [];
+    for (let i = idx; i >= batchEndIdx; i--) indices.push(i);
+
+    const resolved = await getFilesAtIndices(indices);
+    const entries = [];
+    resolved.forEach((idBN, i) => {
+      if (idBN) entries.push({ index: indices[i], fileId: Number(idBN.toString()) });
+      else groups.lookupError.push({ index: indices[i], fileId: null, error: "No fileId at index" });
+    });
+
+    resolvedFiles += entries.length;
+
+    const lookups = await getFileLookups(entries.map((entry) => entry.fileId), null, { record: false });
+    lookups.forEach((lookup, i) => {
+      const entry = entries[i];
+      if (lookup.error) groups.lookupError.push({ ...entry, error: lookup.error.message });
+      else if (!lookup.encryptedEEK) groups.noEek.push(entry);
+      else if (lookup.isRefined) groups.alreadyRefined.push(entry);
+      else {
+        // Refiners that still need the file
+        const refinerIds = CONFIG.refinerIds.filter((refinerId) => !lookup.refined[refinerId]);
+        groups.wouldRefine.push({ ...entry, refinerIds });
+      }
+    });
+  }
+
+  const plan = {
+    createdAt: new Date().toISOString(),
+    startIndex,
+    endIndex,
+    refinerIds: CONFIG.refinerIds,
+    dlpAddress: CONFIG.dlpAddress,
+    dataRegistryAddress: CONFIG.dataRegistryAddress,
+    summary: {
+      indices: startIndex - endIndex + 1,
+      total: resolvedFiles,
+      noEek: groups.noEek.length,
+      alreadyRefined: groups.alreadyRefined.length,
+      wouldRefine: groups.wouldRefine.length,
+      lookupError: groups.lookupError.length,
+    },
+    groups,
+  };
+
+  const planPath = planFile || path.join(
+    CONFIG.logDir,
+    `plan-${plan.createdAt.replace(/:/g, "-")}.json`
+  );
+  await fs.mkdir(path.dirname(planPath), { recursive: true });
+  await fs.writeFile(planPath, JSON.stringify(plan, null, 2));
+
+  console.log(`Dry run completed - plan written to ${planPath}`);
+  console.log("Summary:");
+  console.log(`Indices: ${plan.summary.indices}`);
+  console.log(`Files resolved: ${plan.summary.total}`);
+  console.log(`No EEK: ${plan.summary.noEek}`);
+  console.log(`Already refined: ${plan.summary.alreadyRefined}`);
+  console.log(`Would refine: ${plan.summary.wouldRefine}`);
+  console.log(`Lookup errors: ${plan.summary.lookupError}`);
+
+  return plan;
+};
 
 module.exports = {
   processFile,
   processBatch,
   processBatchWithStats,
   runBatchProcessing,
-  runBatchProcessingByIndex
+  runBatchProcessingByIndex,
+  runBatchProcessingByFileIds,
+  retryFailedFiles,
+  refineDiscoveredFiles,
+  runDryRunByIndex
 }; 
@@ -0,0 +1,381 @@
+/**
+ * HTTP control API module for batch refinement
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { CONFIG } = require('./utils/config');
+const { initializeStatsLog, runWithLogContext } = require('./logs/logger');
+const { runBatchProcessingByIndex, runBatchProcessingByFileIds } = require('./processor');
+const { createWorkerPool } = require('./utils/scheduler');
+const { getShutdownSignal } = require('./utils/shutdown');
+
+// Finished runs kept for inspection; older ones are dropped first
+const MAX_FINISHED_RUNS = 100;
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// runId → run, in submission order
+const runs = new Map();
+
+// "dlpAddress:refinerId" → runId of the queued or running run for that pair
+const activeRuns = new Map();
+
+// Promises of the runs executing in the background
+const executions = new Set();
+
+// Worker pool shared by all runs, so concurrent runs stay within CONFIG.concurrency together
+let pool = null;
+
+/**
+ * Creates an error that is answered with its HTTP status and a JSON `{ error }` body
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with `status` set
+ */
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Returns the public view of a run, without its per-file statuses
+ * @param {object} run - Run record
+ * @returns {object} - Run summary
+ */
+const summarizeRun = (run) => ({
+  id: run.id,
+  status: run.status,
+  dlpAddress: run.dlpAddress,
+  refinerIds: run.refinerIds,
+  startIndex: run.startIndex,
+  endIndex: run.endIndex,
+  fileCount: run.fileIds ? run.fileIds.length : null,
+  batchSize: run.batchSize,
+  stats: run.stats,
+  createdAt: run.createdAt,
+  finishedAt: run.finishedAt,
+  error: run.error,
+});
+
+/**
+ * Checks that a value is a non-negative integer
+ * @param {any} value - Value from the request body
+ * @param {string} field - Field name used in the error message
+ * @returns {number} - The value
+ * @throws {Error} If the value is not a non-negative integer
+ */
+const requireIndex = (value, field) => {
+  if (!Number.isInteger(value) || value < 0) {
+    throw httpError(400, `${field} must be a non-negative integer`);
+  }
+  return value;
+};
+
+/**
+ * Validates a submitted run
+ * @param {object} body - Parsed request body
+ * @returns {object} - `{ startIndex, endIndex, fileIds, refinerIds, batchSize }`
+ * @throws {Error} If the body does not describe a valid run
+ */
+const parseRunRequest = (body) => {
+  if (!body || typeof body !== "object") {
+    throw httpError(400, "Request body must be a JSON object");
+  }
+
+  if (body.refinerId !== undefined && body.refinerIds !== undefined) {
+    throw httpError(400, "Send either refinerId or refinerIds, not both");
+  }
+  let refinerIds = CONFIG.refinerIds;
+  if (body.refinerId !== undefined) {
+    refinerIds = [requireIndex(body.refinerId, "refinerId")];
+  } else if (body.refinerIds !== undefined) {
+    if (!Array.isArray(body.refinerIds) || body.refinerIds.length === 0) {
+      throw httpError(400, "refinerIds must be a non-empty array");
+    }
+    refinerIds = [...new Set(body.refinerIds.map((refinerId) => requireIndex(refinerId, "refinerIds[]")))];
+  }
+  const batchSize = body.batchSize === undefined ? CONFIG.batchSize : requireIndex(body.batchSize, "batchSize");
+  if (batchSize === 0) {
+    throw httpError(400, "batchSize must be at least 1");
+  }
+
+  if (body.fileIds !== undefined) {
+    if (body.startIndex !== undefined || body.endIndex !== undefined) {
+      throw httpError(400, "Send either fileIds or startIndex/endIndex, not both");
+    }
+    if (!Array.isArray(body.fileIds) || body.fileIds.length === 0) {
+      throw httpError(400, "fileIds must be a non-empty array");
+    }
+    const fileIds = body.fileIds.map((fileId) => requireIndex(fileId, "fileIds[]"));
+    return { startIndex: null, endIndex: null, fileIds, refinerIds, batchSize };
+  }
+
+  const startIndex = requireIndex(body.startIndex, "startIndex");
+  const endIndex = requireIndex(body.endIndex, "endIndex");
+  if (startIndex < endIndex) {
+    throw httpError(400, "startIndex must not be lower than endIndex (indices are processed downwards)");
+  }
+  return { startIndex, endIndex, fileIds: null, refinerIds, batchSize };
+};
+
+/**
+ * Drops the oldest finished runs beyond MAX_FINISHED_RUNS
+ */
+const pruneRuns = () => {
+  const finished = [...runs.values()].filter((run) => run.finishedAt);
+  for (const run of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_RUNS))) {
+    runs.delete(run.id);
+  }
+};
+
+/**
+ * Executes a run in the background and records its outcome
+ * @param {object} run - Run record
+ * @param {string[]} pairKeys - Keys of the run in activeRuns, one per refiner
+ */
+const executeRun = async (run, pairKeys) => {
+  pool = pool || createWorkerPool(CONFIG.concurrency);
+  const options = {
+    refinerIds: run.refinerIds,
+    pool,
+    signal: run.controller.signal,
+    stats: run.stats,
+    onFileStatus: (fileId, status) => {
+      run.files[fileId] = { status, updatedAt: new Date().toISOString() };
+    },
+  };
+
+  run.status = "running";
+  try {
+    // Every log entry of the run carries its ID
+    await runWithLogContext({ runId: run.id }, async () => {
+      console.log(`Control API run ${run.id} started for refiner(s) ${run.refinerIds.join(", ")}`);
+      if (run.fileIds) {
+        await initializeStatsLog(run.fileIds[0], run.fileIds[run.fileIds.length - 1], run.batchSize);
+        await runBatchProcessingByFileIds(run.fileIds, run.batchSize, options);
+      } else {
+        await initializeStatsLog(run.startIndex, run.endIndex, run.batchSize);
+        await runBatchProcessingByIndex(run.startIndex, run.endIndex, run.batchSize, {
+          ...options,
+          checkpoint: false,
+        });
+      }
+    });
+    run.status = run.controller.signal.aborted ? "cancelled" : "completed";
+  } catch (error) {
+    if (error.shutdown) {
+      // SIGINT/SIGTERM stopped the run, the files it did not finish are not failures
+      console.log(`Control API run ${run.id} stopped: ${error.message}`);
+      run.status = "stopped";
+    } else {
+      console.error(`Control API run ${run.id} failed: ${error.message}`);
+      run.status = "failed";
+    }
+    run.error = error.message;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    pairKeys.forEach((pairKey) => activeRuns.delete(pairKey));
+    pruneRuns();
+  }
+};
+
+/**
+ * Submits a run, unless one of its DLP/refiner pairs already has an active one
+ * @param {object} body - Parsed request body
+ * @returns {object} - Summary of the new run
+ * @throws {Error} If the request is invalid or a pair is busy
+ */
+const submitRun = (body) => {
+  const request = parseRunRequest(body);
+  const pairKeys = request.refinerIds.map((refinerId) => `${CONFIG.dlpAddress.toLowerCase()}:${refinerId}`);
+
+  for (const [i, pairKey] of pairKeys.entries()) {
+    if (activeRuns.has(pairKey)) {
+      throw httpError(
+        409,
+        `Run ${activeRuns.get(pairKey)} is still active for DLP ${CONFIG.dlpAddress} and refiner ${request.refinerIds[i]}`
+      );
+    }
+  }
+
+  const run = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    dlpAddress: CONFIG.dlpAddress,
+    ...request,
+    stats: {},
+    // fileId → { status, updatedAt }
+    files: {},
+    controller: new AbortController(),
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null,
+  };
+  runs.set(run.id, run);
+  pairKeys.forEach((pairKey) => activeRuns.set(pairKey, run.id));
+
+  const execution = executeRun(run, pairKeys);
+  executions.add(execution);
+  execution.finally(() => executions.delete(execution));
+  return summarizeRun(run);
+};
+
+/**
+ * Looks up a run by ID
+ * @param {string} runId - ID from the URL
+ * @returns {object} - Run record
+ * @throws {Error} If there is no such run
+ */
+const getRun = (runId) => {
+  const run = runs.get(runId);
+  if (!run) {
+    throw httpError(404, `Run ${runId} not found`);
+  }
+  return run;
+};
+
+/**
+ * Cancels a run: files not yet started are skipped, files in flight finish
+ * @param {string} runId - ID from the URL
+ * @returns {object} - Summary of the run
+ * @throws {Error} If the run does not exist or already finished
+ */
+const cancelRun = (runId) => {
+  const run = getRun(runId);
+  if (run.finishedAt) {
+    throw httpError(409, `Run ${runId} already finished with status ${run.status}`);
+  }
+
+  console.log(`Cancelling control API run ${runId}`);
+  run.controller.abort();
+  run.status = "cancelling";
+  return summarizeRun(run);
+};
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} - Parsed body ({} when empty)
+ */
+const readJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(httpError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(httpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+
+/**
+ * Splits a request URL into its decoded path segments
+ * @param {string} url - URL of the request
+ * @returns {string[]} - Path segments
+ * @throws {Error} If a segment is not valid percent-encoding
+ */
+const parsePath = (url) => {
+  try {
+    return url.split("?")[0].split("/").filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    throw httpError(400, `Invalid path ${url}: ${error.message}`);
+  }
+};
+
+/**
+ * Routes a request to its handler
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} - `{ status, body }` of the response
+ */
+const route = async (req) => {
+  const parts = parsePath(req.url);
+  const { method } = req;
+
+  if (parts[0] !== "runs") {
+    throw httpError(404, "Not found");
+  }
+
+  // /runs
+  if (parts.length === 1) {
+    if (method === "GET") return { status: 200, body: { runs: [...runs.values()].map(summarizeRun) } };
+    if (method === "POST") return { status: 201, body: submitRun(await readJsonBody(req)) };
+  }
+
+  // /runs/:id
+  if (parts.length === 2) {
+    if (method === "GET") return { status: 200, body: summarizeRun(getRun(parts[1])) };
+    if (method === "DELETE") return { status: 202, body: cancelRun(parts[1]) };
+  }
+
+  // /runs/:id/cancel
+  if (parts.length === 3 && parts[2] === "cancel" && method === "POST") {
+    return { status: 202, body: cancelRun(parts[1]) };
+  }
+
+  // /runs/:id/files and /runs/:id/files/:fileId
+  if (parts[2] === "files" && method === "GET") {
+    const run = getRun(parts[1]);
+    if (parts.length === 3) return { status: 200, body: { runId: run.id, files: run.files } };
+    if (parts.length === 4) {
+      const file = run.files[parts[3]];
+      if (!file) throw httpError(404, `File ${parts[3]} has not been scheduled in run ${run.id}`);
+      return { status: 200, body: { runId: run.id, fileId: Number(parts[3]), ...file } };
+    }
+  }
+
+  throw httpError(parts.length <= 4 ? 405 : 404, `${method} ${req.url} is not supported`);
+};
+
+/**
+ * Starts the control API on CONFIG.serveHost:CONFIG.servePort
+ * @returns {Promise<http.Server>} - The listening server
+ */
+const serveControlApi = async () => {
+  const server = http.createServer(async (req, res) => {
+    let response;
+    try {
+      response = await route(req);
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Control API error on ${req.method} ${req.url}: ${error.message}`);
+      }
+      response = { status: error.status || 500, body: { error: error.message } };
+    }
+
+    res.statusCode = response.status;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(response.body));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(CONFIG.servePort, CONFIG.serveHost, resolve);
+  });
+  console.log(`Control API listening on http://${CONFIG.serveHost}:${server.address().port}`);
+
+  // Take no new runs on SIGINT/SIGTERM; the runs in progress stop on their own
+  getShutdownSignal().addEventListener("abort", () => server.close(), { once: true });
+  return server;
+};
+
+/**
+ * Waits for the runs executing in the background, once the server is closed
+ * @returns {Promise<void>} - Resolves once every run finished
+ */
+const waitForRuns = async () => {
+  await Promise.all([...executions]);
+};
+
+module.exports = {
+  submitRun,
+  cancelRun,
+  serveControlApi,
+  waitForRuns
+};
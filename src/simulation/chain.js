@@ -0,0 +1,197 @@
+/**
+ * Simulated chain module for batch refinement
+ *
+ * A JSON-RPC server playing the DLP and DataRegistry contracts (and Multicall3)
+ * from a fixture, so the real endpoint, multicall and discovery code paths run
+ * against it unchanged.
+ */
+const http = require('http');
+const ethers = require('ethers');
+
+// ABI of the simulated contracts, as the refinement code calls them
+const DLP_INTERFACE = new ethers.utils.Interface([
+  "function filesListAt(uint256 index) view returns (uint256)",
+  "function filesListCount() view returns (uint256)",
+]);
+const DATA_REGISTRY_INTERFACE = new ethers.utils.Interface([
+  "function filePermissions(uint256 fileId, address dlpAddress) view returns (string)",
+  "function fileRefinements(uint256 fileId, uint256 refinerId) view returns (string)",
+  "event PermissionGranted(uint256 indexed fileId, address indexed account)",
+]);
+const MULTICALL_INTERFACE = new ethers.utils.Interface([
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)",
+]);
+
+// Blocks the simulated head is ahead of the last PermissionGranted event
+const HEAD_DISTANCE = 5;
+
+/**
+ * Creates the error of a reverted call
+ * @param {string} reason - Why the call reverted
+ * @returns {Error} - Error answered as JSON-RPC code 3
+ */
+const revert = (reason) => Object.assign(new Error(`execution reverted: ${reason}`), { rpcCode: 3 });
+
+/**
+ * Decodes call data, reverting on functions the simulated contract does not have
+ * @param {ethers.utils.Interface} contractInterface - ABI of the contract
+ * @param {string} data - Call data
+ * @returns {object} - `{ name, args }`
+ */
+const decodeCall = (contractInterface, data) => {
+  try {
+    return contractInterface.parseTransaction({ data });
+  } catch (error) {
+    throw revert(`unknown function ${data.slice(0, 10)}`);
+  }
+};
+
+/**
+ * Creates the simulated chain
+ * @param {object} fixture - Simulation fixture
+ * @param {Map<string, string>} refinements - "fileId:refinerId" → fileRefinements value,
+ *        shared with the simulated refinement service
+ * @param {object} options - Chain options
+ * @param {string} options.multicallAddress - Address Multicall3 answers at ("" for none)
+ * @returns {http.Server} - Server answering JSON-RPC requests, not listening yet
+ */
+const createChainServer = (fixture, refinements, { multicallAddress }) => {
+  const dlpAddress = fixture.dlpAddress.toLowerCase();
+  const dataRegistryAddress = fixture.dataRegistryAddress.toLowerCase();
+  const multicall = (multicallAddress || "").toLowerCase();
+  const filesById = new Map(fixture.files.map((file) => [file.fileId, file]));
+  const head = (fixture.files.length > 0 ? fixture.files[fixture.files.length - 1].blockNumber : 0) + HEAD_DISTANCE;
+
+  /**
+   * Executes one contract call
+   * @param {string} to - Called address
+   * @param {string} data - Call data
+   * @returns {string} - ABI-encoded return data
+   */
+  const call = (to, data) => {
+    const target = to.toLowerCase();
+
+    if (target === multicall) {
+      const [calls] = MULTICALL_INTERFACE.decodeFunctionData("aggregate3", data);
+      const results = calls.map((inner) => {
+        try {
+          return { success: true, returnData: call(inner.target, inner.callData) };
+        } catch (error) {
+          if (!inner.allowFailure) throw error;
+          return { success: false, returnData: "0x" };
+        }
+      });
+      return MULTICALL_INTERFACE.encodeFunctionResult("aggregate3", [results]);
+    }
+
+    if (target === dlpAddress) {
+      const { name, args } = decodeCall(DLP_INTERFACE, data);
+      if (name === "filesListCount") {
+        return DLP_INTERFACE.encodeFunctionResult(name, [fixture.files.length]);
+      }
+      const index = args.index.toNumber();
+      if (index >= fixture.files.length) throw revert("index out of bounds");
+      return DLP_INTERFACE.encodeFunctionResult(name, [fixture.files[index].fileId]);
+    }
+
+    if (target === dataRegistryAddress) {
+      const { name, args } = decodeCall(DATA_REGISTRY_INTERFACE, data);
+      const fileId = args.fileId.toNumber();
+      if (name === "filePermissions") {
+        const file = filesById.get(fileId);
+        const granted = file && file.encryptedEEK && args.dlpAddress.toLowerCase() === dlpAddress;
+        return DATA_REGISTRY_INTERFACE.encodeFunctionResult(name, [granted ? file.encryptedEEK : ""]);
+      }
+      const value = refinements.get(`${fileId}:${args.refinerId.toNumber()}`) || "";
+      return DATA_REGISTRY_INTERFACE.encodeFunctionResult(name, [value]);
+    }
+
+    // Like a real node: a call to an address without code succeeds with no return data
+    return "0x";
+  };
+
+  /**
+   * Answers eth_getLogs with the PermissionGranted events of the files with an EEK
+   * @param {object} filter - Log filter
+   * @returns {object[]} - Logs
+   */
+  const getLogs = ({ address, topics = [], fromBlock = "0x0", toBlock = "latest" }) => {
+    if (address && address.toLowerCase() !== dataRegistryAddress) return [];
+    const from = fromBlock === "earliest" ? 0 : Number(fromBlock);
+    const to = toBlock === "latest" ? head : Number(toBlock);
+    const event = DATA_REGISTRY_INTERFACE.getEvent("PermissionGranted");
+
+    return fixture.files
+      .filter((file) => file.encryptedEEK && file.blockNumber >= from && file.blockNumber <= to)
+      .map((file) => ({ file, log: DATA_REGISTRY_INTERFACE.encodeEventLog(event, [file.fileId, fixture.dlpAddress]) }))
+      .filter(({ log }) => topics.every((topic, i) => topic === null || topic === undefined
+        || (Array.isArray(topic) ? topic : [topic]).some((value) => value.toLowerCase() === log.topics[i].toLowerCase())))
+      .map(({ file, log }) => ({
+        address: fixture.dataRegistryAddress,
+        topics: log.topics,
+        data: log.data,
+        blockNumber: ethers.utils.hexValue(file.blockNumber),
+        blockHash: ethers.utils.id(`simulated block ${file.blockNumber}`),
+        transactionHash: ethers.utils.id(`simulated permission ${file.fileId}`),
+        transactionIndex: "0x0",
+        logIndex: "0x0",
+        removed: false,
+      }));
+  };
+
+  /**
+   * Answers one JSON-RPC request
+   * @param {object} request - `{ id, method, params }`
+   * @returns {object} - JSON-RPC response
+   */
+  const handle = ({ id, method, params = [] }) => {
+    try {
+      let result;
+      switch (method) {
+        case "eth_chainId":
+          result = ethers.utils.hexValue(fixture.chainId);
+          break;
+        case "net_version":
+          result = String(fixture.chainId);
+          break;
+        case "eth_blockNumber":
+          result = ethers.utils.hexValue(head);
+          break;
+        case "eth_getCode":
+          result = multicall && params[0].toLowerCase() === multicall ? "0x6001" : "0x";
+          break;
+        case "eth_call":
+          result = call(params[0].to, params[0].data);
+          break;
+        case "eth_getLogs":
+          result = getLogs(params[0] || {});
+          break;
+        default:
+          return { jsonrpc: "2.0", id, error: { code: -32601, message: `Method ${method} not supported by the simulated chain` } };
+      }
+      return { jsonrpc: "2.0", id, result };
+    } catch (error) {
+      return { jsonrpc: "2.0", id, error: { code: error.rpcCode || -32603, message: error.message, data: "0x" } };
+    }
+  };
+
+  return http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      let response;
+      try {
+        const request = JSON.parse(body);
+        response = Array.isArray(request) ? request.map(handle) : handle(request);
+      } catch (error) {
+        response = { jsonrpc: "2.0", id: null, error: { code: -32700, message: error.message } };
+      }
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(response));
+    });
+  });
+};
+
+module.exports = {
+  createChainServer
+};
@@ -0,0 +1,128 @@
+/**
+ * Simulation fixture module for batch refinement
+ *
+ * A fixture describes the simulated chain: the DLP key, the contract addresses
+ * and one entry per file of the DLP files list:
+ *   { index, fileId, blockNumber, encryptedEEK, dataEncryptionKey, refinements, refineFailure }
+ * `encryptedEEK` is a real ECIES ciphertext of `dataEncryptionKey` (null: no permission),
+ * `refinements` maps refinerId → fileRefinements value, and `refineFailure` is an HTTP
+ * status the mock /refine always answers for the file (null: normal behaviour).
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const ethers = require('ethers');
+const eccrypto = require('eccrypto');
+
+const FIXTURE_VERSION = 1;
+
+// Chain ID of the simulated chain, the usual one of local development nodes
+const SIMULATED_CHAIN_ID = 31337;
+
+/**
+ * Encrypts a data encryption key to a public key, in the layout DataRegistry stores
+ * @param {string} publicKey - Uncompressed public key (0x04...)
+ * @param {string} dataEncryptionKey - Key to encrypt
+ * @returns {Promise<string>} - Hex EEK: iv (16 bytes), ephemeral public key (65), ciphertext, mac (32)
+ */
+const encryptEEK = async (publicKey, dataEncryptionKey) => {
+  const encrypted = await eccrypto.encrypt(
+    Buffer.from(publicKey.slice(2), "hex"),
+    Buffer.from(dataEncryptionKey)
+  );
+  return Buffer.concat([encrypted.iv, encrypted.ephemPublicKey, encrypted.ciphertext, encrypted.mac]).toString("hex");
+};
+
+/**
+ * Generates a fixture with every production pattern in a fixed mix: per 20 files,
+ * 2 without an EEK, 1 with an EEK encrypted to another key, 4 already refined by
+ * the first refiner and 1 the service always rejects
+ * @param {object} options - Fixture options
+ * @param {number} options.files - Length of the files list
+ * @param {number[]} options.refinerIds - Refiners the refined files are recorded for
+ * @returns {Promise<object>} - The fixture
+ */
+const createFixture = async ({ files, refinerIds }) => {
+  const dlpWallet = ethers.Wallet.createRandom();
+  const otherWallet = ethers.Wallet.createRandom();
+  const entries = [];
+
+  for (let index = 0; index < files; index++) {
+    // IDs ascend along the list with gaps, as files of other DLPs are interleaved
+    const fileId = 1000 + index * 3 + (index % 2);
+    const pattern = index % 20;
+    const dataEncryptionKey = crypto.randomBytes(32).toString("hex");
+    const entry = {
+      index,
+      fileId,
+      blockNumber: 100 + index * 2,
+      encryptedEEK: null,
+      dataEncryptionKey: null,
+      refinements: {},
+      refineFailure: null,
+    };
+
+    if (pattern !== 3 && pattern !== 7) {
+      const recipient = pattern === 11 ? otherWallet : dlpWallet;
+      entry.encryptedEEK = await encryptEEK(recipient.publicKey, dataEncryptionKey);
+      entry.dataEncryptionKey = dataEncryptionKey;
+    }
+    if ([5, 9, 13, 17].includes(pattern)) {
+      entry.refinements[refinerIds[0]] = `ipfs://bafyfixture${fileId}`;
+    }
+    if (pattern === 15) {
+      entry.refineFailure = 400;
+    }
+    entries.push(entry);
+  }
+
+  return {
+    version: FIXTURE_VERSION,
+    createdAt: new Date().toISOString(),
+    chainId: SIMULATED_CHAIN_ID,
+    dlpAddress: dlpWallet.address,
+    dataRegistryAddress: ethers.utils.getAddress(ethers.utils.hexlify(crypto.randomBytes(20))),
+    // Throwaway key generated for the fixture, never a real DLP key
+    privateKey: dlpWallet.privateKey,
+    files: entries,
+  };
+};
+
+/**
+ * Loads a fixture file, generating and writing one when the file does not exist
+ * @param {string} fixturePath - Path of the fixture file
+ * @param {object} options - Options passed to createFixture when generating
+ * @returns {Promise<object>} - The fixture
+ * @throws {Error} If the file cannot be read or is not a fixture
+ */
+const loadFixture = async (fixturePath, options) => {
+  let content;
+  try {
+    content = await fs.readFile(fixturePath, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Unable to read simulation fixture ${fixturePath}: ${error.message}`);
+    }
+    console.log(`Generating simulation fixture with ${options.files} files at ${fixturePath}...`);
+    const fixture = await createFixture(options);
+    await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+    await fs.writeFile(fixturePath, JSON.stringify(fixture, null, 2));
+    return fixture;
+  }
+
+  let fixture;
+  try {
+    fixture = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid simulation fixture ${fixturePath}: ${error.message}`);
+  }
+  if (fixture.version !== FIXTURE_VERSION || !Array.isArray(fixture.files) || !fixture.privateKey || !fixture.dlpAddress) {
+    throw new Error(`${fixturePath} is not a version ${FIXTURE_VERSION} simulation fixture`);
+  }
+  return fixture;
+};
+
+module.exports = {
+  createFixture,
+  loadFixture
+};
@@ -0,0 +1,146 @@
+/**
+ * Simulation harness module for batch refinement
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG } = require('../utils/config');
+const { loadFixture } = require('./fixture');
+const { createChainServer } = require('./chain');
+const { createRefinementServer } = require('./service');
+
+// Servers of the running simulation
+let servers = [];
+// Pending write of the simulated chain state
+let stateWrite = Promise.resolve();
+
+/**
+ * Gets the path of the simulated chain state: the refinements the simulated
+ * service recorded, kept apart from the fixture so the fixture stays as generated
+ * @returns {string} - Path of the state file
+ */
+const getChainStatePath = () => path.join(CONFIG.logDir, "simulated-chain.json");
+
+/**
+ * Loads the refinements recorded by earlier simulated runs
+ * @returns {Promise<object>} - "fileId:refinerId" → fileRefinements value
+ */
+const loadChainState = async () => {
+  try {
+    return JSON.parse(await fs.readFile(getChainStatePath(), "utf8")).refinements || {};
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Unable to read ${getChainStatePath()}, starting from the fixture: ${error.message}`);
+    }
+    return {};
+  }
+};
+
+/**
+ * Queues a write of the recorded refinements, so later runs (and the check and
+ * status commands) see the simulated chain as this run left it
+ * @param {object} recorded - "fileId:refinerId" → fileRefinements value
+ */
+const saveChainState = (recorded) => {
+  const content = JSON.stringify({ updatedAt: new Date().toISOString(), refinements: recorded }, null, 2);
+  stateWrite = stateWrite
+    .then(() => fs.writeFile(getChainStatePath(), content))
+    .catch((error) => console.error(`Unable to save ${getChainStatePath()}: ${error.message}`));
+};
+
+/**
+ * Starts a server on a free loopback port
+ * @param {http.Server} server - Server to start
+ * @returns {Promise<string>} - Base URL of the server
+ */
+const listen = (server) =>
+  new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+
+/**
+ * Starts the simulated chain and refinement service and points CONFIG at them:
+ * RPC URL, chain ID, contract addresses, refinement service and DLP key all come
+ * from the fixture
+ * @returns {Promise<object>} - The fixture
+ */
+const startSimulation = async () => {
+  const fixturePath = path.resolve(CONFIG.simulationFixture || path.join(CONFIG.logDir, "fixture.json"));
+  const fixture = await loadFixture(fixturePath, {
+    files: CONFIG.simulationFiles,
+    refinerIds: CONFIG.refinerIds,
+  });
+
+  // fileRefinements values, shared so refinements of the service show up on-chain
+  const refinements = new Map();
+  for (const file of fixture.files) {
+    for (const [refinerId, value] of Object.entries(file.refinements || {})) {
+      refinements.set(`${file.fileId}:${refinerId}`, value);
+    }
+  }
+  const recorded = await loadChainState();
+  for (const [key, value] of Object.entries(recorded)) refinements.set(key, value);
+
+  const seed = CONFIG.simulationSeed ?? crypto.randomInt(2 ** 31);
+  const chain = createChainServer(fixture, refinements, { multicallAddress: CONFIG.multicallAddress });
+  const service = createRefinementServer(fixture, refinements, {
+    seed,
+    latencyMs: CONFIG.simulationLatencyMs,
+    failureRate: CONFIG.simulationFailureRate,
+    failureStatuses: CONFIG.simulationFailureStatuses,
+    asyncJobs: CONFIG.simulationAsyncJobs,
+    onRefined: (key, value) => {
+      recorded[key] = value;
+      saveChainState(recorded);
+    },
+  });
+  servers = [chain, service];
+  const [rpcUrl, serviceUrl] = await Promise.all(servers.map(listen));
+
+  Object.assign(CONFIG, {
+    rpcUrls: [rpcUrl],
+    rpcUrl,
+    rpcQuorum: 1,
+    chainId: fixture.chainId,
+    dlpAddress: fixture.dlpAddress,
+    dataRegistryAddress: fixture.dataRegistryAddress,
+    refinementServiceApiBaseUrl: serviceUrl,
+    refinementJobStatusPath: "/jobs/{jobId}",
+    keyProvider: "env",
+    dlpPrivateKey: fixture.privateKey,
+    discoveryStartBlock: 0,
+    // The default start index is the end of the simulated list
+    maxFileId: fixture.files.length - 1,
+  });
+
+  console.log(
+    `SIMULATION: ${fixture.files.length} files from ${fixturePath}, chain ${rpcUrl}, refinement service ${serviceUrl}`
+  );
+  if (Object.keys(recorded).length > 0) {
+    console.log(`SIMULATION: ${Object.keys(recorded).length} refinements recorded by earlier runs from ${getChainStatePath()}`);
+  }
+  console.log(
+    `SIMULATION: seed ${seed}, latency ${CONFIG.simulationLatencyMs}ms, ` +
+    `failure rate ${CONFIG.simulationFailureRate} (HTTP ${CONFIG.simulationFailureStatuses.join("/")}), ` +
+    `${CONFIG.simulationAsyncJobs ? "asynchronous jobs" : "synchronous responses"}`
+  );
+  return fixture;
+};
+
+/**
+ * Stops the simulated chain and refinement service
+ */
+const stopSimulation = async () => {
+  await stateWrite;
+  await Promise.all(servers.map((server) => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+  })));
+  servers = [];
+};
+
+module.exports = {
+  startSimulation,
+  stopSimulation
+};
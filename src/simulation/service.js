@@ -0,0 +1,155 @@
+/**
+ * Simulated refinement service module for batch refinement
+ *
+ * A local stand-in for the hosted refinement service: POST /refine checks the
+ * decrypted key against the fixture, waits a random latency, fails a share of
+ * requests, and records successful refinements on the simulated chain.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { sleep } = require('../utils/retry');
+
+/**
+ * Draws a number in [0, 1) from the seed and the draw's identity, so a run with
+ * the same seed sees the same latencies and failures whatever the concurrency
+ * @param {number} seed - Simulation seed
+ * @param {string} key - Identity of the draw (purpose, file, refiner, attempt)
+ * @returns {number} - Pseudo-random number
+ */
+const draw = (seed, key) =>
+  crypto.createHash("sha256").update(`${seed}:${key}`).digest().readUInt32BE(0) / 2 ** 32;
+
+/**
+ * Creates the simulated refinement service
+ * @param {object} fixture - Simulation fixture
+ * @param {Map<string, string>} refinements - "fileId:refinerId" → fileRefinements value,
+ *        shared with the simulated chain
+ * @param {object} options - Service behaviour
+ * @param {number} options.seed - Seed of the latency and failure draws
+ * @param {number} options.latencyMs - Mean latency; each request takes 0.5-1.5 times it
+ * @param {number} options.failureRate - Share of requests answered with an injected failure
+ * @param {number[]} options.failureStatuses - HTTP statuses injected failures use
+ * @param {boolean} options.asyncJobs - Answer with job IDs, polled on /jobs/:id
+ * @param {Function} options.onRefined - Called with "fileId:refinerId" and the value after each refinement
+ * @returns {http.Server} - Server, not listening yet
+ */
+const createRefinementServer = (fixture, refinements, {
+  seed,
+  latencyMs,
+  failureRate,
+  failureStatuses,
+  asyncJobs,
+  onRefined,
+}) => {
+  const filesById = new Map(fixture.files.map((file) => [file.fileId, file]));
+  // "fileId:refinerId" → requests so far, so retries draw again
+  const attempts = new Map();
+  // jobId → { readyAt, answer }
+  const jobs = new Map();
+
+  /**
+   * Works out the answer to a refinement request
+   * @param {object} body - Request body
+   * @param {string} key - "fileId:refinerId" of the request
+   * @param {number} attempt - How many times the file was sent for this refiner, this one included
+   * @returns {object} - `{ status, body, onSuccess }`
+   */
+  const refine = (body, key, attempt) => {
+    const fileId = Number(body.file_id);
+    const refinerId = Number(body.refiner_id);
+    const file = filesById.get(fileId);
+    if (!file || !file.dataEncryptionKey) {
+      return { status: 404, body: { detail: `File ${fileId} not found` } };
+    }
+    if (body.encryption_key !== file.dataEncryptionKey) {
+      return { status: 400, body: { detail: "Invalid encryption key" } };
+    }
+    if (file.refineFailure) {
+      return { status: file.refineFailure, body: { detail: `Simulated permanent failure of file ${fileId}` } };
+    }
+    if (draw(seed, `failure:${key}:${attempt}`) < failureRate) {
+      const status = failureStatuses[Math.floor(draw(seed, `status:${key}:${attempt}`) * failureStatuses.length)];
+      return { status, body: { detail: `Simulated failure (HTTP ${status})` } };
+    }
+
+    const cid = `bafysim${crypto.createHash("sha256").update(key).digest("hex").slice(0, 32)}`;
+    return {
+      status: 200,
+      body: { file_id: fileId, refiner_id: refinerId, cid, url: `ipfs://${cid}` },
+      onSuccess: () => {
+        refinements.set(key, `ipfs://${cid}`);
+        onRefined(key, `ipfs://${cid}`);
+      },
+    };
+  };
+
+  /**
+   * Routes a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {string} rawBody - Request body
+   * @returns {Promise<object>} - `{ status, body }`
+   */
+  const route = async (req, rawBody) => {
+    const url = req.url.split("?")[0];
+
+    if (req.method === "POST" && url === "/refine") {
+      let body;
+      try {
+        body = JSON.parse(rawBody);
+      } catch (error) {
+        return { status: 400, body: { detail: `Invalid JSON body: ${error.message}` } };
+      }
+      const key = `${Number(body.file_id)}:${Number(body.refiner_id)}`;
+      const attempt = (attempts.get(key) || 0) + 1;
+      attempts.set(key, attempt);
+
+      const latency = latencyMs * (0.5 + draw(seed, `latency:${key}:${attempt}`));
+      const answer = refine(body, key, attempt);
+
+      if (!asyncJobs) {
+        await sleep(latency);
+        if (answer.onSuccess) answer.onSuccess();
+        return answer;
+      }
+      // Requests the service rejects outright never become jobs
+      if (answer.status === 400 || answer.status === 404 || answer.status === 429) return answer;
+
+      const jobId = crypto.randomUUID();
+      jobs.set(jobId, { readyAt: Date.now() + latency, answer });
+      return { status: 202, body: { job_id: jobId, status: "pending" } };
+    }
+
+    const jobMatch = /^\/jobs\/([^/]+)$/.exec(url);
+    if (req.method === "GET" && jobMatch) {
+      const job = jobs.get(decodeURIComponent(jobMatch[1]));
+      if (!job) return { status: 404, body: { detail: "Job not found" } };
+      if (Date.now() < job.readyAt) return { status: 200, body: { status: "running" } };
+
+      const { answer } = job;
+      if (answer.onSuccess) {
+        answer.onSuccess();
+        answer.onSuccess = null;
+      }
+      return answer.status === 200
+        ? { status: 200, body: { status: "completed", result: answer.body } }
+        : { status: 200, body: { status: "failed", error: answer.body.detail } };
+    }
+
+    return { status: 404, body: { detail: `${req.method} ${url} is not simulated` } };
+  };
+
+  return http.createServer((req, res) => {
+    let rawBody = "";
+    req.on("data", (chunk) => { rawBody += chunk; });
+    req.on("end", async () => {
+      const { status, body } = await route(req, rawBody);
+      res.statusCode = status;
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(body));
+    });
+  });
+};
+
+module.exports = {
+  createRefinementServer
+};
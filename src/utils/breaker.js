@@ -0,0 +1,258 @@
+/**
+ * Circuit breaker module for batch refinement
+ *
+ * One breaker guards the refinement service, one the RPC endpoints and one the
+ * decryptor socket of the socket key provider. A breaker opens after
+ * CONFIG.breakerFailureThreshold consecutive failures, or once
+ * CONFIG.breakerFailureRatio of the last CONFIG.breakerWindow calls failed.
+ * While it is open, calls wait instead of failing. After CONFIG.breakerCooldown
+ * it turns half-open and lets one probe through: a successful probe closes it,
+ * a failed one opens it again. An outage longer than CONFIG.breakerMaxOutage
+ * rejects every waiting call with an error carrying `breakerOutage`, so the run
+ * can abort.
+ */
+const { CONFIG } = require('./config');
+
+// Breakers by name, created on first use
+const breakers = new Map();
+
+// Callbacks receiving every state change
+const listeners = new Set();
+
+/**
+ * Formats a duration for log messages
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. "95s"
+ */
+const formatDuration = (ms) => `${Math.round(ms / 1000)}s`;
+
+/**
+ * Creates a circuit breaker
+ * @param {string} name - Name used in log messages and stats rows (refine, rpc, decryptor)
+ * @returns {object} - Breaker with run(), waitUntilPassable() and its state
+ */
+const createCircuitBreaker = (name) => {
+  let state = "closed";
+  let consecutiveFailures = 0;
+  // Outcomes of the last CONFIG.breakerWindow calls, true for a failure
+  let recent = [];
+  let openedAt = null;
+  let outageStartedAt = null;
+  let probing = false;
+  let outageTimer = null;
+  // Callbacks waiting for the next state change
+  let waiters = [];
+
+  const wake = (error = null) => {
+    const woken = waiters;
+    waiters = [];
+    woken.forEach((waiter) => waiter(error));
+  };
+
+  // Resolves on the next state change, or after `ms` milliseconds
+  const waitForChange = (ms = null) =>
+    new Promise((resolve, reject) => {
+      let timer = null;
+      const waiter = (error) => {
+        clearTimeout(timer);
+        if (error) reject(error);
+        else resolve();
+      };
+      if (ms !== null) {
+        timer = setTimeout(() => {
+          waiters = waiters.filter((other) => other !== waiter);
+          resolve();
+        }, ms);
+      }
+      waiters.push(waiter);
+    });
+
+  const transition = (to, reason, error = null) => {
+    const change = {
+      breaker: name,
+      from: state,
+      state: to,
+      reason,
+      outageMs: outageStartedAt ? Date.now() - outageStartedAt : 0,
+      error,
+    };
+    state = to;
+    console.log(`Circuit breaker ${name} ${to}: ${reason}`);
+    listeners.forEach((listener) => listener(change));
+    wake(error);
+  };
+
+  const reset = () => {
+    clearTimeout(outageTimer);
+    outageTimer = null;
+    openedAt = null;
+    consecutiveFailures = 0;
+    recent = [];
+    outageStartedAt = null;
+    probing = false;
+  };
+
+  const open = (reason) => {
+    probing = false;
+    openedAt = Date.now();
+    if (!outageStartedAt) {
+      outageStartedAt = openedAt;
+      if (CONFIG.breakerMaxOutage > 0) {
+        // Waiting calls keep the process alive, an idle open breaker must not
+        outageTimer = setTimeout(abortOutage, CONFIG.breakerMaxOutage * 1000);
+        outageTimer.unref();
+      }
+    }
+    transition("open", reason);
+  };
+
+  // Waits out the cooldown of the open breaker, then moves it to half-open
+  const waitForCooldown = async () => {
+    const left = openedAt + CONFIG.breakerCooldown * 1000 - Date.now();
+    if (left > 0) await waitForChange(left);
+    else transition("half-open", `probing after ${CONFIG.breakerCooldown}s cooldown`);
+  };
+
+  // Gives up on the outage: waiting calls fail and the next run starts with a closed breaker
+  const abortOutage = () => {
+    const outage = Date.now() - outageStartedAt;
+    const error = Object.assign(
+      new Error(`Circuit breaker ${name} open for ${formatDuration(outage)}, longer than the ${CONFIG.breakerMaxOutage}s allowed`),
+      { breakerOutage: true, breaker: name, errorClass: "permanent" }
+    );
+    transition("closed", `outage of ${formatDuration(outage)} exceeded the limit - aborting`, error);
+    reset();
+  };
+
+  // Waits until a call may go through; resolves true if the call is the half-open probe
+  const acquire = async () => {
+    for (;;) {
+      if (state === "open") {
+        await waitForCooldown();
+        continue;
+      }
+      if (state === "closed") return false;
+      if (!probing) {
+        probing = true;
+        return true;
+      }
+      await waitForChange();
+    }
+  };
+
+  const settle = (probe, failed, message) => {
+    // A probe still in flight when the outage was given up counts as a normal call
+    if (probe && state === "half-open") {
+      probing = false;
+      if (failed) {
+        open(`probe failed: ${message}`);
+      } else {
+        transition("closed", `probe succeeded after ${formatDuration(Date.now() - outageStartedAt)} outage`);
+        reset();
+      }
+      return;
+    }
+    // Calls that started before the breaker opened say nothing about the probe
+    if (state !== "closed") return;
+
+    consecutiveFailures = failed ? consecutiveFailures + 1 : 0;
+    recent.push(failed);
+    if (recent.length > CONFIG.breakerWindow) recent.shift();
+    const failures = recent.filter(Boolean).length;
+
+    if (CONFIG.breakerFailureThreshold > 0 && consecutiveFailures >= CONFIG.breakerFailureThreshold) {
+      open(`${consecutiveFailures} consecutive failures - last: ${message}`);
+    } else if (
+      CONFIG.breakerFailureRatio > 0 &&
+      recent.length >= CONFIG.breakerWindow &&
+      failures / recent.length >= CONFIG.breakerFailureRatio
+    ) {
+      open(`${failures} of the last ${recent.length} calls failed - last: ${message}`);
+    }
+  };
+
+  return {
+    name,
+
+    /**
+     * Runs a call through the breaker, waiting while it is open
+     * @param {function(): Promise<any>} fn - Call to run
+     * @param {object} options - Call options
+     * @param {function(Error): boolean} options.isFailure - Whether an error counts against
+     *        the service; errors it answered itself (e.g. a 4xx) should not
+     * @returns {Promise<any>} - Result of the call
+     * @throws {Error} The error of the call, or the outage error when the outage lasted too long
+     */
+    run: async (fn, { isFailure = () => true } = {}) => {
+      if (!CONFIG.breaker) return fn();
+
+      const probe = await acquire();
+      try {
+        const result = await fn();
+        settle(probe, false);
+        return result;
+      } catch (error) {
+        settle(probe, isFailure(error), error.message);
+        throw error;
+      }
+    },
+
+    /**
+     * Resolves once the breaker takes new work: it is closed, or half-open
+     * without a probe in flight
+     * @returns {Promise<void>}
+     * @throws {Error} The outage error when the outage lasted too long
+     */
+    waitUntilPassable: async () => {
+      for (;;) {
+        if (state === "open") {
+          await waitForCooldown();
+          continue;
+        }
+        if (state === "closed" || !probing) return;
+        await waitForChange();
+      }
+    },
+
+    get state() {
+      return state;
+    },
+  };
+};
+
+/**
+ * Returns a breaker, creating it on first use
+ * @param {string} name - Name of the breaker (refine, rpc, decryptor)
+ * @returns {object} - The breaker
+ */
+const getBreaker = (name) => {
+  if (!breakers.has(name)) breakers.set(name, createCircuitBreaker(name));
+  return breakers.get(name);
+};
+
+/**
+ * Waits until every breaker takes new work, so the scheduler does not start
+ * files (and decrypt their EEKs) while a service is down
+ * @returns {Promise<void>}
+ * @throws {Error} The outage error when an outage lasted too long
+ */
+const waitForBreakers = async () => {
+  for (const breaker of breakers.values()) await breaker.waitUntilPassable();
+};
+
+/**
+ * Subscribes to the state changes of every breaker
+ * @param {function(object): void} listener - Receives `{ breaker, from, state, reason, outageMs, error }`;
+ *        `error` is set when an outage lasted too long
+ * @returns {function(): void} - Unsubscribes the listener
+ */
+const onBreakerChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+module.exports = {
+  getBreaker,
+  waitForBreakers,
+  onBreakerChange
+};
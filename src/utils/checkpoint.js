@@ -0,0 +1,112 @@
+/**
+ * Checkpoint module for batch refinement
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { CONFIG } = require('./config');
+
+/**
+ * Returns the path of the checkpoint file
+ * @returns {string} - Absolute path of the checkpoint file
+ */
+const getCheckpointPath = () => path.join(CONFIG.logDir, "checkpoint.json");
+
+/**
+ * Creates a fresh checkpoint for an index range
+ * @param {number} startIndex - Starting list index
+ * @param {number} endIndex - Ending list index
+ * @param {number} batchSize - Sub-batch size of the run
+ * @param {number[]} refinerIds - IDs of the refiners
+ * @returns {object} - New checkpoint
+ */
+const createCheckpoint = (startIndex, endIndex, batchSize, refinerIds = CONFIG.refinerIds) => ({
+  startIndex,
+  endIndex,
+  batchSize,
+  refinerIds,
+  lastCompletedIndex: null,
+  completed: false,
+  stats: {
+    total: startIndex - endIndex + 1,
+    alreadyRefined: 0,
+    processed: 0,
+    failed: 0,
+    success: 0,
+    failedByType: {},
+    byRefiner: {},
+  },
+  // fileId -> outcome of processFileWithStats
+  outcomes: {},
+  // list index -> "contract-error" for indices that had no fileId, already counted in stats
+  missingIndices: {},
+  // "refinerId:fileId" -> { jobId, submittedAt } of asynchronous refinement jobs still running
+  jobs: {},
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+});
+
+/**
+ * Loads the checkpoint file
+ * @returns {object|null} - The checkpoint or null if none exists
+ */
+const loadCheckpoint = async () => {
+  try {
+    const content = await fs.readFile(getCheckpointPath(), "utf8");
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw new Error(`Unable to read checkpoint ${getCheckpointPath()}: ${error.message}`);
+  }
+};
+
+// Pending writes are chained so concurrent saves never share the temporary file
+let lastWrite = Promise.resolve();
+
+/**
+ * Writes the checkpoint file atomically so a crash never leaves it half-written
+ * @param {object} checkpoint - Checkpoint to persist
+ */
+const saveCheckpoint = (checkpoint) => {
+  checkpoint.updatedAt = new Date().toISOString();
+  const content = JSON.stringify(checkpoint);
+
+  const write = async () => {
+    const checkpointPath = getCheckpointPath();
+    const tmpPath = `${checkpointPath}.tmp`;
+
+    await fs.mkdir(CONFIG.logDir, { recursive: true });
+    await fs.writeFile(tmpPath, content);
+    await fs.rename(tmpPath, checkpointPath);
+  };
+
+  lastWrite = lastWrite.then(write, write);
+  return lastWrite;
+};
+
+/**
+ * Checks whether a checkpoint belongs to the run described by the arguments
+ * @param {object} checkpoint - Loaded checkpoint
+ * @param {number} startIndex - Starting list index
+ * @param {number} endIndex - Ending list index
+ * @param {number[]} refinerIds - IDs of the refiners
+ * @returns {boolean} - True if the run can be resumed from the checkpoint
+ */
+const isCheckpointCompatible = (checkpoint, startIndex, endIndex, refinerIds = CONFIG.refinerIds) => {
+  // Checkpoints written before refiner lists existed hold a single refinerId
+  const checkpointRefinerIds = checkpoint.refinerIds || [checkpoint.refinerId];
+  return (
+    checkpoint.startIndex === startIndex &&
+    checkpoint.endIndex === endIndex &&
+    checkpointRefinerIds.join(",") === refinerIds.join(",")
+  );
+};
+
+module.exports = {
+  getCheckpointPath,
+  createCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  isCheckpointCompatible
+};
@@ -1,57 +1,743 @@
 /**
  * CLI module for batch refinement
  */
-const { CONFIG } = require('./config');
+const { CONFIG, parseRefinerIds, parseUrlList, parseChainId } = require('./config');
+
+/**
+ * Parses a date option value
+ * @param {string} value - ISO 8601 date or date-time
+ * @param {string} option - Name of the option, used in the error message
+ * @returns {Date} - Parsed date
+ * @throws {Error} If the value is not a valid date
+ */
+const parseDate = (value, option) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date for ${option}: ${value}`);
+  }
+  return date;
+};
+
+/**
+ * Parses an integer option value or argument
+ * @param {string} value - Raw value
+ * @param {string} option - Name of the option or argument, used in the error message
+ * @returns {number} - Parsed integer
+ * @throws {Error} If the value is not an integer
+ */
+const parseInteger = (value, option) => {
+  const number = Number(value);
+  if (value.trim() === "" || !Number.isInteger(number)) {
+    throw new Error(`Invalid integer for ${option}: ${value}`);
+  }
+  return number;
+};
+
+/**
+ * Parses a numeric option value
+ * @param {string} value - Raw value
+ * @param {string} option - Name of the option, used in the error message
+ * @returns {number} - Parsed number
+ * @throws {Error} If the value is not a number
+ */
+const parseNumber = (value, option) => {
+  const number = Number(value);
+  if (value.trim() === "" || Number.isNaN(number)) {
+    throw new Error(`Invalid number for ${option}: ${value}`);
+  }
+  return number;
+};
+
+// Every option: its flags, the placeholder of its value (null for switches),
+// its help text (a function, so defaults reflect the resolved CONFIG) and how
+// it updates the parsed arguments
+const OPTIONS = {
+  start: {
+    flags: ["-s", "--start"],
+    value: "<id>",
+    help: () => `Start file ID (default: ${CONFIG.maxFileId})`,
+    apply: (parsed, value) => { parsed.startId = parseInteger(value, "--start"); },
+  },
+  end: {
+    flags: ["-e", "--end"],
+    value: "<id>",
+    help: () => "End file ID (default: 1)",
+    apply: (parsed, value) => { parsed.endId = parseInteger(value, "--end"); },
+  },
+  batch: {
+    flags: ["-b", "--batch"],
+    value: "<size>",
+    help: () => `Indices or files handled per sub-batch (default: ${CONFIG.batchSize})`,
+    apply: (parsed, value) => { parsed.batchSize = parseInteger(value, "--batch"); },
+  },
+  resume: {
+    flags: ["-r", "--resume"],
+    help: () => "Resume an interrupted run of the same range from output/checkpoint.json",
+    apply: (parsed) => { parsed.resume = true; },
+  },
+  dryRun: {
+    flags: ["--dry-run"],
+    help: () => "Only look files up and write a plan of what would be refined",
+    apply: (parsed) => { parsed.dryRun = true; },
+  },
+  planFile: {
+    flags: ["--plan-file"],
+    value: "<path>",
+    help: () => "Where to write the dry-run plan (default: output/plan-<timestamp>.json)",
+    apply: (parsed, value) => { parsed.planFile = value; },
+  },
+  index: {
+    flags: ["--index"],
+    value: "<n>",
+    help: () => "Check the file at this list index instead of a file ID",
+    apply: (parsed, value) => { parsed.index = parseInteger(value, "--index"); },
+  },
+  fromIndex: {
+    flags: ["--from-index"],
+    value: "<n>",
+    help: () => "First list index to process (default: persisted high-water mark,\n or the current list length on first start)",
+    apply: (parsed, value) => { parsed.fromIndex = parseInteger(value, "--from-index"); },
+  },
+  pollInterval: {
+    flags: ["--poll-interval"],
+    value: "<s>",
+    help: () => `Seconds between polls (default: ${CONFIG.watchPollInterval})`,
+    apply: (parsed, value) => { parsed.overrides.watchPollInterval = parseNumber(value, "--poll-interval"); },
+  },
+  fromBlock: {
+    flags: ["--from-block"],
+    value: "<n>",
+    help: () => `First block to scan (default: ${CONFIG.discoveryStartBlock})`,
+    apply: (parsed, value) => { parsed.blocks.fromBlock = parseInteger(value, "--from-block"); },
+  },
+  toBlock: {
+    flags: ["--to-block"],
+    value: "<n>",
+    help: () => "Last block to scan (default: latest)",
+    apply: (parsed, value) => {
+      parsed.blocks.toBlock = value === "latest" ? null : parseInteger(value, "--to-block");
+    },
+  },
+  logsChunk: {
+    flags: ["--logs-chunk"],
+    value: "<n>",
+    help: () => `Blocks per eth_getLogs request (default: ${CONFIG.logsChunkSize})`,
+    apply: (parsed, value) => { parsed.overrides.logsChunkSize = parseInteger(value, "--logs-chunk"); },
+  },
+  scanOnly: {
+    flags: ["--scan-only"],
+    help: () => "Only update the discovery cache, do not refine",
+    apply: (parsed) => { parsed.scanOnly = true; },
+  },
+  type: {
+    flags: ["--type"],
+    value: "<types>",
+    help: () => "Only these comma-separated error types\n(api-error, decrypt-error, contract-error, verify-error, error, failure)",
+    apply: (parsed, value) => { parsed.filters.types = value.split(",").map((type) => type.trim()); },
+  },
+  since: {
+    flags: ["--since"],
+    value: "<time>",
+    help: () => "Only rows logged at or after this ISO time",
+    apply: (parsed, value) => { parsed.filters.since = parseDate(value, "--since"); },
+  },
+  until: {
+    flags: ["--until"],
+    value: "<time>",
+    help: () => "Only rows logged at or before this ISO time",
+    apply: (parsed, value) => { parsed.filters.until = parseDate(value, "--until"); },
+  },
+  stateStatus: {
+    flags: ["--status"],
+    value: "<states>",
+    help: () => "Only these comma-separated states (no_eek, refined, submitted, failed)",
+    apply: (parsed, value) => { parsed.filters.statuses = value.split(",").map((status) => status.trim()); },
+  },
+  json: {
+    flags: ["--json"],
+    help: () => "Print one JSON object per line",
+    apply: (parsed) => { parsed.json = true; },
+  },
+  run: {
+    flags: ["--run"],
+    value: "<ids>",
+    help: () => "Comma-separated run IDs (default: the latest run in stats.log,\nor every run inside --since/--until)",
+    apply: (parsed, value) => { parsed.filters.runIds = value.split(",").map((runId) => runId.trim()); },
+  },
+  format: {
+    flags: ["--format"],
+    value: "<format>",
+    help: () => "Report format: md, html or csv (default: md)",
+    apply: (parsed, value) => {
+      if (!["md", "html", "csv"].includes(value)) {
+        throw new Error(`Invalid value for --format: ${value} (md, html, csv)`);
+      }
+      parsed.report.format = value;
+    },
+  },
+  output: {
+    flags: ["-o", "--output"],
+    value: "<path>",
+    help: () => "Where to write the report (default: output/report-<timestamp>.<format>)",
+    apply: (parsed, value) => { parsed.report.output = value; },
+  },
+  indexRange: {
+    flags: ["--index-range"],
+    value: "<n>",
+    help: () => "Indices per row of the coverage table (default: automatic)",
+    apply: (parsed, value) => { parsed.report.indexRange = parseInteger(value, "--index-range"); },
+  },
+  port: {
+    flags: ["--port"],
+    value: "<port>",
+    help: () => `Port of the control API (default: ${CONFIG.servePort})`,
+    apply: (parsed, value) => { parsed.overrides.servePort = parseInteger(value, "--port"); },
+  },
+  host: {
+    flags: ["--host"],
+    value: "<host>",
+    help: () => `Address to listen on (default: ${CONFIG.serveHost})`,
+    apply: (parsed, value) => { parsed.overrides.serveHost = value; },
+  },
+  concurrency: {
+    flags: ["-c", "--concurrency"],
+    value: "<n>",
+    help: () => `Files in flight at once (default: ${CONFIG.concurrency})`,
+    apply: (parsed, value) => { parsed.overrides.concurrency = parseInteger(value, "--concurrency"); },
+  },
+  refineRate: {
+    flags: ["--refine-rate"],
+    value: "<n>",
+    help: () => `Max refinement requests per second, 0 = unlimited (default: ${CONFIG.refineRateLimit})`,
+    apply: (parsed, value) => { parsed.overrides.refineRateLimit = parseNumber(value, "--refine-rate"); },
+  },
+  verify: {
+    flags: ["--verify"],
+    help: () => "After each successful refinement, wait for it to appear on-chain",
+    apply: (parsed) => { parsed.overrides.verifyRefinement = true; },
+  },
+  verifyTimeout: {
+    flags: ["--verify-timeout"],
+    value: "<s>",
+    help: () => `How long to wait for the on-chain refinement (default: ${CONFIG.verifyTimeout})`,
+    apply: (parsed, value) => { parsed.overrides.verifyTimeout = parseNumber(value, "--verify-timeout"); },
+  },
+  webhook: {
+    flags: ["--webhook"],
+    value: "<url>",
+    help: () => "Also post JSON run events to this webhook (env WEBHOOK_URLS)",
+    apply: (parsed, value) => {
+      parsed.overrides.webhookUrls = [...(parsed.overrides.webhookUrls || CONFIG.webhookUrls), value];
+    },
+  },
+  slackWebhook: {
+    flags: ["--slack-webhook"],
+    value: "<url>",
+    help: () => "Also post run events to this Slack incoming webhook (env SLACK_WEBHOOK_URLS)",
+    apply: (parsed, value) => {
+      parsed.overrides.slackWebhookUrls = [...(parsed.overrides.slackWebhookUrls || CONFIG.slackWebhookUrls), value];
+    },
+  },
+  failureRateThreshold: {
+    flags: ["--failure-rate-threshold"],
+    value: "<rate>",
+    help: () => `Notify when this share of the last ${CONFIG.failureRateWindow} processed files failed,\n0 for never (default: ${CONFIG.failureRateThreshold})`,
+    apply: (parsed, value) => {
+      parsed.overrides.failureRateThreshold = parseNumber(value, "--failure-rate-threshold");
+    },
+  },
+  noBreaker: {
+    flags: ["--no-breaker"],
+    help: () => "Let calls fail instead of pausing the run while the refinement service\nor the RPC endpoints are down",
+    apply: (parsed) => { parsed.overrides.breaker = false; },
+  },
+  breakerCooldown: {
+    flags: ["--breaker-cooldown"],
+    value: "<s>",
+    help: () => `Wait before probing a service again after its breaker opened\n(default: ${CONFIG.breakerCooldown})`,
+    apply: (parsed, value) => { parsed.overrides.breakerCooldown = parseNumber(value, "--breaker-cooldown"); },
+  },
+  breakerMaxOutage: {
+    flags: ["--breaker-max-outage"],
+    value: "<s>",
+    help: () => `Abort the run once a breaker stayed open this long, 0 for never\n(default: ${CONFIG.breakerMaxOutage})`,
+    apply: (parsed, value) => { parsed.overrides.breakerMaxOutage = parseNumber(value, "--breaker-max-outage"); },
+  },
+  shutdownTimeout: {
+    flags: ["--shutdown-timeout"],
+    value: "<s>",
+    help: () => `Wait this long for the files in flight after SIGINT/SIGTERM\n(default: ${CONFIG.shutdownTimeout})`,
+    apply: (parsed, value) => { parsed.overrides.shutdownTimeout = parseNumber(value, "--shutdown-timeout"); },
+  },
+  noState: {
+    flags: ["--no-state"],
+    help: () => "Neither read nor update the state store (output/file-state.jsonl)",
+    apply: (parsed) => { parsed.overrides.stateStore = false; },
+  },
+  stateTtl: {
+    flags: ["--state-ttl"],
+    value: "<s>",
+    help: () => `Look up again files whose stored state is older, 0 for never\n(default: ${CONFIG.stateTtl})`,
+    apply: (parsed, value) => { parsed.overrides.stateTtl = parseNumber(value, "--state-ttl"); },
+  },
+  metricsPort: {
+    flags: ["--metrics-port"],
+    value: "<port>",
+    help: () => "Serve Prometheus metrics on http://<host>:<port>/metrics",
+    apply: (parsed, value) => { parsed.overrides.metricsPort = parseInteger(value, "--metrics-port"); },
+  },
+  metricsFile: {
+    flags: ["--metrics-file"],
+    value: "<path>",
+    help: () => "Write Prometheus metrics to a file for the node exporter textfile collector",
+    apply: (parsed, value) => { parsed.overrides.metricsFile = value; },
+  },
+  keyProvider: {
+    flags: ["--key-provider"],
+    value: "<name>",
+    help: () => `Where the DLP key comes from: env, keystore or socket (default: ${CONFIG.keyProvider})`,
+    apply: (parsed, value) => { parsed.overrides.keyProvider = value; },
+  },
+  keystore: {
+    flags: ["--keystore"],
+    value: "<path>",
+    help: () => "Encrypted JSON keystore holding the DLP key (KEY_PROVIDER=keystore)",
+    apply: (parsed, value) => { parsed.overrides.keystoreFile = value; },
+  },
+  passwordFile: {
+    flags: ["--password-file"],
+    value: "<path>",
+    help: () => "File with the keystore password; prompted for when not set",
+    apply: (parsed, value) => { parsed.overrides.keystorePasswordFile = value; },
+  },
+  keySocket: {
+    flags: ["--key-socket"],
+    value: "<path>",
+    help: () => `Unix socket of the decryptor process (default: ${CONFIG.keySocket})`,
+    apply: (parsed, value) => { parsed.overrides.keySocket = value; },
+  },
+  profile: {
+    flags: ["--profile"],
+    value: "<name>",
+    help: () => "Network profile from the config file (default: PROFILE, then the file's defaultProfile)",
+    apply: (parsed, value) => { parsed.profile.profile = value; },
+  },
+  config: {
+    flags: ["--config"],
+    value: "<path>",
+    help: () => "JSON or YAML config file with the profiles\n(default: CONFIG_FILE, then refinement.config.yaml/.yml/.json)",
+    apply: (parsed, value) => { parsed.profile.configFile = value; },
+  },
+  printConfig: {
+    flags: ["--print-config"],
+    help: () => "Print the resolved configuration with credentials redacted and exit",
+    apply: (parsed) => { parsed.printConfig = true; },
+  },
+  rpcUrl: {
+    flags: ["--rpc-url"],
+    value: "<urls>",
+    help: () => `RPC URL or comma-separated list of RPC URLs (default: ${CONFIG.rpcUrls.join(",")})`,
+    apply: (parsed, value) => {
+      parsed.overrides.rpcUrls = parseUrlList(value);
+      parsed.overrides.rpcUrl = parsed.overrides.rpcUrls[0];
+    },
+  },
+  chainId: {
+    flags: ["--chain-id"],
+    value: "<id>",
+    help: () => `Chain ID of the network (default: ${CONFIG.chainId || "read from the node"})`,
+    apply: (parsed, value) => { parsed.overrides.chainId = parseChainId(value); },
+  },
+  rpcQuorum: {
+    flags: ["--rpc-quorum"],
+    value: "<n>",
+    help: () => `RPC endpoints that must agree on fileRefinements reads (default: ${CONFIG.rpcQuorum})`,
+    apply: (parsed, value) => { parsed.overrides.rpcQuorum = parseInteger(value, "--rpc-quorum"); },
+  },
+  rpcRate: {
+    flags: ["--rpc-rate"],
+    value: "<n>",
+    help: () => `Max RPC requests per second, 0 = unlimited (default: ${CONFIG.rpcRateLimit})`,
+    apply: (parsed, value) => { parsed.overrides.rpcRateLimit = parseNumber(value, "--rpc-rate"); },
+  },
+  refiner: {
+    flags: ["--refiner"],
+    value: "<ids>",
+    help: () => `Refiner ID or comma-separated list of refiner IDs (default: ${CONFIG.refinerIds.join(",")})`,
+    apply: (parsed, value) => {
+      parsed.overrides.refinerIds = parseRefinerIds(value);
+      parsed.overrides.refinerId = parsed.overrides.refinerIds[0];
+    },
+  },
+  verbose: {
+    flags: ["-v", "--verbose"],
+    help: () => "Enable verbose logging",
+    apply: (parsed) => { parsed.verbose = true; },
+  },
+  logFormat: {
+    flags: ["--log-format"],
+    value: "<fmt>",
+    help: () => `Log file format: csv or json lines (default: ${CONFIG.logFormat})`,
+    apply: (parsed, value) => { parsed.overrides.logFormat = value; },
+  },
+  logSecrets: {
+    flags: ["--log-secrets"],
+    help: () => "Debug only: log decrypted keys and credentials unmasked",
+    apply: (parsed) => { parsed.overrides.logSecrets = true; },
+  },
+  retries: {
+    flags: ["--retries"],
+    value: "<n>",
+    help: () => `Attempts per refinement/RPC call (default: ${CONFIG.retryMaxAttempts})`,
+    apply: (parsed, value) => { parsed.overrides.retryMaxAttempts = parseInteger(value, "--retries"); },
+  },
+  retryDelay: {
+    flags: ["--retry-delay"],
+    value: "<ms>",
+    help: () => `Base backoff delay between attempts (default: ${CONFIG.retryBaseDelayMs})`,
+    apply: (parsed, value) => { parsed.overrides.retryBaseDelayMs = parseInteger(value, "--retry-delay"); },
+  },
+  retryMaxDelay: {
+    flags: ["--retry-max-delay"],
+    value: "<ms>",
+    help: () => `Upper bound for the backoff delay (default: ${CONFIG.retryMaxDelayMs})`,
+    apply: (parsed, value) => { parsed.overrides.retryMaxDelayMs = parseInteger(value, "--retry-max-delay"); },
+  },
+  simulate: {
+    flags: ["--simulate"],
+    help: () => "Run against a simulated chain and refinement service on localhost",
+    apply: (parsed) => { parsed.overrides.simulate = true; },
+  },
+  fixture: {
+    flags: ["--fixture"],
+    value: "<path>",
+    help: () => "Simulation fixture file, generated when missing\n(default: output/simulation/fixture.json)",
+    apply: (parsed, value) => { parsed.overrides.simulationFixture = value; },
+  },
+  simFiles: {
+    flags: ["--sim-files"],
+    value: "<n>",
+    help: () => `Files of a generated fixture (default: ${CONFIG.simulationFiles})`,
+    apply: (parsed, value) => { parsed.overrides.simulationFiles = parseInteger(value, "--sim-files"); },
+  },
+  simLatency: {
+    flags: ["--sim-latency"],
+    value: "<ms>",
+    help: () => `Mean latency of the simulated /refine (default: ${CONFIG.simulationLatencyMs})`,
+    apply: (parsed, value) => { parsed.overrides.simulationLatencyMs = parseNumber(value, "--sim-latency"); },
+  },
+  simFailureRate: {
+    flags: ["--sim-failure-rate"],
+    value: "<r>",
+    help: () => `Share of simulated /refine requests that fail, 0 to 1 (default: ${CONFIG.simulationFailureRate})`,
+    apply: (parsed, value) => { parsed.overrides.simulationFailureRate = parseNumber(value, "--sim-failure-rate"); },
+  },
+  simFailureStatus: {
+    flags: ["--sim-failure-status"],
+    value: "<codes>",
+    help: () => `Comma-separated HTTP statuses of injected failures (default: ${CONFIG.simulationFailureStatuses.join(",")})`,
+    apply: (parsed, value) => {
+      parsed.overrides.simulationFailureStatuses = value.split(",").map((status) => parseInteger(status, "--sim-failure-status"));
+    },
+  },
+  simAsync: {
+    flags: ["--sim-async"],
+    help: () => "Simulate the asynchronous job protocol of the refinement service",
+    apply: (parsed) => { parsed.overrides.simulationAsyncJobs = true; },
+  },
+  simSeed: {
+    flags: ["--sim-seed"],
+    value: "<n>",
+    help: () => "Seed of the simulated latencies and failures, to reproduce a run (default: random)",
+    apply: (parsed, value) => { parsed.overrides.simulationSeed = parseInteger(value, "--sim-seed"); },
+  },
+  help: {
+    flags: ["-h", "--help"],
+    help: () => "Show the help message (of the command, when one is given)",
+    apply: (parsed) => { parsed.showHelp = true; },
+  },
+};
+
+// Options of the offline simulation
+const SIMULATION_OPTIONS = [
+  "simulate", "fixture", "simFiles", "simLatency", "simFailureRate", "simFailureStatus", "simAsync", "simSeed",
+];
+
+// Options every command accepts
+const GLOBAL_OPTIONS = [
+  "profile", "config", "printConfig", "rpcUrl", "chainId", "rpcQuorum", "rpcRate", "refiner",
+  "verbose", "logFormat", "logSecrets", "retries", "retryDelay", "retryMaxDelay", ...SIMULATION_OPTIONS, "help",
+];
+
+// Options of the commands that decrypt EEKs
+const KEY_OPTIONS = ["keyProvider", "keystore", "passwordFile", "keySocket"];
+
+// Options of the commands that refine files
+const PROCESSING_OPTIONS = [
+  "concurrency", "refineRate", "verify", "verifyTimeout", "noState", "stateTtl", "metricsPort", "metricsFile",
+  "webhook", "slackWebhook", "failureRateThreshold", "noBreaker", "breakerCooldown", "breakerMaxOutage",
+  "shutdownTimeout", ...KEY_OPTIONS,
+];
+
+// Every command: usage line, summary, own options, positional file ID arguments
+// (`args`, absent when the command takes none), whether it needs the DLP key and
+// whether it refines files (`refines`: its fatal errors are sent to the webhooks)
+const COMMANDS = {
+  run: {
+    usage: "run [options]",
+    summary: "Refine the files at list indices --start down to --end (default)",
+    options: ["start", "end", "batch", "dryRun", "planFile", "resume", ...PROCESSING_OPTIONS],
+    needsKey: true,
+    refines: true,
+  },
+  check: {
+    usage: "check <fileId> | check --index <n> [options]",
+    summary: "Show the list index, EEK, refinement state per refiner and last result of one file",
+    options: ["index"],
+    args: { name: "fileId", min: 0, max: 1 },
+    needsKey: false,
+  },
+  decrypt: {
+    usage: "decrypt <fileId> [options]",
+    summary: "Check that the DLP key decrypts the EEK of a file, without printing the key",
+    options: KEY_OPTIONS,
+    args: { name: "fileId", min: 1, max: 1 },
+    needsKey: true,
+  },
+  refine: {
+    usage: "refine <fileId...> [options]",
+    summary: "Refine the given files, skipping refiners that already refined them",
+    options: ["batch", ...PROCESSING_OPTIONS],
+    args: { name: "fileId", min: 1, max: Infinity },
+    needsKey: true,
+    refines: true,
+  },
+  status: {
+    usage: "status [options]",
+    summary: "Show the RPC endpoints, files list, checkpoint, watch state and results.log totals",
+    options: [],
+    needsKey: false,
+  },
+  state: {
+    usage: "state [fileId...] [options]",
+    summary: "List the stored state of files: no EEK, refined with CID, or failed with error type",
+    options: ["stateStatus", "type", "since", "until", "json"],
+    args: { name: "fileId", min: 0, max: Infinity },
+    needsKey: false,
+  },
+  report: {
+    usage: "report [options]",
+    summary: "Write a Markdown, HTML or CSV report of a run from results.log and stats.log",
+    options: ["run", "since", "until", "format", "output", "indexRange"],
+    needsKey: false,
+  },
+  "retry-failed": {
+    usage: "retry-failed [options]",
+    summary: "Refine again the files whose latest results.log entry is FAILED/ERROR",
+    options: ["type", "since", "until", "batch", ...PROCESSING_OPTIONS],
+    needsKey: true,
+    refines: true,
+  },
+  discover: {
+    usage: "discover [options]",
+    summary: "Refine the files found in DataRegistry PermissionGranted events for the DLP",
+    options: ["fromBlock", "toBlock", "logsChunk", "scanOnly", "batch", ...PROCESSING_OPTIONS],
+    needsKey: true,
+    refines: true,
+  },
+  reconcile: {
+    usage: "reconcile [options]",
+    summary: "Re-check past SUCCESS rows of results.log against fileRefinements on-chain",
+    options: ["since", "until", "batch"],
+    needsKey: false,
+  },
+  watch: {
+    usage: "watch [options]",
+    summary: "Keep running and refine files as they are appended to the DLP files list",
+    options: ["fromIndex", "pollInterval", "batch", ...PROCESSING_OPTIONS],
+    needsKey: true,
+    refines: true,
+  },
+  serve: {
+    usage: "serve [options]",
+    summary: "Start the local HTTP control API for submitting and inspecting runs",
+    options: ["port", "host", ...PROCESSING_OPTIONS],
+    needsKey: true,
+    refines: true,
+  },
+};
+
+/**
+ * Finds the option a command line flag belongs to
+ * @param {string[]} names - Names of the options the command accepts
+ * @param {string} flag - Flag from the command line
+ * @returns {object|null} - Option definition
+ */
+const findOption = (names, flag) => {
+  const name = names.find((candidate) => OPTIONS[candidate].flags.includes(flag));
+  return name ? OPTIONS[name] : null;
+};
 
 /**
  * Parses command line arguments
+ * @param {string[]} argv - Arguments after the script name
  * @returns {object} - Parsed arguments
+ * @throws {Error} On unknown commands or options, missing option values and invalid arguments
  */
-const parseArgs = () => {
-  const args = process.argv.slice(2);
-  let startId = CONFIG.maxFileId;
-  let endId = 1;
-  let batchSize = CONFIG.batchSize;
-  let verbose = CONFIG.verbose;
-  let showHelp = false;
+const parseArgs = (argv = process.argv.slice(2)) => {
+  const args = [...argv];
+  // An optional leading command, `run` when omitted
+  const explicitCommand = args[0] && !args[0].startsWith("-") ? args.shift() : null;
+  const command = explicitCommand || "run";
+  const definition = COMMANDS[command];
+  if (!definition) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  const parsed = {
+    command,
+    // Whether the command was named, so --help shows its help rather than the overview
+    helpCommand: explicitCommand,
+    fileIds: [],
+    index: null,
+    // Resolved after the profile and simulation settings, which can change the default
+    startId: null,
+    endId: 1,
+    batchSize: CONFIG.batchSize,
+    verbose: CONFIG.verbose,
+    resume: false,
+    dryRun: false,
+    planFile: null,
+    fromIndex: null,
+    // Block range and mode for the discover command
+    blocks: { fromBlock: null, toBlock: null },
+    scanOnly: false,
+    showHelp: false,
+    printConfig: false,
+    // Network profile and the config file it is read from
+    profile: { profile: null, configFile: null },
+    // Filters for the retry-failed, reconcile, state and report commands
+    filters: { types: [], statuses: [], runIds: [], since: null, until: null },
+    json: false,
+    // Output of the report command
+    report: { format: "md", output: null, indexRange: null },
+    // CONFIG values overridden from the command line
+    overrides: {},
+  };
+  const optionNames = [...definition.options, ...GLOBAL_OPTIONS];
+  const positionals = [];
 
   for (let i = 0; i < args.length; i++) {
-    if (args[i] === "--start" || args[i] === "-s") {
-      startId = parseInt(args[i + 1], 10);
-      i++;
-    } else if (args[i] === "--end" || args[i] === "-e") {
-      endId = parseInt(args[i + 1], 10);
-      i++;
-    } else if (args[i] === "--batch" || args[i] === "-b") {
-      batchSize = parseInt(args[i + 1], 10);
+    if (!args[i].startsWith("-")) {
+      positionals.push(args[i]);
+      continue;
+    }
+
+    const option = findOption(optionNames, args[i]);
+    if (!option) {
+      const other = Object.keys(COMMANDS).find((name) =>
+        name !== command && findOption(COMMANDS[name].options, args[i])
+      );
+      throw new Error(
+        `Unknown option ${args[i]} for command ${command}${other ? ` (it belongs to ${other})` : ""}`
+      );
+    }
+
+    if (option.value) {
+      // A missing value would otherwise swallow the next option
+      if (args[i + 1] === undefined || args[i + 1].startsWith("--")) {
+        throw new Error(`Option ${args[i]} needs a value ${option.value}`);
+      }
+      option.apply(parsed, args[i + 1]);
       i++;
-    } else if (args[i] === "--verbose" || args[i] === "-v") {
-      verbose = true;
-    } else if (args[i] === "--help" || args[i] === "-h") {
-      showHelp = true;
+    } else {
+      option.apply(parsed);
     }
   }
 
-  return { startId, endId, batchSize, verbose, showHelp };
+  // Help is shown whatever else is wrong with the arguments
+  if (parsed.showHelp) return parsed;
+
+  const { args: argSpec } = definition;
+  if (!argSpec && positionals.length > 0) {
+    throw new Error(`Command ${command} takes no arguments, got: ${positionals.join(" ")}`);
+  }
+  if (argSpec) {
+    if (positionals.length > argSpec.max) {
+      throw new Error(`Command ${command} takes at most ${argSpec.max} ${argSpec.name}, got ${positionals.length}`);
+    }
+    parsed.fileIds = positionals.map((value) => parseInteger(value, argSpec.name));
+    if (parsed.fileIds.length < argSpec.min) {
+      throw new Error(`Command ${command} needs ${argSpec.max === 1 ? "a" : "at least one"} ${argSpec.name}`);
+    }
+  }
+  if (command === "check" && (parsed.fileIds.length === 1) === (parsed.index !== null)) {
+    throw new Error("Command check needs either a fileId or --index <n>");
+  }
+  const unknownStatus = parsed.filters.statuses.find(
+    (status) => !["no_eek", "refined", "submitted", "failed"].includes(status)
+  );
+  if (unknownStatus) {
+    throw new Error(`Unknown state for --status: ${unknownStatus} (no_eek, refined, submitted, failed)`);
+  }
+
+  // Dry runs and discovery scans never decrypt EEKs
+  parsed.requirePrivateKey = definition.needsKey && !parsed.dryRun && !parsed.scanOnly;
+  parsed.refines = Boolean(definition.refines) && !parsed.dryRun && !parsed.scanOnly;
+  return parsed;
 };
 
 /**
- * Displays help message
+ * Formats option help lines, with the description next to the flags when they fit
+ * @param {string[]} names - Names of the options
+ * @returns {string} - Help lines
  */
-const showHelpMessage = () => {
+const formatOptions = (names) =>
+  names.map((name) => {
+    const option = OPTIONS[name];
+    const label = `  ${option.flags.join(", ")}${option.value ? ` ${option.value}` : ""}`;
+    const [first, ...rest] = option.help().split("\n");
+    const lines = label.length < 21
+      ? [`${label.padEnd(21)}${first}`]
+      : [label, `${"".padEnd(21)}${first}`];
+    return [...lines, ...rest.map((line) => `${"".padEnd(21)}${line.trim()}`)].join("\n");
+  }).join("\n");
+
+/**
+ * Displays the help message: the overview, or the help of one command
+ * @param {string|null} command - Command to describe, or null for the overview
+ */
+const showHelpMessage = (command = null) => {
+  if (command && COMMANDS[command]) {
+    const definition = COMMANDS[command];
+    console.log(`
+Usage: node src/index.js ${definition.usage}
+
+${definition.summary}
+${definition.options.length > 0 ? `\nOptions:\n${formatOptions(definition.options)}\n` : ""}
+Global options:
+${formatOptions(GLOBAL_OPTIONS)}
+  `);
+    return;
+  }
+
+  const commands = Object.entries(COMMANDS)
+    .map(([name, definition]) => `  ${name.padEnd(19)}${definition.summary}`)
+    .join("\n");
   console.log(`
-Usage: node batch-refinement.js [options]
-
-Options:
-  -s, --start <id>   Start file ID (default: ${CONFIG.maxFileId})
-  -e, --end <id>     End file ID (default: 1)
-  -b, --batch <size> Batch size (default: ${CONFIG.batchSize})
-  -v, --verbose      Enable verbose logging
-  -h, --help         Show this help message
+Usage: node src/index.js [command] [options]
+
+Commands:
+${commands}
+
+Run "node src/index.js <command> --help" for the options of a command.
+
+Global options:
+${formatOptions(GLOBAL_OPTIONS)}
   `);
 };
 
 module.exports = {
   parseArgs,
   showHelpMessage
-}; 
\ No newline at end of file
+};
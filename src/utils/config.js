@@ -1,54 +1,332 @@
 /**
  * Configuration module for batch refinement
  */
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const YAML = require('yaml');
 require('dotenv').config();
 
+// Config files looked for in the working directory when neither --config nor CONFIG_FILE is set
+const DEFAULT_CONFIG_FILES = ["refinement.config.yaml", "refinement.config.yml", "refinement.config.json"];
+
+/**
+ * Parses a comma-separated list of refiner IDs
+ * @param {string} value - e.g. "7" or "7,12"
+ * @returns {number[]} - Unique refiner IDs in the given order
+ * @throws {Error} If an entry is not a non-negative integer
+ */
+const parseRefinerIds = (value) => {
+  const refinerIds = (Array.isArray(value) ? value.join(",") : String(value)).split(",").map((entry) => entry.trim()).filter(Boolean).map(Number);
+  if (refinerIds.length === 0 || refinerIds.some((refinerId) => !Number.isInteger(refinerId) || refinerId < 0)) {
+    throw new Error(`Invalid refiner ID list "${value}" (expected e.g. 7 or 7,12)`);
+  }
+  return [...new Set(refinerIds)];
+};
+
+/**
+ * Parses a comma-separated list of URLs
+ * @param {string|string[]} value - e.g. "https://a,https://b" or an array from a config file
+ * @returns {string[]} - The URLs in the given order
+ * @throws {Error} If the list is empty
+ */
+const parseUrlList = (value) => {
+  const urls = (Array.isArray(value) ? value : String(value).split(","))
+    .map((url) => String(url).trim())
+    .filter(Boolean);
+  if (urls.length === 0) {
+    throw new Error(`Invalid URL list "${value}"`);
+  }
+  return urls;
+};
+
+/**
+ * Parses a chain ID
+ * @param {string|number} value - Decimal chain ID
+ * @returns {number} - The chain ID
+ * @throws {Error} If the value is not a positive integer
+ */
+const parseChainId = (value) => {
+  const chainId = Number(value);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`Invalid chain ID "${value}"`);
+  }
+  return chainId;
+};
+
+const refinerIds = parseRefinerIds(process.env.REFINER_ID || "7");
+const rpcUrls = parseUrlList(process.env.RPC_URL || "https://rpc.moksha.vana.org");
+
 // Central configuration object
 const CONFIG = {
   // API configuration
   refinementServiceApiBaseUrl: process.env.REFINEMENT_SERVICE_API_BASE_URL ||
     "https://a7df0ae43df690b889c1201546d7058ceb04d21b-8000.dstack-prod5.phala.network",
+  // Asynchronous refinement jobs: status endpoint and timings in seconds
+  refinementJobStatusPath: process.env.REFINEMENT_JOB_STATUS_PATH || "/jobs/{jobId}",
+  refinementJobPollInterval: Number(process.env.REFINEMENT_JOB_POLL_INTERVAL || "2"),
+  refinementJobTimeout: Number(process.env.REFINEMENT_JOB_TIMEOUT || "1800"),
 
   // DLP configuration
   dlpPrivateKey: process.env.DLP_PRIVATE_KEY,
   dlpAddress: process.env.DLP_ADDRESS,
 
+  // Where the DLP key used to decrypt EEKs comes from: env (DLP_PRIVATE_KEY, development only),
+  // keystore (encrypted JSON keystore) or socket (separate decryptor process holding the key)
+  keyProvider: process.env.KEY_PROVIDER || "env",
+  keystoreFile: process.env.DLP_KEYSTORE || null,
+  // File holding the keystore password; without it the password is prompted for
+  keystorePasswordFile: process.env.DLP_KEYSTORE_PASSWORD_FILE || null,
+  keySocket: process.env.DLP_KEY_SOCKET || path.join(os.tmpdir(), "dlp-decryptor.sock"),
+
   // Batch processing configuration
   maxFileId: parseInt(process.env.MAX_FILE_ID || "1000", 10),
   batchSize: parseInt(process.env.BATCH_SIZE || "10", 10),
-  refinerId: process.env.REFINER_ID ? Number(process.env.REFINER_ID) : 7,
+  // Every file is refined for each of these refiners; refinerId is the first of them
+  // and the default wherever a single refiner is needed
+  refinerIds,
+  refinerId: refinerIds[0],
+  concurrency: parseInt(process.env.CONCURRENCY || "10", 10),
+
+  // Post-refinement verification against fileRefinements (timeouts in seconds)
+  verifyRefinement: process.env.VERIFY_REFINEMENT === "true",
+  verifyTimeout: Number(process.env.VERIFY_TIMEOUT || "60"),
+  verifyPollInterval: Number(process.env.VERIFY_POLL_INTERVAL || "5"),
+
+  // Watch mode: seconds between polls of the DLP files list
+  watchPollInterval: Number(process.env.WATCH_POLL_INTERVAL || "60"),
+
+  // Rate limits in requests per second (0 = unlimited)
+  rpcRateLimit: Number(process.env.RPC_RATE_LIMIT || "0"),
+  refineRateLimit: Number(process.env.REFINE_RATE_LIMIT || "0"),
+
+  // Retry configuration for refinement and RPC calls
+  retryMaxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS || "3", 10),
+  retryBaseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || "500", 10),
+  retryMaxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || "10000", 10),
+
+  // Circuit breakers around refinement and RPC calls: open after breakerFailureThreshold
+  // consecutive failures, or breakerFailureRatio failures among the last breakerWindow calls
+  // (0 = off), probe again after breakerCooldown seconds, and abort the run after
+  // breakerMaxOutage seconds of outage (0 = wait forever)
+  breaker: process.env.CIRCUIT_BREAKER !== "false",
+  breakerFailureThreshold: parseInt(process.env.BREAKER_FAILURE_THRESHOLD || "5", 10),
+  breakerFailureRatio: Number(process.env.BREAKER_FAILURE_RATIO || "0.5"),
+  breakerWindow: parseInt(process.env.BREAKER_WINDOW || "20", 10),
+  breakerCooldown: Number(process.env.BREAKER_COOLDOWN || "30"),
+  breakerMaxOutage: Number(process.env.BREAKER_MAX_OUTAGE || "1800"),
+
+  // Seconds a run waits for its files in flight after SIGINT/SIGTERM before it exits
+  // anyway; keep it below the grace period of the container runtime (docker stop: 10)
+  shutdownTimeout: Number(process.env.SHUTDOWN_TIMEOUT || "8"),
 
-  // Ethereum configuration
-  rpcUrl: process.env.RPC_URL || "https://rpc.moksha.vana.org",
+  // Ethereum configuration; rpcUrl is the first of rpcUrls
+  rpcUrls,
+  rpcUrl: rpcUrls[0],
+  // Chain ID of the network; when unset it is read from the node
+  chainId: process.env.CHAIN_ID ? parseChainId(process.env.CHAIN_ID) : null,
+  // RPC failover: request timeout and seconds between health checks, blocks an endpoint
+  // may lag behind the best one, and endpoints that must agree on fileRefinements reads
+  rpcTimeout: Number(process.env.RPC_TIMEOUT || "30"),
+  rpcHealthInterval: Number(process.env.RPC_HEALTH_INTERVAL || "30"),
+  rpcMaxLag: parseInt(process.env.RPC_MAX_LAG || "5", 10),
+  rpcQuorum: parseInt(process.env.RPC_QUORUM || "1", 10),
   dataRegistryAddress: process.env.DATA_REGISTRY_ADDRESS,
+  // Event discovery: first block to scan and blocks per eth_getLogs request
+  discoveryStartBlock: parseInt(process.env.DISCOVERY_START_BLOCK || "0", 10),
+  logsChunkSize: parseInt(process.env.LOGS_CHUNK_SIZE || "10000", 10),
+  // Multicall3 is deployed at the same address on most chains; set MULTICALL_ADDRESS= to disable
+  multicallAddress: process.env.MULTICALL_ADDRESS !== undefined
+    ? process.env.MULTICALL_ADDRESS
+    : "0xcA11bde05977b3631167028862bE2a173976CA11",
 
   // Logging configuration
   verbose: process.env.VERBOSE === "true",
+  // Format of console.log, results.log and stats.log: csv or json (one object per line)
+  logFormat: process.env.LOG_FORMAT || "csv",
+  // Debug only: write decrypted keys and credentials to the logs unmasked
+  logSecrets: process.env.LOG_SECRETS === "true",
   logDir: path.join(process.cwd(), "output"),
+
+  // Per-file state store: latest known outcome per file and refiner, kept across runs.
+  // Refined and no-EEK states are trusted for stateTtl seconds (0 = forever).
+  stateStore: process.env.STATE_STORE !== "false",
+  stateTtl: Number(process.env.STATE_TTL || "604800"),
+
+  // Offline simulation: fake DataRegistry/DLP chain and refinement service on localhost,
+  // answering from a fixture file (generated with simulationFiles files when missing)
+  simulate: process.env.SIMULATE === "true",
+  simulationFixture: process.env.SIMULATION_FIXTURE || null,
+  simulationFiles: parseInt(process.env.SIMULATION_FILES || "50", 10),
+  // Mean latency of the mock /refine (ms), share of requests failing with one of the statuses
+  simulationLatencyMs: Number(process.env.SIMULATION_LATENCY_MS || "200"),
+  simulationFailureRate: Number(process.env.SIMULATION_FAILURE_RATE || "0.1"),
+  simulationFailureStatuses: (process.env.SIMULATION_FAILURE_STATUSES || "500,503,429")
+    .split(",").map((status) => parseInt(status.trim(), 10)),
+  // Answer /refine with job IDs instead of results, to exercise the asynchronous protocol
+  simulationAsyncJobs: process.env.SIMULATION_ASYNC_JOBS === "true",
+  // Seed of the latency and failure draws, for reproducible runs (random when unset)
+  simulationSeed: process.env.SIMULATION_SEED ? parseInt(process.env.SIMULATION_SEED, 10) : null,
+
+  // Control API of the serve command; it has no authentication, so keep it on localhost
+  servePort: parseInt(process.env.SERVE_PORT || "8080", 10),
+  serveHost: process.env.SERVE_HOST || "127.0.0.1",
+
+  // Webhook notifications: generic JSON and Slack incoming webhook URLs (comma-separated),
+  // the events to send (start, complete, fatal, failure-rate), request timeout (seconds) and attempts
+  webhookUrls: process.env.WEBHOOK_URLS ? parseUrlList(process.env.WEBHOOK_URLS) : [],
+  slackWebhookUrls: process.env.SLACK_WEBHOOK_URLS ? parseUrlList(process.env.SLACK_WEBHOOK_URLS) : [],
+  webhookEvents: (process.env.WEBHOOK_EVENTS || "start,complete,fatal,failure-rate")
+    .split(",").map((event) => event.trim()).filter(Boolean),
+  webhookTimeout: Number(process.env.WEBHOOK_TIMEOUT || "10"),
+  webhookRetries: parseInt(process.env.WEBHOOK_RETRIES || "3", 10),
+  // Failure-rate alert: share of failures among the last failureRateWindow processed files (0 = off)
+  failureRateThreshold: Number(process.env.FAILURE_RATE_THRESHOLD || "0.2"),
+  failureRateWindow: parseInt(process.env.FAILURE_RATE_WINDOW || "50", 10),
+
+  // Prometheus metrics: HTTP endpoint (0 = off) and/or node exporter textfile
+  metricsPort: parseInt(process.env.METRICS_PORT || "0", 10),
+  metricsHost: process.env.METRICS_HOST || "0.0.0.0",
+  metricsFile: process.env.METRICS_FILE || null,
+  metricsInterval: parseFloat(process.env.METRICS_INTERVAL || "15"), // seconds between textfile writes
   maxLogSize: 10 * 1024 * 1024, // 10MB
 
   // Pinata configuration for IPFS
   pinataApiKey: process.env.PINATA_API_KEY,
   pinataApiSecret: process.env.PINATA_API_SECRET,
-  pinataApiJwt: process.env.PINATA_API_JWT
+  pinataApiJwt: process.env.PINATA_API_JWT,
+
+  // Network profile applied by applyProfile, and the config file it came from
+  profile: null,
+  configFile: null,
+};
+
+// Profile fields → CONFIG key, the environment variable that overrides it, and its parser
+const PROFILE_FIELDS = {
+  rpcUrl: { key: "rpcUrls", env: "RPC_URL", parse: parseUrlList },
+  chainId: { key: "chainId", env: "CHAIN_ID", parse: parseChainId },
+  dataRegistryAddress: { key: "dataRegistryAddress", env: "DATA_REGISTRY_ADDRESS", parse: String },
+  dlpAddress: { key: "dlpAddress", env: "DLP_ADDRESS", parse: String },
+  refinementServiceUrl: { key: "refinementServiceApiBaseUrl", env: "REFINEMENT_SERVICE_API_BASE_URL", parse: String },
+  refinerId: { key: "refinerIds", env: "REFINER_ID", parse: parseRefinerIds },
+};
+
+/**
+ * Reads a JSON or YAML config file
+ * @param {string} filePath - Path of the file; .yaml/.yml files are parsed as YAML, anything else as JSON
+ * @returns {object} - Parsed content
+ * @throws {Error} If the file cannot be read or parsed
+ */
+const loadConfigFile = (filePath) => {
+  try {
+    const content = fs.readFileSync(filePath, "utf8");
+    const parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+    return parsed || {};
+  } catch (error) {
+    throw new Error(`Unable to read config file ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * Applies a named network profile from the config file to CONFIG.
+ * Environment variables take precedence over the profile; command line flags
+ * are applied afterwards and take precedence over both.
+ * @param {object} options - Profile selection
+ * @param {string|null} options.profile - Profile name (default: PROFILE, then the file's defaultProfile)
+ * @param {string|null} options.configFile - Config file path (default: CONFIG_FILE, then refinement.config.* in the working directory)
+ * @throws {Error} If the file or the profile cannot be found, or the profile is invalid
+ */
+const applyProfile = ({ profile = null, configFile = null } = {}) => {
+  const filePath = configFile || process.env.CONFIG_FILE ||
+    DEFAULT_CONFIG_FILES.find((file) => fs.existsSync(path.join(process.cwd(), file))) || null;
+  const requested = profile || process.env.PROFILE || null;
+
+  if (!filePath) {
+    if (requested) {
+      throw new Error(`Profile "${requested}" requested but no config file found (use --config or CONFIG_FILE)`);
+    }
+    return;
+  }
+
+  const file = loadConfigFile(filePath);
+  const profiles = file.profiles || {};
+  const name = requested || file.defaultProfile;
+  if (!name) return;
+
+  const values = profiles[name];
+  if (!values || typeof values !== "object") {
+    throw new Error(
+      `Profile "${name}" not found in ${filePath} (available: ${Object.keys(profiles).join(", ") || "none"})`
+    );
+  }
+
+  for (const [field, value] of Object.entries(values)) {
+    const spec = PROFILE_FIELDS[field];
+    if (!spec) {
+      throw new Error(
+        `Unknown field "${field}" in profile "${name}" of ${filePath} (expected ${Object.keys(PROFILE_FIELDS).join(", ")})`
+      );
+    }
+    if (process.env[spec.env]) continue;
+    CONFIG[spec.key] = spec.parse(value);
+  }
+
+  CONFIG.rpcUrl = CONFIG.rpcUrls[0];
+  CONFIG.refinerId = CONFIG.refinerIds[0];
+  CONFIG.profile = name;
+  CONFIG.configFile = path.resolve(filePath);
+};
+
+/**
+ * Validates the settings of the configured key provider
+ * @throws {Error} If the provider is unknown or its settings are missing
+ */
+const validateKeyConfig = () => {
+  if (!["env", "keystore", "socket"].includes(CONFIG.keyProvider)) {
+    throw new Error(`Unknown key provider "${CONFIG.keyProvider}" (expected env, keystore or socket)`);
+  }
+
+  if (CONFIG.keyProvider === "env" && !CONFIG.dlpPrivateKey) {
+    throw new Error("DLP_PRIVATE_KEY environment variable must be set (or use KEY_PROVIDER=keystore or socket)");
+  }
+
+  if (CONFIG.keyProvider === "keystore" && !CONFIG.keystoreFile) {
+    throw new Error("DLP_KEYSTORE must be set to the keystore file when KEY_PROVIDER=keystore");
+  }
 };
 
 /**
  * Validates required environment variables
+ * @param {object} options - Validation options
+ * @param {boolean} options.requirePrivateKey - Whether the command decrypts EEKs
  * @throws {Error} If required environment variables are missing
  */
-const validateConfig = () => {
-  if (!CONFIG.dlpPrivateKey || !CONFIG.dlpAddress) {
-    throw new Error("DLP_PRIVATE_KEY and DLP_ADDRESS environment variables must be set");
+const validateConfig = ({ requirePrivateKey = true } = {}) => {
+  if (!CONFIG.dlpAddress) {
+    throw new Error("DLP_ADDRESS environment variable (or profile dlpAddress) must be set");
+  }
+
+  if (requirePrivateKey) {
+    validateKeyConfig();
   }
 
   if (!CONFIG.dataRegistryAddress) {
-    throw new Error("DATA_REGISTRY_ADDRESS environment variable must be set");
+    throw new Error("DATA_REGISTRY_ADDRESS environment variable (or profile dataRegistryAddress) must be set");
+  }
+
+  if (CONFIG.rpcQuorum > CONFIG.rpcUrls.length) {
+    throw new Error(
+      `RPC_QUORUM (${CONFIG.rpcQuorum}) cannot be larger than the number of RPC URLs (${CONFIG.rpcUrls.length})`
+    );
   }
 };
 
 module.exports = {
   CONFIG,
+  parseRefinerIds,
+  parseUrlList,
+  parseChainId,
+  applyProfile,
+  validateKeyConfig,
   validateConfig
 };
\ No newline at end of file
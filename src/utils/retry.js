@@ -0,0 +1,98 @@
+/**
+ * Retry module for batch refinement
+ */
+const { CONFIG } = require('./config');
+
+// Network-level error codes (Node.js and ethers) worth another attempt
+const TRANSIENT_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ERR_NETWORK",
+  "TIMEOUT",
+  "NETWORK_ERROR",
+  "SERVER_ERROR",
+]);
+
+const TRANSIENT_MESSAGE_PATTERN = /timeout|timed out|socket hang up|rate limit|too many requests/i;
+
+/**
+ * Classifies an error as transient (worth retrying) or permanent
+ * @param {Error} error - Error thrown by an API or RPC call
+ * @returns {string} - "transient" or "permanent"
+ */
+const classifyError = (error) => {
+  if (!error) return "permanent";
+  if (error.errorClass) return error.errorClass;
+
+  // HTTP status from axios responses or ethers fetch errors
+  const status = error.response?.status ?? error.status;
+  if (status) {
+    return status === 408 || status === 429 || status >= 500 ? "transient" : "permanent";
+  }
+
+  // ethers v5 reports an eth_call that got no response as a CALL_EXCEPTION
+  // wrapping the network error; a real revert wraps the node's error instead
+  if (error.code === "CALL_EXCEPTION" && error.error) return classifyError(error.error);
+
+  if (TRANSIENT_ERROR_CODES.has(error.code)) return "transient";
+  if (TRANSIENT_MESSAGE_PATTERN.test(error.message || "")) return "transient";
+
+  return "permanent";
+};
+
+/**
+ * Computes the delay before the next attempt: capped exponential backoff with jitter
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+const getBackoffDelay = (attempt) => {
+  const delay = Math.min(
+    CONFIG.retryMaxDelayMs,
+    CONFIG.retryBaseDelayMs * 2 ** (attempt - 1)
+  );
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs an async operation, retrying transient failures with backoff.
+ * The final error carries `attempts` and `errorClass` properties.
+ * @param {function(number): Promise<any>} fn - Operation to run, receives the attempt number
+ * @param {object} options - Retry options
+ * @param {string} options.label - Description of the operation used in log messages
+ * @param {number} options.maxAttempts - Overrides CONFIG.retryMaxAttempts
+ * @returns {Promise<any>} - Result of the operation
+ */
+const withRetry = async (fn, { label = "operation", maxAttempts = CONFIG.retryMaxAttempts } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const errorClass = classifyError(error);
+
+      if (errorClass === "permanent" || attempt >= maxAttempts) {
+        error.attempts = attempt;
+        error.errorClass = errorClass;
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt);
+      console.log(
+        `${label} failed (attempt ${attempt}/${maxAttempts}, ${errorClass}): ${error.message} - retrying in ${delay}ms`
+      );
+      await sleep(delay);
+    }
+  }
+};
+
+module.exports = {
+  classifyError,
+  getBackoffDelay,
+  sleep,
+  withRetry
+};
@@ -0,0 +1,124 @@
+/**
+ * Scheduling module for batch refinement
+ */
+const { sleep } = require('./retry');
+
+/**
+ * Creates a worker pool that keeps at most `concurrency` tasks running
+ * @param {number} concurrency - Maximum number of tasks in flight
+ * @returns {object} - Pool with run(), waitForCapacity() and onIdle()
+ */
+const createWorkerPool = (concurrency) => {
+  const limit = Math.max(1, concurrency || 1);
+  const queue = [];
+  let active = 0;
+  // Callbacks waiting for the queue to drain below the limit or the pool to go idle
+  let waiters = [];
+
+  const notify = () => {
+    waiters = waiters.filter((waiter) => !waiter());
+  };
+
+  const next = () => {
+    while (active < limit && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+    notify();
+  };
+
+  return {
+    /**
+     * Queues a task and resolves with its result once it ran
+     * @param {function(): Promise<any>} task - Task to run
+     * @returns {Promise<any>} - Result of the task
+     */
+    run: (task) =>
+      new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      }),
+
+    /**
+     * Resolves once fewer tasks are queued than the pool can run at once,
+     * so callers can feed the pool without building an unbounded backlog
+     * @returns {Promise<void>}
+     */
+    waitForCapacity: () =>
+      new Promise((resolve) => {
+        waiters.push(() => queue.length < limit && (resolve(), true));
+        notify();
+      }),
+
+    /**
+     * Resolves once no task is running or queued
+     * @returns {Promise<void>}
+     */
+    onIdle: () =>
+      new Promise((resolve) => {
+        waiters.push(() => active === 0 && queue.length === 0 && (resolve(), true));
+        notify();
+      }),
+
+    get active() {
+      return active;
+    },
+
+    get queued() {
+      return queue.length;
+    },
+  };
+};
+
+/**
+ * Creates a token-bucket rate limiter
+ * @param {number} ratePerSecond - Tokens added per second, 0 disables limiting
+ * @param {number} burst - Bucket capacity (defaults to one second of tokens)
+ * @returns {object} - Limiter with acquire()
+ */
+const createRateLimiter = (ratePerSecond, burst = Math.max(1, ratePerSecond)) => {
+  if (!ratePerSecond || ratePerSecond <= 0) {
+    return { acquire: async () => {} };
+  }
+
+  let tokens = burst;
+  let lastRefill = Date.now();
+  // Acquisitions are chained so tokens are handed out in request order
+  let chain = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+    lastRefill = now;
+  };
+
+  return {
+    /**
+     * Waits until a token is available and takes it
+     * @returns {Promise<void>}
+     */
+    acquire: () => {
+      chain = chain.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+          refill();
+        }
+        tokens -= 1;
+      });
+      return chain;
+    },
+  };
+};
+
+module.exports = {
+  createWorkerPool,
+  createRateLimiter
+};
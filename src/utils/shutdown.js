@@ -0,0 +1,110 @@
+/**
+ * Shutdown module for batch refinement
+ *
+ * Turns SIGINT and SIGTERM into a graceful shutdown: runs stop starting files and
+ * wait for the files in flight. When they are still busy after
+ * CONFIG.shutdownTimeout seconds, or on a second signal, the registered hooks
+ * record what they can and the process exits. The exit code is 128 plus the
+ * signal number (130 for SIGINT, 143 for SIGTERM), as a shell reports it.
+ */
+const { CONFIG } = require('./config');
+
+const SIGNAL_NUMBERS = { SIGINT: 2, SIGTERM: 15 };
+
+const controller = new AbortController();
+// Name of the first signal received, null until then
+let received = null;
+let forcing = false;
+// Callbacks run before a forced exit, e.g. to write the ABORTED row of a run
+const hooks = new Set();
+
+/**
+ * Returns the signal that aborts once SIGINT or SIGTERM was received
+ * @returns {AbortSignal} - Shutdown signal
+ */
+const getShutdownSignal = () => controller.signal;
+
+/**
+ * Returns the exit code of the shutdown
+ * @returns {number|null} - 128 + the signal number, or null if no signal was received
+ */
+const getShutdownExitCode = () => (received ? 128 + SIGNAL_NUMBERS[received] : null);
+
+/**
+ * Creates the error a run stopped by the shutdown ends with
+ * @returns {Error} - Error with `shutdown` set
+ */
+const createShutdownError = () =>
+  Object.assign(new Error(`Stopped by ${received}`), { shutdown: true, errorClass: "permanent" });
+
+/**
+ * Registers a callback to run before a forced exit
+ * @param {function(): Promise<void>} hook - Callback
+ * @returns {function(): void} - Unregisters the callback
+ */
+const onForcedShutdown = (hook) => {
+  hooks.add(hook);
+  return () => hooks.delete(hook);
+};
+
+/**
+ * Runs the hooks, flushes and exits without waiting for the files in flight
+ * @param {string} reason - Message explaining the exit
+ * @param {function(): Promise<void>} flush - Called after the hooks
+ */
+const forceExit = async (reason, flush) => {
+  if (forcing) process.exit(getShutdownExitCode());
+  forcing = true;
+
+  console.error(reason);
+  for (const hook of hooks) {
+    try {
+      await hook();
+    } catch (error) {
+      console.error(`Shutdown hook failed: ${error.message}`);
+    }
+  }
+  await flush();
+  process.exit(getShutdownExitCode());
+};
+
+/**
+ * Handles SIGINT and SIGTERM
+ * @param {object} options - Shutdown options
+ * @param {boolean} options.graceful - Wait for the files in flight; commands that refine
+ *        nothing exit at once
+ * @param {function(): Promise<void>} options.flush - Writes pending log lines before a forced exit
+ */
+const installShutdownHandlers = ({ graceful = true, flush = async () => {} } = {}) => {
+  for (const name of Object.keys(SIGNAL_NUMBERS)) {
+    process.on(name, () => {
+      if (received) {
+        forceExit(`Received ${name} again - exiting without waiting for the files in flight`, flush);
+        return;
+      }
+      received = name;
+      if (!graceful) {
+        forceExit(`Received ${name} - exiting`, flush);
+        return;
+      }
+
+      console.log(
+        `Received ${name} - starting no new files and waiting up to ${CONFIG.shutdownTimeout}s for the files in flight`
+      );
+      controller.abort();
+      // Runs that finish in time exit on their own
+      setTimeout(
+        () => forceExit(`Files still in flight after ${CONFIG.shutdownTimeout}s - exiting`, flush),
+        CONFIG.shutdownTimeout * 1000
+      ).unref();
+    });
+  }
+};
+
+module.exports = {
+  getShutdownSignal,
+  getShutdownExitCode,
+  createShutdownError,
+  onForcedShutdown,
+  installShutdownHandlers
+};
@@ -0,0 +1,201 @@
+/**
+ * Per-file state store module for batch refinement
+ *
+ * Keeps the latest known state of every (fileId, refinerId) across runs in an
+ * append-only JSON-lines file, indexed in memory by "fileId:refinerId":
+ *   { fileId, refinerId, status, refinement, errorType, error, checkedAt }
+ * `status` is "no_eek", "refined" (seen on-chain; refinement holds the CID/URL when
+ * known), "submitted" (accepted by the refinement service but not yet seen on-chain)
+ * or "failed" (errorType holds the error type, error the message).
+ * Only "no_eek" and "refined" let a run skip the lookup of a file.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { CONFIG } = require('./config');
+
+// States a run trusts without looking the file up again, until they expire
+const SETTLED_STATUSES = ["no_eek", "refined"];
+
+// Superseded lines tolerated before the file is compacted on load
+const COMPACT_THRESHOLD = 1000;
+
+// "fileId:refinerId" → latest state, null until loaded
+let states = null;
+let loading = null;
+// Pending appends are chained so lines are never interleaved
+let lastWrite = Promise.resolve();
+
+/**
+ * Returns the path of the state store file
+ * @returns {string} - Absolute path of the state store file
+ */
+const getStatePath = () => path.join(CONFIG.logDir, "file-state.jsonl");
+
+/**
+ * Reads the state store file into memory, compacting it when most of its lines
+ * are superseded. Later calls return the states already loaded.
+ * @returns {Promise<Map<string, object>>} - "fileId:refinerId" → latest state
+ */
+const loadStateStore = async () => {
+  if (states) return states;
+  if (loading) return loading;
+
+  loading = (async () => {
+    const loaded = new Map();
+    let content = "";
+    try {
+      content = await fs.readFile(getStatePath(), "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(`Unable to read state store ${getStatePath()}: ${error.message}`);
+      }
+    }
+
+    let lines = 0;
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      lines++;
+      try {
+        const state = JSON.parse(line);
+        loaded.set(`${state.fileId}:${state.refinerId}`, state);
+      } catch (error) {
+        // A line cut short by a crash; the next compaction drops it
+      }
+    }
+
+    if (lines - loaded.size > Math.max(COMPACT_THRESHOLD, loaded.size)) {
+      const tmpPath = `${getStatePath()}.tmp`;
+      await fs.writeFile(tmpPath, [...loaded.values()].map((state) => `${JSON.stringify(state)}\n`).join(""));
+      await fs.rename(tmpPath, getStatePath());
+      console.log(`Compacted state store ${getStatePath()}: ${lines} lines → ${loaded.size}`);
+    }
+
+    states = loaded;
+    return states;
+  })();
+
+  try {
+    return await loading;
+  } finally {
+    loading = null;
+  }
+};
+
+/**
+ * Records the latest state of a file for a refiner. A "refined" state without a
+ * refinement value keeps the value recorded earlier.
+ * @param {number} fileId - ID of the file
+ * @param {number} refinerId - ID of the refiner
+ * @param {string} status - "no_eek", "refined", "submitted" or "failed"
+ * @param {object} details - Optional details
+ * @param {string|null} details.refinement - CID/URL of the refinement
+ * @param {string|null} details.errorType - Error type of a failure (api-error, decrypt-error,
+ *        verify-error, error)
+ * @param {string|null} details.error - Message of a failure
+ * @returns {Promise<void>} - Resolves once the state is appended to the file
+ */
+const recordFileState = (fileId, refinerId, status, { refinement = null, errorType = null, error = null } = {}) => {
+  if (!CONFIG.stateStore || !states) return Promise.resolve();
+
+  const key = `${fileId}:${refinerId}`;
+  const previous = states.get(key);
+  if (status === "refined" && !refinement && previous && previous.status === "refined") {
+    refinement = previous.refinement;
+  }
+
+  const state = {
+    fileId: Number(fileId),
+    refinerId: Number(refinerId),
+    status,
+    refinement,
+    errorType,
+    error,
+    checkedAt: new Date().toISOString(),
+  };
+  states.set(key, state);
+
+  const line = `${JSON.stringify(state)}\n`;
+  const write = async () => {
+    await fs.mkdir(CONFIG.logDir, { recursive: true });
+    await fs.appendFile(getStatePath(), line);
+  };
+  lastWrite = lastWrite.then(write, write).catch((writeError) => {
+    console.error(`Unable to write state store ${getStatePath()}: ${writeError.message}`);
+  });
+  return lastWrite;
+};
+
+/**
+ * Checks whether a stored state can still be trusted
+ * @param {object|undefined} state - Stored state
+ * @returns {boolean} - True if the state is settled and younger than CONFIG.stateTtl
+ */
+const isSettled = (state) =>
+  Boolean(state) &&
+  SETTLED_STATUSES.includes(state.status) &&
+  (CONFIG.stateTtl <= 0 || Date.now() - Date.parse(state.checkedAt) < CONFIG.stateTtl * 1000);
+
+/**
+ * Tells whether a file needs no lookup because every refiner has the same settled state
+ * @param {number} fileId - ID of the file
+ * @param {number[]} refinerIds - IDs of the refiners
+ * @returns {string|null} - "no_eek" or "refined", or null if the file must be looked up
+ */
+const getSettledState = (fileId, refinerIds = CONFIG.refinerIds) => {
+  if (!CONFIG.stateStore || !states) return null;
+
+  const found = refinerIds.map((refinerId) => states.get(`${fileId}:${refinerId}`));
+  if (!found.every(isSettled)) return null;
+  return found.every((state) => state.status === found[0].status) ? found[0].status : null;
+};
+
+/**
+ * Lists stored states matching the filters, most recently checked first
+ * @param {object} filters - Optional filters
+ * @param {number[]} filters.fileIds - Only these files
+ * @param {number[]} filters.refinerIds - Only these refiners
+ * @param {string[]} filters.statuses - Only these statuses (no_eek, refined, submitted, failed)
+ * @param {string[]} filters.types - Only failures of these error types
+ * @param {Date|null} filters.since - Only states checked at or after this time
+ * @param {Date|null} filters.until - Only states checked at or before this time
+ * @returns {Promise<object[]>} - Matching states
+ */
+const queryFileStates = async ({
+  fileIds = [],
+  refinerIds = [],
+  statuses = [],
+  types = [],
+  since = null,
+  until = null,
+} = {}) => {
+  const loaded = await loadStateStore();
+
+  return [...loaded.values()]
+    .filter((state) => {
+      if (fileIds.length > 0 && !fileIds.includes(state.fileId)) return false;
+      if (refinerIds.length > 0 && !refinerIds.includes(state.refinerId)) return false;
+      if (statuses.length > 0 && !statuses.includes(state.status)) return false;
+      if (types.length > 0 && !types.includes(state.errorType)) return false;
+
+      const time = new Date(state.checkedAt);
+      if (since && time < since) return false;
+      if (until && time > until) return false;
+      return true;
+    })
+    .sort((a, b) => b.checkedAt.localeCompare(a.checkedAt) || b.fileId - a.fileId);
+};
+
+/**
+ * Waits for the state store writes in flight, before the process exits
+ * @returns {Promise<void>} - Resolves once the last queued write settled
+ */
+const flushStateStore = () => lastWrite;
+
+module.exports = {
+  getStatePath,
+  loadStateStore,
+  recordFileState,
+  getSettledState,
+  queryFileStates,
+  flushStateStore
+};
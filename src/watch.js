@@ -0,0 +1,219 @@
+/**
+ * Watch mode module for batch refinement
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { CONFIG } = require('./utils/config');
+const { getShutdownSignal } = require('./utils/shutdown');
+const { logHeartbeat, initializeStatsLog } = require('./logs/logger');
+const { getFilesListCount } = require('./blockchain/contract');
+const { runBatchProcessingByIndex } = require('./processor');
+
+/**
+ * Returns the path of the watch state file
+ * @returns {string} - Absolute path of the watch state file
+ */
+const getWatchStatePath = () => path.join(CONFIG.logDir, "watch-state.json");
+
+/**
+ * Loads the persisted high-water mark
+ * @returns {object|null} - `{ nextIndex, dlpAddress, refinerIds, rescan }` or null if none exists
+ */
+const loadWatchState = async () => {
+  try {
+    return JSON.parse(await fs.readFile(getWatchStatePath(), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw new Error(`Unable to read watch state ${getWatchStatePath()}: ${error.message}`);
+  }
+};
+
+/**
+ * Persists the high-water mark atomically
+ * @param {number} nextIndex - First list index that has not been processed yet
+ * @param {object|null} rescan - Rescan still to do for added refiners, `{ refinerIds, index }`
+ *        with the highest index not rescanned yet
+ */
+const saveWatchState = async (nextIndex, rescan = null) => {
+  const statePath = getWatchStatePath();
+  const tmpPath = `${statePath}.tmp`;
+
+  await fs.mkdir(CONFIG.logDir, { recursive: true });
+  await fs.writeFile(tmpPath, JSON.stringify({
+    nextIndex,
+    dlpAddress: CONFIG.dlpAddress,
+    refinerIds: CONFIG.refinerIds,
+    rescan,
+    updatedAt: new Date().toISOString(),
+  }));
+  await fs.rename(tmpPath, statePath);
+};
+
+/**
+ * Works out the first index to watch from, and the rescan owed to refiners added
+ * since the files below it were processed
+ * @param {number|null} fromIndex - Explicit starting index from the command line
+ * @returns {object} - `{ nextIndex, rescan }`, rescan is null when there is none
+ */
+const resolveWatchStart = async (fromIndex) => {
+  if (fromIndex !== null && fromIndex !== undefined) {
+    console.log(`Watching from index ${fromIndex} (--from-index)`);
+    return { nextIndex: fromIndex, rescan: null };
+  }
+
+  const state = await loadWatchState();
+  if (state && state.dlpAddress === CONFIG.dlpAddress) {
+    console.log(`Watching from persisted high-water mark ${state.nextIndex}`);
+
+    // A rescan interrupted by a restart continues, for the refiners still configured
+    let rescan = state.rescan || null;
+    if (rescan) {
+      const refinerIds = rescan.refinerIds.filter((refinerId) => CONFIG.refinerIds.includes(refinerId));
+      rescan = refinerIds.length > 0 ? { ...rescan, refinerIds } : null;
+    }
+
+    // Files below the high-water mark were never processed for refiners added since
+    const savedRefinerIds = state.refinerIds || CONFIG.refinerIds;
+    const added = CONFIG.refinerIds.filter((refinerId) => !savedRefinerIds.includes(refinerId));
+    if (added.length > 0 && state.nextIndex > 0) {
+      console.log(
+        `Watch state was tracked for refiners ${savedRefinerIds.join(", ")}, not ${added.join(", ")} - ` +
+        `rescanning indices ${state.nextIndex - 1}→0 for them (use --from-index to skip the rescan)`
+      );
+      // Merged with an unfinished rescan; files the other refiners refined already are skipped
+      rescan = {
+        refinerIds: [...(rescan ? rescan.refinerIds : []), ...added],
+        index: state.nextIndex - 1,
+      };
+    }
+    return { nextIndex: state.nextIndex, rescan };
+  }
+
+  // First start without a state file: only files appended from now on
+  const count = await getFilesListCount();
+  console.log(`No watch state found - watching files appended after index ${count - 1}`);
+  return { nextIndex: count, rescan: null };
+};
+
+/**
+ * Adds the statistics of a run to the watch totals. Watch never comes back to
+ * files that failed, they are left to retry-failed.
+ * @param {object} totals - Watch totals
+ * @param {object} stats - Statistics of the run
+ */
+const addToTotals = (totals, stats) => {
+  totals.alreadyRefined += stats.alreadyRefined;
+  totals.processed      += stats.processed;
+  totals.failed         += stats.failed;
+  totals.success        += stats.success;
+  if (stats.failed > 0) {
+    console.log(`${stats.failed} files failed - run retry-failed to refine them again`);
+  }
+};
+
+/**
+ * Refines the files below the high-water mark for the refiners added since they
+ * were processed. The progress is saved in the watch state after each sub-batch,
+ * so a restarted watcher continues the rescan where it stopped.
+ * @param {number} nextIndex - Current high-water mark
+ * @param {object} rescan - `{ refinerIds, index }`
+ * @param {number} batchSize - How many indices to resolve per sub-batch
+ * @returns {Promise<object>} - Statistics of the rescan
+ */
+const rescanForAddedRefiners = async (nextIndex, rescan, batchSize) => {
+  console.log(`Rescanning indices ${rescan.index}→0 for refiner(s) ${rescan.refinerIds.join(", ")}`);
+  await initializeStatsLog(rescan.index, 0, batchSize);
+
+  const stats = await runBatchProcessingByIndex(rescan.index, 0, batchSize, {
+    refinerIds: rescan.refinerIds,
+    checkpoint: false,
+    notify: false,
+    onProgress: (lastCompletedIndex) => saveWatchState(nextIndex, { ...rescan, index: lastCompletedIndex - 1 }),
+  });
+  await saveWatchState(nextIndex);
+  console.log(`Rescan for refiner(s) ${rescan.refinerIds.join(", ")} completed`);
+  return stats;
+};
+
+/**
+ * Waits for the next poll, or until the process receives SIGINT/SIGTERM
+ * @param {AbortSignal} shutdown - Shutdown signal
+ * @returns {Promise<void>}
+ */
+const waitForNextPoll = (shutdown) =>
+  new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      shutdown.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, CONFIG.watchPollInterval * 1000);
+    shutdown.addEventListener("abort", done);
+  });
+
+/**
+ * Polls the DLP files list and refines every newly appended file.
+ * Runs until the process receives SIGINT/SIGTERM.
+ * @param {number} batchSize - How many indices to resolve per sub-batch
+ * @param {object} options - Watch options
+ * @param {number|null} options.fromIndex - First index to process, overrides the persisted state
+ */
+const watchForNewFiles = async (batchSize, { fromIndex = null } = {}) => {
+  let { nextIndex, rescan } = await resolveWatchStart(fromIndex);
+  await saveWatchState(nextIndex, rescan);
+
+  const totals = { alreadyRefined: 0, processed: 0, failed: 0, success: 0 };
+  console.log(`Polling the files list every ${CONFIG.watchPollInterval}s`);
+
+  const shutdown = getShutdownSignal();
+  while (!shutdown.aborted) {
+    let listLength = null;
+
+    try {
+      listLength = await getFilesListCount();
+
+      if (listLength > nextIndex) {
+        console.log(`Found ${listLength - nextIndex} new files at indices ${nextIndex}→${listLength - 1}`);
+        await initializeStatsLog(listLength - 1, nextIndex, batchSize);
+
+        // Polls would flood the webhooks with start and complete events
+        const stats = await runBatchProcessingByIndex(listLength - 1, nextIndex, batchSize, {
+          checkpoint: false,
+          notify: false,
+        });
+        addToTotals(totals, stats);
+
+        nextIndex = listLength;
+        await saveWatchState(nextIndex, rescan);
+      }
+
+      // New files first, so a long rescan does not hold them up on every start
+      if (rescan) {
+        addToTotals(totals, await rescanForAddedRefiners(nextIndex, rescan, batchSize));
+        rescan = null;
+      }
+    } catch (error) {
+      // The high-water mark was not moved, the next start picks up the same indices
+      if (error.shutdown) throw error;
+      // Keep the daemon alive; the same indices, and the rest of the rescan, are
+      // picked up on the next poll
+      console.error(`Watch poll failed: ${error.message}`);
+      if (rescan) {
+        const state = await loadWatchState().catch(() => null);
+        if (state && state.rescan) rescan = state.rescan;
+      }
+    }
+
+    await logHeartbeat(nextIndex, listLength === null ? "unknown" : listLength, totals);
+    await waitForNextPoll(shutdown);
+  }
+  console.log(`Watch stopped at index ${nextIndex}`);
+};
+
+module.exports = {
+  getWatchStatePath,
+  loadWatchState,
+  watchForNewFiles
+};
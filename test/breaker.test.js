@@ -0,0 +1,94 @@
+/**
+ * Tests for the circuit breaker module
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG } = require('../src/utils/config');
+const { getBreaker, onBreakerChange } = require('../src/utils/breaker');
+
+const fail = async () => {
+  throw new Error("service down");
+};
+const succeed = async () => "ok";
+
+test.beforeEach(() => {
+  Object.assign(CONFIG, {
+    breaker: true,
+    breakerFailureThreshold: 2,
+    breakerFailureRatio: 0,
+    breakerWindow: 20,
+    breakerCooldown: 0.05,
+    breakerMaxOutage: 0,
+  });
+});
+
+test("opens after the consecutive failure threshold", async () => {
+  const breaker = getBreaker("threshold");
+  await assert.rejects(breaker.run(fail));
+  assert.equal(breaker.state, "closed");
+  await assert.rejects(breaker.run(fail));
+  assert.equal(breaker.state, "open");
+});
+
+test("opens once the failure ratio of the window is reached", async () => {
+  Object.assign(CONFIG, { breakerFailureThreshold: 0, breakerFailureRatio: 0.5, breakerWindow: 4 });
+  const breaker = getBreaker("ratio");
+  await breaker.run(succeed);
+  await assert.rejects(breaker.run(fail));
+  await breaker.run(succeed);
+  assert.equal(breaker.state, "closed");
+  await assert.rejects(breaker.run(fail));
+  assert.equal(breaker.state, "open");
+});
+
+test("does not count errors the service answered itself", async () => {
+  const breaker = getBreaker("answered");
+  const notFound = () => Promise.reject(Object.assign(new Error("not found"), { status: 404 }));
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(breaker.run(notFound, { isFailure: (error) => error.status >= 500 }));
+  }
+  assert.equal(breaker.state, "closed");
+});
+
+test("holds calls while open and closes after a successful probe", async () => {
+  const breaker = getBreaker("probe");
+  const changes = [];
+  const unsubscribe = onBreakerChange((change) => {
+    if (change.breaker === "probe") changes.push(change.state);
+  });
+
+  await assert.rejects(breaker.run(fail));
+  await assert.rejects(breaker.run(fail));
+  const started = Date.now();
+  assert.equal(await breaker.run(succeed), "ok");
+  unsubscribe();
+
+  assert.ok(Date.now() - started >= 40, "the call went through before the cooldown");
+  assert.equal(breaker.state, "closed");
+  assert.deepEqual(changes, ["open", "half-open", "closed"]);
+});
+
+test("opens again when the probe fails", async () => {
+  const breaker = getBreaker("failed-probe");
+  await assert.rejects(breaker.run(fail));
+  await assert.rejects(breaker.run(fail));
+  await assert.rejects(breaker.run(fail));
+  assert.equal(breaker.state, "open");
+});
+
+test("rejects waiting calls once the outage lasts too long", async () => {
+  Object.assign(CONFIG, { breakerCooldown: 60, breakerMaxOutage: 0.05 });
+  const breaker = getBreaker("outage");
+  await assert.rejects(breaker.run(fail));
+  await assert.rejects(breaker.run(fail));
+
+  await assert.rejects(breaker.run(succeed), (error) => error.breakerOutage === true && error.breaker === "outage");
+  assert.equal(breaker.state, "closed");
+});
+
+test("passes every call through when disabled", async () => {
+  CONFIG.breaker = false;
+  const breaker = getBreaker("disabled");
+  for (let i = 0; i < 3; i++) await assert.rejects(breaker.run(fail));
+  assert.equal(breaker.state, "closed");
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for the command line parser
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs } = require('../src/utils/cli');
+
+test("runs the run command when none is given", () => {
+  const parsed = parseArgs(["--start", "100", "--end", "50", "-b", "20", "--resume"]);
+
+  assert.equal(parsed.command, "run");
+  assert.equal(parsed.helpCommand, null);
+  assert.equal(parsed.startId, 100);
+  assert.equal(parsed.endId, 50);
+  assert.equal(parsed.batchSize, 20);
+  assert.equal(parsed.resume, true);
+  assert.equal(parsed.requirePrivateKey, true);
+  assert.equal(parsed.refines, true);
+});
+
+test("collects file IDs and CONFIG overrides", () => {
+  const parsed = parseArgs(["refine", "12", "34", "--refiner", "7,8", "--concurrency", "4"]);
+
+  assert.deepEqual(parsed.fileIds, [12, 34]);
+  assert.deepEqual(parsed.overrides.refinerIds, [7, 8]);
+  assert.equal(parsed.overrides.refinerId, 7);
+  assert.equal(parsed.overrides.concurrency, 4);
+});
+
+test("parses the filters of retry-failed", () => {
+  const parsed = parseArgs(["retry-failed", "--type", "api-error, decrypt-error", "--since", "2024-05-01T00:00:00Z"]);
+
+  assert.deepEqual(parsed.filters.types, ["api-error", "decrypt-error"]);
+  assert.equal(parsed.filters.since.toISOString(), "2024-05-01T00:00:00.000Z");
+});
+
+test("dry runs need no key and refine nothing", () => {
+  const parsed = parseArgs(["--dry-run"]);
+
+  assert.equal(parsed.requirePrivateKey, false);
+  assert.equal(parsed.refines, false);
+});
+
+test("rejects unknown commands and options, naming the command an option belongs to", () => {
+  assert.throws(() => parseArgs(["unknown"]), /Unknown command: unknown/);
+  assert.throws(() => parseArgs(["--bogus"]), /Unknown option --bogus for command run$/);
+  assert.throws(() => parseArgs(["--poll-interval", "5"]), /\(it belongs to watch\)/);
+});
+
+test("rejects an option without its value", () => {
+  assert.throws(() => parseArgs(["--start", "--resume"]), /Option --start needs a value <id>/);
+  assert.throws(() => parseArgs(["--batch"]), /Option --batch needs a value/);
+});
+
+test("checks the arguments of the command", () => {
+  assert.throws(() => parseArgs(["refine"]), /Command refine needs at least one fileId/);
+  assert.throws(() => parseArgs(["decrypt", "1", "2"]), /takes at most 1 fileId/);
+  assert.throws(() => parseArgs(["status", "1"]), /Command status takes no arguments/);
+  assert.throws(() => parseArgs(["check"]), /either a fileId or --index/);
+  assert.throws(() => parseArgs(["check", "1", "--index", "2"]), /either a fileId or --index/);
+  assert.throws(() => parseArgs(["state", "--status", "done"]), /Unknown state for --status: done/);
+});
+
+test("shows the help whatever else is wrong", () => {
+  const parsed = parseArgs(["refine", "--help"]);
+
+  assert.equal(parsed.showHelp, true);
+  assert.equal(parsed.helpCommand, "refine");
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for the key provider module
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { CONFIG } = require('../src/utils/config');
+const { createKeyProvider } = require('../src/keys/providers');
+
+/**
+ * Starts a fake decryptor on a Unix socket
+ * @param {object} t - Test context, closes the server after the test
+ * @param {function(object, net.Socket): void} handle - Answers one request
+ * @returns {Promise<string>} - Path of the socket
+ */
+const startDecryptor = (t, handle) => {
+  const socketPath = path.join(os.tmpdir(), `decryptor-test-${process.pid}-${Date.now()}.sock`);
+  const server = net.createServer((socket) => {
+    socket.on("data", (chunk) => handle(JSON.parse(chunk.toString().trim()), socket));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return new Promise((resolve) => server.listen(socketPath, () => resolve(socketPath)));
+};
+
+test.beforeEach(() => {
+  Object.assign(CONFIG, {
+    keyProvider: "socket",
+    breaker: false,
+    retryMaxAttempts: 2,
+    retryBaseDelayMs: 1,
+    retryMaxDelayMs: 1,
+  });
+});
+
+test("the socket provider returns the key the decryptor answers with", async (t) => {
+  CONFIG.keySocket = await startDecryptor(t, (request, socket) => {
+    const response = request.method === "ping" ? { address: "0xabc" } : { key: `key-of-${request.encryptedEEK}` };
+    socket.end(`${JSON.stringify(response)}\n`);
+  });
+
+  const provider = await createKeyProvider();
+  assert.equal(provider.address, "0xabc");
+  assert.equal(await provider.decrypt("eek"), "key-of-eek");
+});
+
+test("a decryptor closing the connection without an answer fails as transient", { timeout: 10000 }, async (t) => {
+  let decrypts = 0;
+  CONFIG.keySocket = await startDecryptor(t, (request, socket) => {
+    if (request.method === "ping") {
+      socket.end(`${JSON.stringify({ address: null })}\n`);
+      return;
+    }
+    decrypts++;
+    socket.destroy();
+  });
+
+  const provider = await createKeyProvider();
+  await assert.rejects(
+    provider.decrypt("eek"),
+    (error) => /closed before answering/.test(error.message) && error.errorClass === "transient"
+  );
+  assert.equal(decrypts, 2);
+});
+
+test("a decryptor error is permanent", async (t) => {
+  CONFIG.keySocket = await startDecryptor(t, (request, socket) => {
+    const response = request.method === "ping" ? {} : { error: "cannot decrypt" };
+    socket.end(`${JSON.stringify(response)}\n`);
+  });
+
+  const provider = await createKeyProvider();
+  await assert.rejects(provider.decrypt("eek"), (error) => error.message === "Decryptor: cannot decrypt" && error.attempts === 1);
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for the secret redaction module
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG } = require('../src/utils/config');
+const { REDACTED, registerSecret, forgetSecret, redactText, redactValue, redactConfig } = require('../src/logs/redaction');
+
+const PRIVATE_KEY = `0x${"ab12".repeat(16)}`;
+
+test.beforeEach(() => {
+  Object.assign(CONFIG, {
+    logSecrets: false,
+    dlpPrivateKey: PRIVATE_KEY,
+    rpcUrls: ["https://rpc.example.com/v2/rpc-api-key"],
+    refinementServiceApiBaseUrl: "https://refiner.example.com/api?token=service-token",
+    webhookUrls: ["https://hooks.example.com/services/webhook-secret"],
+  });
+});
+
+test("masks the private key with and without its 0x prefix", () => {
+  assert.equal(redactText(`key ${PRIVATE_KEY}`), `key ${REDACTED}`);
+  assert.equal(redactText(`key ${PRIVATE_KEY.slice(2)}`), `key ${REDACTED}`);
+});
+
+test("masks webhook URLs, bearer tokens and sensitive JSON fields", () => {
+  const text = redactText(
+    'posting to https://hooks.example.com/services/webhook-secret with Bearer abc.def {"encryption_key":"0xfeed"}'
+  );
+  assert.ok(!text.includes("webhook-secret"));
+  assert.ok(!text.includes("abc.def"));
+  assert.ok(!text.includes("0xfeed"));
+});
+
+test("reduces RPC and refinement service URLs to scheme and host", () => {
+  const text = redactText(
+    'missing response (url="https://rpc.example.com/v2/rpc-api-key", code=SERVER_ERROR) ' +
+    "and POST https://refiner.example.com/api?token=service-token/refine failed"
+  );
+  assert.equal(
+    text,
+    'missing response (url="https://rpc.example.com", code=SERVER_ERROR) and POST https://refiner.example.com failed'
+  );
+});
+
+test("masks secrets registered at runtime until they are forgotten", () => {
+  registerSecret("runtime-secret-value");
+  assert.equal(redactText("got runtime-secret-value"), `got ${REDACTED}`);
+  forgetSecret("runtime-secret-value");
+  assert.equal(redactText("got runtime-secret-value"), "got runtime-secret-value");
+});
+
+test("masks sensitive keys of nested values", () => {
+  assert.deepEqual(
+    redactValue({ request: { env_vars: { A: "1" }, file_id: 1 }, list: [`signed by ${PRIVATE_KEY}`] }),
+    { request: { env_vars: REDACTED, file_id: 1 }, list: [`signed by ${REDACTED}`] }
+  );
+});
+
+test("leaves text alone when logSecrets is set", () => {
+  CONFIG.logSecrets = true;
+  assert.equal(redactText(`key ${PRIVATE_KEY}`), `key ${PRIVATE_KEY}`);
+});
+
+test("redactConfig masks credentials and URLs whatever logSecrets says, keeping unset values", () => {
+  CONFIG.logSecrets = true;
+  const redacted = redactConfig({
+    dlpPrivateKey: PRIVATE_KEY,
+    pinataApiJwt: "",
+    rpcUrls: CONFIG.rpcUrls,
+    refinementServiceApiBaseUrl: CONFIG.refinementServiceApiBaseUrl,
+    batchSize: 10,
+  });
+
+  assert.deepEqual(redacted, {
+    dlpPrivateKey: REDACTED,
+    pinataApiJwt: "",
+    rpcUrls: ["https://rpc.example.com"],
+    refinementServiceApiBaseUrl: "https://refiner.example.com",
+    batchSize: 10,
+  });
+});
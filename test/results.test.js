@@ -0,0 +1,131 @@
+/**
+ * Tests for the results log parsing module
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CONFIG } = require('../src/utils/config');
+const { parseResultLine, getLatestFileStatuses, collectFailedFileIds } = require('../src/logs/results');
+
+test.before(() => {
+  Object.assign(CONFIG, { refinerId: 7, refinerIds: [7] });
+});
+
+test("parses a CSV row, keeping commas in the message and reading the metadata columns", () => {
+  const row = parseResultLine(
+    '2024-05-01T10:00:00.000Z,1042,ERROR,Request failed, status 502,attempts=3,class=transient,type=api-error,refiner=7'
+  );
+
+  assert.deepEqual(row, {
+    timestamp: "2024-05-01T10:00:00.000Z",
+    fileId: 1042,
+    status: "ERROR",
+    message: "Request failed, status 502",
+    meta: { attempts: "3", class: "transient", type: "api-error", refiner: "7" },
+  });
+});
+
+test("parses a JSON-lines row into the same shape", () => {
+  const row = parseResultLine(JSON.stringify({
+    timestamp: "2024-05-01T10:00:00.000Z",
+    fileId: 1042,
+    status: "ERROR",
+    message: "Request failed",
+    attempts: 3,
+    errorClass: "transient",
+    errorType: "api-error",
+    refinerId: 7,
+    runId: "run-1",
+  }));
+
+  assert.equal(row.fileId, 1042);
+  assert.equal(row.status, "ERROR");
+  assert.deepEqual(row.meta, { attempts: "3", class: "transient", type: "api-error", refiner: "7", run: "run-1" });
+});
+
+test("skips malformed rows", () => {
+  assert.equal(parseResultLine("not a row"), null);
+  assert.equal(parseResultLine("yesterday,1042,SUCCESS,done"), null);
+  assert.equal(parseResultLine("2024-05-01T10:00:00.000Z,abc,SUCCESS,done"), null);
+  assert.equal(parseResultLine('{"fileId": 1042'), null);
+});
+
+test("keeps the latest outcome per file and refiner, with the error type of the failure", () => {
+  const rows = [
+    "2024-05-01T10:00:00.000Z,1,ERROR,timeout,type=api-error,refiner=7",
+    "2024-05-01T10:00:01.000Z,1,FAILED,Failed to refine,refiner=7",
+    "2024-05-01T10:00:02.000Z,2,ERROR,bad key,type=decrypt-error",
+    "2024-05-01T10:00:03.000Z,2,FAILED,Failed to refine,refiner=7",
+    "2024-05-01T10:00:04.000Z,3,FAILED,Failed to refine,refiner=7",
+    "2024-05-01T10:00:05.000Z,3,SUCCESS,done,refiner=7",
+    '2024-05-01T10:00:06.000Z,4,INFO,{"status":"already_refined"},refiner=8',
+  ].map(parseResultLine);
+
+  const latest = getLatestFileStatuses(rows);
+  assert.equal(latest.get("1:7").status, "FAILED");
+  assert.equal(latest.get("1:7").type, "api-error");
+  assert.equal(latest.get("2:7").type, "decrypt-error");
+  assert.equal(latest.get("3:7").status, "SUCCESS");
+  assert.equal(latest.get("4:8").status, "SUCCESS");
+});
+
+test("counts rows without a refiner for every refiner", (t) => {
+  t.after(() => { CONFIG.refinerIds = [7]; });
+  CONFIG.refinerIds = [7, 8];
+
+  const latest = getLatestFileStatuses([
+    "2024-05-01T10:00:00.000Z,1,ERROR,missing revert data,type=contract-error",
+    "2024-05-01T10:00:01.000Z,2,SUCCESS,bafy2,refiner=7",
+    "2024-05-01T10:00:02.000Z,2,ERROR,bad key,type=decrypt-error",
+    "2024-05-01T10:00:03.000Z,2,FAILED,Failed to decrypt EEK,refiner=8",
+  ].map(parseResultLine));
+
+  assert.equal(latest.get("1:7").type, "contract-error");
+  assert.equal(latest.get("1:8").type, "contract-error");
+  assert.equal(latest.get("2:8").status, "FAILED");
+  assert.equal(latest.get("2:8").type, "decrypt-error");
+  assert.equal(latest.get("2:7").status, "SUCCESS");
+});
+
+test("counts PENDING and MISMATCH verifications as verify-error failures", async (t) => {
+  const logDir = await fs.mkdtemp(path.join(os.tmpdir(), "results-test-"));
+  t.after(() => fs.rm(logDir, { recursive: true, force: true }));
+  CONFIG.logDir = logDir;
+
+  const rows = [
+    "2024-05-01T10:00:00.000Z,1,SUCCESS,bafy1,refiner=7",
+    "2024-05-01T10:00:01.000Z,1,MISMATCH,On-chain refinement bafyX does not match bafy1,refiner=7",
+    "2024-05-01T10:00:00.000Z,2,SUCCESS,bafy2,refiner=7",
+    "2024-05-01T10:00:01.000Z,2,PENDING,Refinement bafy2 not recorded on-chain yet,refiner=7",
+    "2024-05-01T10:00:00.000Z,3,SUCCESS,bafy3,refiner=7",
+    "2024-05-01T10:00:01.000Z,3,VERIFIED,On-chain refinement bafy3 matches bafy3,refiner=7",
+  ];
+  const latest = getLatestFileStatuses(rows.map(parseResultLine));
+  assert.deepEqual([1, 2, 3].map((fileId) => latest.get(`${fileId}:7`).status), ["FAILED", "FAILED", "SUCCESS"]);
+  assert.equal(latest.get("1:7").type, "verify-error");
+
+  await fs.writeFile(path.join(logDir, "results.log"), rows.join("\n"));
+  assert.deepEqual(await collectFailedFileIds({ types: ["verify-error"] }), [2, 1]);
+});
+
+test("collects the failed files of results.log and its rotated backups", async (t) => {
+  const logDir = await fs.mkdtemp(path.join(os.tmpdir(), "results-test-"));
+  t.after(() => fs.rm(logDir, { recursive: true, force: true }));
+  CONFIG.logDir = logDir;
+
+  await fs.writeFile(path.join(logDir, "results.log.2024-05-01T00-00-00.000Z.bak"), [
+    "2024-05-01T10:00:00.000Z,1,FAILED,Failed to refine,type=api-error,refiner=7",
+    "2024-05-01T10:00:00.000Z,2,FAILED,Failed to refine,type=api-error,refiner=7",
+  ].join("\n"));
+  await fs.writeFile(path.join(logDir, "results.log"), [
+    "2024-05-02T10:00:00.000Z,1,SUCCESS,done,refiner=7",
+    "2024-05-02T10:00:00.000Z,3,ERROR,bad key,type=decrypt-error",
+    "2024-05-02T10:00:00.000Z,3,FAILED,Failed to refine,refiner=7",
+  ].join("\n"));
+
+  assert.deepEqual(await collectFailedFileIds(), [3, 2]);
+  assert.deepEqual(await collectFailedFileIds({ types: ["decrypt-error"] }), [3]);
+  assert.deepEqual(await collectFailedFileIds({ until: new Date("2024-05-01T12:00:00.000Z") }), [2]);
+});
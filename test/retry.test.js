@@ -0,0 +1,92 @@
+/**
+ * Tests for the retry module
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG } = require('../src/utils/config');
+const { classifyError, getBackoffDelay, withRetry } = require('../src/utils/retry');
+
+test.before(() => {
+  Object.assign(CONFIG, { retryMaxAttempts: 3, retryBaseDelayMs: 100, retryMaxDelayMs: 1000 });
+});
+
+test("classifyError treats 408, 429 and 5xx responses as transient", () => {
+  assert.equal(classifyError({ response: { status: 429 } }), "transient");
+  assert.equal(classifyError({ response: { status: 408 } }), "transient");
+  assert.equal(classifyError({ status: 503 }), "transient");
+  assert.equal(classifyError({ response: { status: 404 } }), "permanent");
+});
+
+test("classifyError treats network errors as transient and other errors as permanent", () => {
+  assert.equal(classifyError(Object.assign(new Error("read"), { code: "ECONNRESET" })), "transient");
+  assert.equal(classifyError(new Error("socket hang up")), "transient");
+  assert.equal(classifyError(new Error("invalid file ID")), "permanent");
+  assert.equal(classifyError(null), "permanent");
+});
+
+test("classifyError looks inside a CALL_EXCEPTION for the network error", () => {
+  const timeout = Object.assign(new Error("call exception"), {
+    code: "CALL_EXCEPTION",
+    error: { code: "TIMEOUT" },
+  });
+  const revert = Object.assign(new Error("call exception"), {
+    code: "CALL_EXCEPTION",
+    error: new Error("execution reverted"),
+  });
+  assert.equal(classifyError(timeout), "transient");
+  assert.equal(classifyError(revert), "permanent");
+});
+
+test("classifyError keeps the class an error already carries", () => {
+  assert.equal(classifyError(Object.assign(new Error("busy"), { errorClass: "transient" })), "transient");
+  assert.equal(classifyError(Object.assign(new Error("timeout"), { errorClass: "permanent" })), "permanent");
+});
+
+test("getBackoffDelay doubles per attempt up to the maximum, with jitter", () => {
+  for (let i = 0; i < 50; i++) {
+    const first = getBackoffDelay(1);
+    assert.ok(first >= 50 && first <= 100, `attempt 1 waited ${first}ms`);
+    const third = getBackoffDelay(3);
+    assert.ok(third >= 200 && third <= 400, `attempt 3 waited ${third}ms`);
+    const tenth = getBackoffDelay(10);
+    assert.ok(tenth >= 500 && tenth <= 1000, `attempt 10 waited ${tenth}ms`);
+  }
+});
+
+test("withRetry retries transient failures until the call succeeds", async () => {
+  Object.assign(CONFIG, { retryBaseDelayMs: 1, retryMaxDelayMs: 1 });
+  const attempts = [];
+  const result = await withRetry(async (attempt) => {
+    attempts.push(attempt);
+    if (attempt < 3) throw Object.assign(new Error("read"), { code: "ECONNRESET" });
+    return "done";
+  });
+
+  assert.equal(result, "done");
+  assert.deepEqual(attempts, [1, 2, 3]);
+});
+
+test("withRetry gives up after maxAttempts and reports the attempts", async () => {
+  Object.assign(CONFIG, { retryBaseDelayMs: 1, retryMaxDelayMs: 1 });
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      calls++;
+      throw Object.assign(new Error("rate limited"), { response: { status: 429 } });
+    }, { maxAttempts: 2 }),
+    (error) => error.attempts === 2 && error.errorClass === "transient"
+  );
+  assert.equal(calls, 2);
+});
+
+test("withRetry does not retry permanent failures", async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      calls++;
+      throw Object.assign(new Error("not found"), { response: { status: 404 } });
+    }),
+    (error) => error.attempts === 1 && error.errorClass === "permanent"
+  );
+  assert.equal(calls, 1);
+});
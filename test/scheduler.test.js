@@ -0,0 +1,74 @@
+/**
+ * Tests for the scheduling module
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sleep } = require('../src/utils/retry');
+const { createWorkerPool, createRateLimiter } = require('../src/utils/scheduler');
+
+test("the worker pool keeps at most `concurrency` tasks in flight", async () => {
+  const pool = createWorkerPool(2);
+  let running = 0;
+  let maxRunning = 0;
+  const task = (value) => async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await sleep(10);
+    running--;
+    return value;
+  };
+
+  const results = await Promise.all([1, 2, 3, 4, 5].map((value) => pool.run(task(value))));
+  assert.deepEqual(results, [1, 2, 3, 4, 5]);
+  assert.equal(maxRunning, 2);
+});
+
+test("the worker pool rejects with the error of a failed task and keeps running", async () => {
+  const pool = createWorkerPool(1);
+  await assert.rejects(pool.run(async () => {
+    throw new Error("task failed");
+  }), /task failed/);
+  assert.equal(await pool.run(async () => "next"), "next");
+});
+
+test("waitForCapacity waits for the queue and onIdle for the last task", async () => {
+  const pool = createWorkerPool(1);
+  const order = [];
+  pool.run(() => sleep(20).then(() => order.push("first")));
+  pool.run(() => sleep(20).then(() => order.push("second")));
+  assert.equal(pool.active, 1);
+  assert.equal(pool.queued, 1);
+
+  await pool.waitForCapacity();
+  assert.equal(pool.queued, 0);
+  assert.deepEqual(order, ["first"]);
+
+  await pool.onIdle();
+  assert.deepEqual(order, ["first", "second"]);
+  assert.equal(pool.active, 0);
+});
+
+test("a concurrency below 1 runs one task at a time", async () => {
+  const pool = createWorkerPool(0);
+  let running = 0;
+  let maxRunning = 0;
+  await Promise.all([1, 2, 3].map(() => pool.run(async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await sleep(5);
+    running--;
+  })));
+  assert.equal(maxRunning, 1);
+});
+
+test("the rate limiter hands out the burst at once and then paces the tokens", async () => {
+  const limiter = createRateLimiter(50, 2);
+  const started = Date.now();
+  await limiter.acquire();
+  await limiter.acquire();
+  assert.ok(Date.now() - started < 15, "the burst was paced");
+
+  await limiter.acquire();
+  await limiter.acquire();
+  assert.ok(Date.now() - started >= 35, "tokens beyond the burst were not paced");
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for the control API, served against the simulated chain and refinement service
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ENTRY = path.join(__dirname, "..", "src", "index.js");
+
+/**
+ * Starts `serve --simulate` on a free port in a working directory of its own
+ * @param {object} t - Test context, removes the directory after the test
+ * @returns {Promise<object>} - `{ child, baseUrl, exited }`, `exited` resolves to `{ code, output }`
+ */
+const startServer = async (t) => {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), "server-test-"));
+  t.after(() => fs.rm(cwd, { recursive: true, force: true }));
+
+  const child = spawn(process.execPath, [
+    ENTRY, "serve", "--port", "0", "--simulate", "--sim-seed", "1", "--sim-files", "30",
+    "--sim-latency", "300", "--sim-failure-rate", "0", "--concurrency", "1",
+  ], { cwd, env: { ...process.env, CI: "1" } });
+  let output = "";
+  const exited = new Promise((resolve) => {
+    child.on("close", (code) => resolve({ code, output }));
+  });
+  const baseUrl = await new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      output += chunk;
+      const match = /Control API listening on (http:\/\/\S+)/.exec(output);
+      if (match) resolve(match[1]);
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    exited.then(() => reject(new Error(`serve exited before listening:\n${output}`)));
+  });
+  t.after(() => child.kill("SIGKILL"));
+  return { child, baseUrl, exited };
+};
+
+test("answers 400 to a path with invalid percent-encoding", { timeout: 30000 }, async (t) => {
+  const { baseUrl } = await startServer(t);
+
+  const response = await fetch(`${baseUrl}/runs/%E0%A4%A`);
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /Invalid path/);
+});
+
+test("reports a run stopped by SIGTERM as stopped, not failed", { timeout: 30000 }, async (t) => {
+  const { child, baseUrl, exited } = await startServer(t);
+
+  const submitted = await fetch(`${baseUrl}/runs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ startIndex: 29, endIndex: 0 }),
+  });
+  assert.equal(submitted.status, 201);
+  const { id } = await submitted.json();
+
+  // Stop once the first file is in flight
+  for (;;) {
+    const { files } = await (await fetch(`${baseUrl}/runs/${id}/files`)).json();
+    if (Object.keys(files).length > 0) break;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  child.kill("SIGTERM");
+
+  const { code, output } = await exited;
+  assert.equal(code, 143, output);
+  assert.match(output, new RegExp(`Control API run ${id} stopped`));
+  assert.doesNotMatch(output, new RegExp(`Control API run ${id} failed`));
+});
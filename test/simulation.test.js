@@ -0,0 +1,194 @@
+/**
+ * End-to-end tests: the CLI against the simulated chain and refinement service
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ENTRY = path.join(__dirname, "..", "src", "index.js");
+// Simulated runs stay quick and reproducible
+const SIMULATION = ["--simulate", "--sim-seed", "1", "--sim-latency", "10"];
+
+/**
+ * Starts the CLI in a working directory of its own
+ * @param {string} cwd - Working directory, where output/simulation/ is written
+ * @param {string[]} args - Command line arguments
+ * @param {object} env - Extra environment variables
+ * @returns {object} - The child process and a promise of `{ code, output }` once it exited
+ */
+const start = (cwd, args, env = {}) => {
+  const child = spawn(process.execPath, [ENTRY, ...args], { cwd, env: { ...process.env, CI: "1", ...env } });
+  let output = "";
+  child.stdout.on("data", (chunk) => { output += chunk; });
+  child.stderr.on("data", (chunk) => { output += chunk; });
+  const exited = new Promise((resolve) => {
+    child.on("close", (code) => resolve({ code, output }));
+  });
+  return { child, exited };
+};
+
+const run = (cwd, args) => start(cwd, args).exited;
+
+/**
+ * Reads a log of the simulation
+ * @param {string} cwd - Working directory of the runs
+ * @param {string} name - Name of the log file
+ * @returns {Promise<string[]>} - Lines of the log, empty if it does not exist yet
+ */
+const readLog = async (cwd, name) => {
+  try {
+    return (await fs.readFile(path.join(cwd, "output", "simulation", name), "utf8")).split("\n").filter(Boolean);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+};
+
+/**
+ * Waits until the watch state of the simulation matches a condition
+ * @param {string} cwd - Working directory of the runs
+ * @param {function(object): boolean} condition - Condition on the parsed watch state
+ * @returns {Promise<object>} - The watch state
+ */
+const waitForWatchState = async (cwd, condition) => {
+  for (;;) {
+    try {
+      const state = JSON.parse(await fs.readFile(path.join(cwd, "output", "simulation", "watch-state.json"), "utf8"));
+      if (condition(state)) return state;
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+};
+
+const statsRows = async (cwd, type) =>
+  (await readLog(cwd, "stats.log")).filter((line) => line.split(",")[1] === type);
+
+/**
+ * Creates an empty working directory, removed after the test
+ * @param {object} t - Test context
+ * @returns {Promise<string>} - Path of the directory
+ */
+const createWorkDir = async (t) => {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), "simulation-test-"));
+  t.after(() => fs.rm(cwd, { recursive: true, force: true }));
+  return cwd;
+};
+
+test("a full run refines the list and writes a COMPLETE row", { timeout: 60000 }, async (t) => {
+  const cwd = await createWorkDir(t);
+
+  const { code, output } = await run(cwd, [...SIMULATION, "--sim-files", "20", "--sim-failure-rate", "0"]);
+  assert.equal(code, 0, output);
+
+  const [complete] = await statsRows(cwd, "COMPLETE");
+  assert.match(complete, /Files 19 to 1,Total: 19,/);
+  const results = await readLog(cwd, "results.log");
+  assert.ok(results.some((line) => line.split(",")[2] === "SUCCESS"), "no file was refined");
+
+  // A second run finds the refinements on the simulated chain
+  const again = await run(cwd, [...SIMULATION, "--sim-failure-rate", "0"]);
+  assert.equal(again.code, 0, again.output);
+  const [, second] = await statsRows(cwd, "COMPLETE");
+  assert.match(second, /Success: 0,/);
+});
+
+test("a dry run writes a plan and leaves results.log untouched", { timeout: 60000 }, async (t) => {
+  const cwd = await createWorkDir(t);
+  const first = await run(cwd, [...SIMULATION, "--sim-files", "20", "--sim-failure-rate", "1", "--sim-failure-status", "400"]);
+  assert.equal(first.code, 0, first.output);
+  const results = await readLog(cwd, "results.log");
+
+  const planFile = path.join(cwd, "plan.json");
+  const { code, output } = await run(cwd, [...SIMULATION, "--dry-run", "--plan-file", planFile]);
+  assert.equal(code, 0, output);
+
+  assert.deepEqual(await readLog(cwd, "results.log"), results);
+  const { summary, groups } = JSON.parse(await fs.readFile(planFile, "utf8"));
+  assert.equal(summary.indices, 19);
+  const resolved = Object.values(groups).flat().filter((entry) => entry.fileId !== null);
+  assert.equal(summary.total, resolved.length);
+  assert.ok(summary.wouldRefine > 0, "the failed files are not planned");
+});
+
+test("SIGTERM stops a run with an ABORTED row and --resume finishes it", { timeout: 60000 }, async (t) => {
+  const cwd = await createWorkDir(t);
+
+  const { child, exited } = start(cwd, [
+    "--simulate", "--sim-seed", "1", "--sim-latency", "400", "--sim-files", "30", "--sim-failure-rate", "0",
+    "--concurrency", "2",
+  ]);
+  // Stop once the first files are in flight
+  while ((await readLog(cwd, "results.log")).length === 0) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  child.kill("SIGTERM");
+  const { code, output } = await exited;
+  assert.equal(code, 143, output);
+
+  const [aborted] = await statsRows(cwd, "ABORTED");
+  assert.ok(aborted, "no ABORTED row");
+  assert.equal((await statsRows(cwd, "COMPLETE")).length, 0);
+  const checkpoint = JSON.parse(await fs.readFile(path.join(cwd, "output", "simulation", "checkpoint.json"), "utf8"));
+  assert.equal(checkpoint.completed, false);
+
+  const resumed = await run(cwd, [...SIMULATION, "--resume"]);
+  assert.equal(resumed.code, 0, resumed.output);
+  assert.match(resumed.output, /Resuming from checkpoint/);
+  const [complete] = await statsRows(cwd, "COMPLETE");
+  assert.match(complete, /Files 29 to 1,Total: 29,/);
+});
+
+test("retry-failed refines again the files of a run that failed", { timeout: 60000 }, async (t) => {
+  const cwd = await createWorkDir(t);
+
+  // 400 answers are permanent, so the run fails fast without retries
+  const failing = await run(cwd, [
+    ...SIMULATION, "--sim-files", "20", "--sim-failure-rate", "1", "--sim-failure-status", "400",
+  ]);
+  assert.equal(failing.code, 0, failing.output);
+  const [failed] = await statsRows(cwd, "COMPLETE");
+  const failedCount = Number(/Failed: (\d+)/.exec(failed)[1]);
+  assert.ok(failedCount > 0, "no file failed");
+
+  const retried = await run(cwd, ["retry-failed", ...SIMULATION, "--sim-failure-rate", "0"]);
+  assert.equal(retried.code, 0, retried.output);
+  const [, complete] = await statsRows(cwd, "COMPLETE");
+  assert.match(complete, new RegExp(`Total: ${failedCount},`));
+  assert.ok(Number(/Success: (\d+)/.exec(complete)[1]) > 0, "no failed file was refined");
+});
+
+test("watch rescans for an added refiner only and resumes the rescan after a restart", { timeout: 60000 }, async (t) => {
+  const cwd = await createWorkDir(t);
+  const watch = ["watch", "--poll-interval", "1", "--sim-seed", "1", "--sim-files", "30", "--sim-failure-rate", "0"];
+
+  const first = start(cwd, [...watch, "--simulate", "--sim-latency", "10"], { REFINER_ID: "7" });
+  // Watchers run until stopped, also when an assertion fails
+  t.after(() => first.child.kill());
+  await waitForWatchState(cwd, (state) => state.nextIndex === 30);
+  first.child.kill("SIGTERM");
+  assert.equal((await first.exited).code, 143);
+
+  // Stop the rescan once its first sub-batch is saved
+  const second = start(cwd, [...watch, "--simulate", "--sim-latency", "400", "--concurrency", "2"], { REFINER_ID: "7,8" });
+  t.after(() => second.child.kill());
+  const saved = await waitForWatchState(cwd, (state) => state.rescan && state.rescan.index < 29);
+  second.child.kill("SIGTERM");
+  const stopped = await second.exited;
+  assert.equal(stopped.code, 143, stopped.output);
+  assert.match(stopped.output, /Rescanning indices 29→0 for refiner\(s\) 8\n/);
+  assert.deepEqual(saved.rescan.refinerIds, [8]);
+  assert.equal(saved.nextIndex, 30);
+
+  const third = start(cwd, [...watch, "--simulate", "--sim-latency", "10"], { REFINER_ID: "7,8" });
+  t.after(() => third.child.kill());
+  await waitForWatchState(cwd, (state) => state.rescan === null);
+  third.child.kill("SIGTERM");
+  const resumed = await third.exited;
+  assert.equal(resumed.code, 143, resumed.output);
+  assert.match(resumed.output, new RegExp(`Rescanning indices ${saved.rescan.index}→0 for refiner\\(s\\) 8\n`));
+});